@@ -24,10 +24,79 @@ const conf = convict({
       format: Number,
       default: 5000
     },
+    defaultLimit: {
+      doc:
+        'Maximum number of documents returned by a query that does not specify a limit. Use 0 to return every matching document',
+      format: 'nat',
+      default: 100
+    },
+    strictSchema: {
+      doc:
+        'Whether inserts and updates given a schema fill in default values and reject documents with missing required fields or unknown fields',
+      format: Boolean,
+      default: false
+    },
+    ttlMonitorInterval: {
+      doc:
+        'Interval (in milliseconds) for removing the documents that have expired according to a TTL index. Use 0 to disable',
+      format: 'nat',
+      default: 60000
+    },
+    snapshots: {
+      doc:
+        'Number of previous versions of the database file to keep, which the database is recovered from if the file is found to be corrupt when loaded',
+      format: 'nat',
+      default: 2
+    },
     serializationMethod: {
-      doc: 'LokiJS serialisation method',
-      format: ['normal', 'pretty'],
+      doc:
+        'LokiJS serialisation method. `destructured` puts each document on a line of its own, which is parsed separately. It is not streamed: the whole database is still held in a single string when it is saved and loaded',
+      format: ['normal', 'pretty', 'destructured'],
       default: 'normal'
+    },
+    compression: {
+      doc:
+        'Format used to compress the database file. Files are read whichever format they were saved in, and saved again in this one',
+      format: ['none', 'gzip', 'brotli'],
+      default: 'none'
+    },
+    encryption: {
+      key: {
+        doc:
+          'Key used to encrypt the database file and journal with AES-256-GCM, as 64 hexadecimal characters or 32 bytes in base64. Leave empty to store them unencrypted',
+        format: String,
+        default: '',
+        env: 'FILESTORE_ENCRYPTION_KEY',
+        sensitive: true
+      },
+      previousKeys: {
+        doc:
+          'Keys used before the current one, which files are still decrypted with until they are next saved',
+        format: Array,
+        default: [],
+        env: 'FILESTORE_ENCRYPTION_PREVIOUS_KEYS',
+        sensitive: true
+      }
+    },
+    journal: {
+      enabled: {
+        doc:
+          'Whether to record every mutation in a journal file, replayed on startup, so that changes made since the last save survive a crash',
+        format: Boolean,
+        default: true
+      },
+      durability: {
+        doc:
+          'When mutations are flushed to disk. `fsync` flushes each one before the operation completes, `batched` flushes them every `syncInterval` milliseconds',
+        format: ['fsync', 'batched'],
+        default: 'batched'
+      },
+      syncInterval: {
+        doc:
+          'Interval (in milliseconds) for flushing the journal to disk when using batched durability',
+        format: Number,
+        default: 200
+      }
     }
   }
 })
@@ -1,5 +1,7 @@
+const config = require('./config')
+
 module.exports = require('./lib')
 module.exports.settings = {
-  connectWithCollection: false,
+  connectWithCollection: config.get('connectWithCollection'),
   internalProperties: ['$loki', 'meta']
 }
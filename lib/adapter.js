@@ -0,0 +1,477 @@
+const compression = require('./compression')
+const CorruptionError = require('./errors').CorruptionError
+const debug = require('debug')('api:filestore:adapter')
+const Encryption = require('./encryption')
+const EncryptionError = require('./errors').EncryptionError
+const fs = require('fs')
+const Loki = require('lokijs')
+const path = require('path')
+const util = require('util')
+
+const close = util.promisify(fs.close)
+const copyFile = util.promisify(fs.copyFile)
+const fsync = util.promisify(fs.fsync)
+const link = util.promisify(fs.link)
+const open = util.promisify(fs.open)
+const readFile = util.promisify(fs.readFile)
+const rename = util.promisify(fs.rename)
+const unlink = util.promisify(fs.unlink)
+const writeFile = util.promisify(fs.writeFile)
+
+const ignoreMissing = err => {
+  if (err.code !== 'ENOENT') throw err
+}
+
+// The delimiter LokiJS puts between the lines of a destructured database by
+// default, which can't appear in JSON.
+const DESTRUCTURE_DELIMITER = '$<\n'
+
+/**
+ * Parses a serialised database, in whichever format it was saved: JSON
+ * (`normal` or `pretty`) or `destructured`, in which each document is on a
+ * line of its own. Either way, the whole file has already been read and
+ * decompressed into `text`; destructured databases just parse each line
+ * separately. Nothing is streamed: LokiJS also serialises the whole database
+ * into one string on save, whichever the method.
+ *
+ * @param  {string} text
+ * @return {Object} the database, as loaded by `Loki#loadJSONObject`
+ */
+const parseDatabase = function(text) {
+  // `deserializeDestructured` only needs `this` for partitioned databases,
+  // which aren't used.
+  const database =
+    text.indexOf(DESTRUCTURE_DELIMITER) === -1
+      ? JSON.parse(text)
+      : Loki.prototype.deserializeDestructured(text, {
+          delimiter: DESTRUCTURE_DELIMITER
+        })
+
+  if (
+    !database ||
+    typeof database !== 'object' ||
+    Array.isArray(database) ||
+    (database.collections !== undefined && !Array.isArray(database.collections))
+  ) {
+    throw new Error('The file does not hold a LokiJS database')
+  }
+
+  return database
+}
+
+/**
+ * Whether an error reading a database file means the file is corrupt, as
+ * opposed to it being missing, unreadable or encrypted with a key that isn't
+ * configured. Errors parsing or decompressing the file have no code.
+ *
+ * @param  {Error} err
+ * @return {Boolean}
+ */
+const isCorrupt = function(err) {
+  return !err.code || err.code === 'DECRYPTION_FAILED'
+}
+
+/**
+ * Whether an error reading a database file means that the file was encrypted
+ * with a key that isn't configured, or that no key is configured at all.
+ *
+ * @param  {Error} err
+ * @return {Boolean}
+ */
+const isMissingKey = function(err) {
+  return err.code === 'WRONG_KEY' || err.code === 'KEY_REQUIRED'
+}
+
+/**
+ * Returns the paths of the snapshots of a database file, newest first.
+ *
+ * @param  {string} dbname - the path of the database file
+ * @param  {number} count - the number of snapshots kept
+ * @return {Array}
+ */
+const getSnapshotPaths = function(dbname, count) {
+  const paths = []
+
+  for (let number = 1; number <= count; number++) {
+    paths.push(`${dbname}.${number}`)
+  }
+
+  return paths
+}
+
+/**
+ * Gives a file a second name, without copying it if the filesystem supports
+ * hard links.
+ *
+ * @param  {string} source
+ * @param  {string} target - a path that doesn't exist
+ * @return {Promise}
+ */
+const linkFile = function(source, target) {
+  return link(source, target).catch(err => {
+    if (err.code === 'ENOENT') throw err
+
+    return copyFile(source, target)
+  })
+}
+
+/**
+ * Writes a file and flushes it to disk.
+ *
+ * @param  {string} filePath
+ * @param  {string|Buffer} data
+ * @return {Promise}
+ */
+const writeAndSync = function(filePath, data) {
+  return open(filePath, 'w').then(fd => {
+    return writeFile(fd, data)
+      .then(() => fsync(fd))
+      .then(() => close(fd), err => close(fd).then(() => Promise.reject(err)))
+  })
+}
+
+/**
+ * Flushes the entries of a directory to disk, so that a file renamed into it
+ * is still there after a power loss.
+ *
+ * @param  {string} directory
+ * @return {Promise}
+ */
+const syncDirectory = function(directory) {
+  return open(directory, 'r')
+    .then(fd => fsync(fd).then(() => close(fd), () => close(fd)))
+    .catch(() => {
+      // Not every platform can open a directory (e.g. Windows).
+    })
+}
+
+/**
+ * Writes a file atomically: the data is written to a temporary file, which
+ * is flushed to disk and then renamed over the file, so that a crash leaves
+ * either the old or the new contents in place, never a truncated file.
+ *
+ * @param  {string} filePath
+ * @param  {string|Buffer} data
+ * @param  {Function} beforeRename - called once the temporary file has been
+ *     written, returning a Promise
+ * @return {Promise}
+ */
+const writeAtomically = function(filePath, data, beforeRename) {
+  const temporaryPath = `${filePath}~`
+
+  return writeAndSync(temporaryPath, data)
+    .then(() => beforeRename && beforeRename())
+    .then(() => rename(temporaryPath, filePath))
+    .then(() => syncDirectory(path.dirname(filePath)))
+}
+
+/**
+ * LokiJS persistence adapter used by `DataStore.connect`. Reads and writes the
+ * database file, rotating the journal (if any) around each save so that it
+ * only holds mutations that aren't in the file yet. Files are compressed (if
+ * enabled) and then encrypted (if enabled) on save. On load, the compression
+ * format, encryption and serialisation method of the file are detected, so
+ * files saved with other settings can still be read.
+ *
+ * Saves are atomic, and the file being replaced is kept as the newest of a
+ * rotating set of snapshots (`<file>.1` being the newest). If the file turns
+ * out to be corrupt when it's loaded, the newest snapshot that can be read
+ * is loaded instead, and the corrupt file is kept as `<file>.corrupt`.
+ * Snapshots are encrypted again with the current key after the first save,
+ * like the file itself.
+ *
+ * @constructor FileAdapter
+ * @param {Object} options
+ * @param {Journal} options.journal - the journal of the database, if enabled
+ * @param {Encryption} options.encryption - encrypts the file, if enabled
+ * @param {string} options.compression - the format the file is compressed
+ *     with: `none` (the default), `gzip` or `brotli`
+ * @param {number} options.snapshots - the number of snapshots to keep
+ */
+const FileAdapter = function(options) {
+  this.journal = options.journal
+  this.encryption = options.encryption
+  this.compression = options.compression || 'none'
+  this.snapshots = options.snapshots || 0
+
+  // Whether the database file is known to be good, i.e. was read or written
+  // by this adapter, so that it can be kept as a snapshot.
+  this.intact = false
+
+  // Set by `loadDatabase` when the database was loaded from a snapshot, as
+  // an object describing the recovery.
+  this.recovery = null
+
+  // Whether every snapshot is known to be encrypted with the current key.
+  this.snapshotsEncrypted = false
+
+  // Whether the file read by `loadDatabase` isn't compressed and encrypted
+  // as configured (e.g. it's encrypted with a previous key, or was saved
+  // before compression was enabled), and so should be saved again.
+  this.needsRewriting = false
+}
+
+/**
+ * Reads the database file, decrypting and decompressing it if needed, or the
+ * newest snapshot that can be read if the file is corrupt. Passes the error
+ * to LokiJS, which fails the load, if neither can be read (e.g. an
+ * `EncryptionError` if the file is encrypted with a key that isn't
+ * configured, or a `CorruptionError`).
+ */
+FileAdapter.prototype.loadDatabase = function(dbname, callback) {
+  this.recovery = null
+
+  this.read(dbname).then(
+    database => {
+      this.intact = true
+
+      callback(database)
+    },
+    err => {
+      if (err.code === 'ENOENT') return callback(null)
+      if (!isCorrupt(err)) return callback(err)
+
+      this.recover(dbname, err).then(database => callback(database), callback)
+    }
+  )
+}
+
+/**
+ * Reads a database file or snapshot.
+ *
+ * @param  {string} filePath
+ * @return {Promise.<Object>} the database object
+ */
+FileAdapter.prototype.read = function(filePath) {
+  return readFile(filePath).then(data => this.decode(filePath, data))
+}
+
+/**
+ * Loads the newest snapshot of a corrupt database file that can be read,
+ * keeping the corrupt file as `<file>.corrupt`, and sets `recovery` to an
+ * object with `file`, `snapshot` (the path of the snapshot loaded),
+ * `corruptFile` and `error` (the error reading the file). The database
+ * should then be saved again, replacing the corrupt file.
+ *
+ * @param  {string} dbname - the path of the database file
+ * @param  {Error} error - the error reading the database file
+ * @return {Promise.<Object>} the database object
+ */
+FileAdapter.prototype.recover = function(dbname, error) {
+  const snapshots = getSnapshotPaths(dbname, this.snapshots)
+  const corruptPath = `${dbname}.corrupt`
+
+  debug('%s is corrupt: %s', dbname, error.message)
+
+  const attempt = (index, keyError) => {
+    if (index === snapshots.length) {
+      // Snapshots that are only missing a key could still be recovered from,
+      // so that's reported rather than the file being lost to corruption.
+      if (keyError) {
+        return Promise.reject(
+          new EncryptionError(
+            keyError.code,
+            `${dbname} is corrupt (${error.message}) and its snapshots can't be decrypted with the configured keys: ${keyError.message}`
+          )
+        )
+      }
+
+      return Promise.reject(
+        new CorruptionError(
+          `${dbname} is corrupt and has no snapshot that can be read: ${error.message}`,
+          {file: dbname}
+        )
+      )
+    }
+
+    return this.read(snapshots[index]).then(
+      database => ({database, snapshot: snapshots[index]}),
+      err => {
+        debug('snapshot %s cannot be read: %s', snapshots[index], err.message)
+
+        return attempt(
+          index + 1,
+          keyError || (isMissingKey(err) ? err : undefined)
+        )
+      }
+    )
+  }
+
+  return attempt(0).then(({database, snapshot}) => {
+    return unlink(corruptPath)
+      .catch(ignoreMissing)
+      .then(() => linkFile(dbname, corruptPath))
+      .then(() => {
+        this.intact = false
+        this.needsRewriting = true
+        this.recovery = {
+          file: dbname,
+          snapshot,
+          corruptFile: corruptPath,
+          error
+        }
+
+        return database
+      })
+  })
+}
+
+/**
+ * Turns the contents of a database file into a database object.
+ *
+ * @param  {string} dbname - the path of the file
+ * @param  {Buffer} data - the contents of the file
+ * @return {Promise.<Object>}
+ */
+FileAdapter.prototype.decode = function(dbname, data) {
+  let compressed = data
+  let needsEncrypting = Boolean(this.encryption)
+
+  if (Encryption.isEncrypted(data)) {
+    if (!this.encryption) {
+      return Promise.reject(
+        new EncryptionError(
+          'KEY_REQUIRED',
+          `${dbname} is encrypted, but no encryption key is configured`
+        )
+      )
+    }
+
+    const ciphertext = data.toString('utf8')
+
+    try {
+      compressed = this.encryption.decrypt(ciphertext, null)
+    } catch (err) {
+      return Promise.reject(err)
+    }
+
+    needsEncrypting = !this.encryption.usesCurrentKey(ciphertext)
+  }
+
+  const needsCompressing = compression.detect(compressed) !== this.compression
+
+  return compression.decompress(compressed).then(plaintext => {
+    const database = parseDatabase(plaintext.toString('utf8'))
+
+    this.needsRewriting = needsEncrypting || needsCompressing
+
+    return database
+  })
+}
+
+/**
+ * Turns a serialised database into the contents of its file.
+ *
+ * @param  {string} dbstring
+ * @return {Promise.<string|Buffer>}
+ */
+FileAdapter.prototype.encode = function(dbstring) {
+  const data =
+    this.compression === 'none' ? dbstring : Buffer.from(dbstring, 'utf8')
+
+  return compression.compress(this.compression, data).then(compressed => {
+    return this.encryption ? this.encryption.encrypt(compressed) : compressed
+  })
+}
+
+/**
+ * Moves each snapshot of a database file along, discarding the oldest, and
+ * keeps the file as the newest snapshot. Nothing is kept if the file is
+ * corrupt.
+ *
+ * @param  {string} dbname - the path of the database file
+ * @return {Promise}
+ */
+FileAdapter.prototype.rotateSnapshots = function(dbname) {
+  const snapshots = getSnapshotPaths(dbname, this.snapshots)
+
+  if (snapshots.length === 0 || !this.intact) return Promise.resolve()
+
+  let rotation = Promise.resolve()
+
+  for (let index = snapshots.length - 1; index > 0; index--) {
+    rotation = rotation.then(() => {
+      return rename(snapshots[index - 1], snapshots[index]).catch(ignoreMissing)
+    })
+  }
+
+  return rotation
+    .then(() => unlink(snapshots[0]).catch(ignoreMissing))
+    .then(() => linkFile(dbname, snapshots[0]).catch(ignoreMissing))
+}
+
+/**
+ * Encrypts every snapshot of a database file that isn't encrypted with the
+ * current key again, e.g. after a key rotation, so that the database can
+ * still be recovered from them once the previous key has been removed. This
+ * is only needed once: snapshots taken afterwards are copies of files saved
+ * with the current key. Snapshots that can't be decrypted are left as they
+ * are.
+ *
+ * @param  {string} dbname - the path of the database file
+ * @return {Promise}
+ */
+FileAdapter.prototype.encryptSnapshots = function(dbname) {
+  if (!this.encryption || this.snapshotsEncrypted) return Promise.resolve()
+
+  const encryptSnapshot = snapshot => {
+    return readFile(snapshot)
+      .then(data => {
+        if (!Encryption.isEncrypted(data)) {
+          return writeAtomically(snapshot, this.encryption.encrypt(data))
+        }
+
+        const ciphertext = data.toString('utf8')
+
+        if (this.encryption.usesCurrentKey(ciphertext)) return
+
+        return writeAtomically(
+          snapshot,
+          this.encryption.encrypt(this.encryption.decrypt(ciphertext, null))
+        )
+      })
+      .catch(err => {
+        if (err.code === 'ENOENT') return
+
+        debug('snapshot %s cannot be encrypted: %s', snapshot, err.message)
+      })
+  }
+
+  return getSnapshotPaths(dbname, this.snapshots)
+    .reduce((queue, snapshot) => {
+      return queue.then(() => encryptSnapshot(snapshot))
+    }, Promise.resolve())
+    .then(() => {
+      this.snapshotsEncrypted = true
+    })
+}
+
+FileAdapter.prototype.saveDatabase = function(dbname, dbstring, callback) {
+  // LokiJS serialises the database right before calling this method, so any
+  // entry appended to the journal up to now is included in `dbstring`. The
+  // journal is rotated straight away, before any entry is appended while the
+  // database is being compressed.
+  const rotation = this.journal ? this.journal.rotate() : Promise.resolve()
+
+  Promise.all([this.encode(dbstring), rotation])
+    .then(([data]) => {
+      return writeAtomically(dbname, data, () => this.rotateSnapshots(dbname))
+    })
+    .then(() => {
+      this.intact = true
+      this.needsRewriting = false
+
+      return this.journal && this.journal.commit()
+    })
+    .then(() => this.encryptSnapshots(dbname))
+    .then(() => callback(), callback)
+}
+
+FileAdapter.prototype.deleteDatabase = function(dbname, callback) {
+  unlink(dbname).then(() => callback(), callback)
+}
+
+FileAdapter.getSnapshotPaths = getSnapshotPaths
+FileAdapter.writeAtomically = writeAtomically
+
+module.exports = FileAdapter
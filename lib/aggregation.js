@@ -0,0 +1,567 @@
+const AggregationError = require('./errors').AggregationError
+const Loki = require('lokijs')
+const {
+  cloneValue,
+  compareValues,
+  getSortFunction,
+  getValue,
+  resolvePath,
+  setValue
+} = require('./utils')
+
+// Stages that run on the LokiJS resultset of the collection, as long as they
+// come before any stage that reshapes the documents.
+const RESULTSET_STAGES = ['$match', '$sort', '$skip', '$limit']
+
+const isPlainObject = function(value) {
+  return (
+    Boolean(value) &&
+    typeof value === 'object' &&
+    !Array.isArray(value) &&
+    !(value instanceof Date) &&
+    !(value instanceof RegExp)
+  )
+}
+
+const isFieldPath = function(value) {
+  return typeof value === 'string' && value.length > 1 && value[0] === '$'
+}
+
+const isNumber = function(value) {
+  return typeof value === 'number' && isFinite(value)
+}
+
+const isExcluded = function(value) {
+  return value === 0 || value === false
+}
+
+const isIncluded = function(value) {
+  return value === 1 || value === true
+}
+
+/**
+ * Evaluates an expression against a document. Strings starting with `$` are
+ * field paths (e.g. `"$author.name"`), objects and arrays are evaluated
+ * recursively and `{$literal: value}` returns `value` as is. Anything else is
+ * a constant.
+ */
+const evaluate = function(document, expression) {
+  if (isFieldPath(expression)) {
+    return getValue(document, expression.slice(1))
+  }
+
+  if (Array.isArray(expression)) {
+    return expression.map(item => evaluate(document, item))
+  }
+
+  if (isPlainObject(expression)) {
+    if ('$literal' in expression) return expression.$literal
+
+    return Object.keys(expression).reduce((result, key) => {
+      result[key] = evaluate(document, expression[key])
+
+      return result
+    }, {})
+  }
+
+  return expression
+}
+
+const invalidStage = function(stage, message) {
+  return new AggregationError('INVALID_STAGE', `${stage} ${message}`, {stage})
+}
+
+/**
+ * Accumulators available in `$group`. Each one starts from `initial()`,
+ * folds the value of each document in the group into its state with `step`
+ * and turns the final state into the value of the field with `result`.
+ */
+const accumulators = {
+  $sum: {
+    initial: () => 0,
+    step: (total, value) => (isNumber(value) ? total + value : total),
+    result: total => total
+  },
+
+  $avg: {
+    initial: () => ({count: 0, total: 0}),
+    step: (state, value) => {
+      if (isNumber(value)) {
+        state.count++
+        state.total += value
+      }
+
+      return state
+    },
+    result: state => (state.count > 0 ? state.total / state.count : null)
+  },
+
+  $min: {
+    initial: () => undefined,
+    step: (lowest, value) => {
+      if (value === undefined || value === null) return lowest
+
+      return lowest === undefined || compareValues(value, lowest) < 0
+        ? value
+        : lowest
+    },
+    result: lowest => (lowest === undefined ? null : lowest)
+  },
+
+  $max: {
+    initial: () => undefined,
+    step: (highest, value) => {
+      if (value === undefined || value === null) return highest
+
+      return highest === undefined || compareValues(value, highest) > 0
+        ? value
+        : highest
+    },
+    result: highest => (highest === undefined ? null : highest)
+  },
+
+  $push: {
+    initial: () => [],
+    step: (values, value) => {
+      if (value !== undefined) {
+        values.push(value)
+      }
+
+      return values
+    },
+    result: values => values
+  },
+
+  $first: {
+    initial: () => ({seen: false}),
+    step: (state, value) => {
+      if (!state.seen) {
+        state.seen = true
+        state.value = value
+      }
+
+      return state
+    },
+    result: state => (state.value === undefined ? null : state.value)
+  },
+
+  $last: {
+    initial: () => ({}),
+    step: (state, value) => {
+      state.value = value
+
+      return state
+    },
+    result: state => (state.value === undefined ? null : state.value)
+  }
+}
+
+/**
+ * Checks the operand given to each stage, throwing an `AggregationError` if
+ * it isn't valid.
+ */
+const validators = {
+  $match(query) {
+    if (!isPlainObject(query)) throw invalidStage('$match', 'requires a query')
+  },
+
+  $sort(sort) {
+    if (
+      !isPlainObject(sort) ||
+      Object.keys(sort).length === 0 ||
+      Object.keys(sort).some(field => sort[field] !== 1 && sort[field] !== -1)
+    ) {
+      throw invalidStage('$sort', 'requires an object of fields and 1 or -1')
+    }
+  },
+
+  $skip(count) {
+    if (!Number.isInteger(count) || count < 0) {
+      throw invalidStage('$skip', 'requires a non-negative integer')
+    }
+  },
+
+  $limit(count) {
+    if (!Number.isInteger(count) || count < 1) {
+      throw invalidStage('$limit', 'requires a positive integer')
+    }
+  },
+
+  $count(field) {
+    if (
+      typeof field !== 'string' ||
+      field.length === 0 ||
+      field[0] === '$' ||
+      field.indexOf('.') !== -1
+    ) {
+      throw invalidStage('$count', 'requires a field name')
+    }
+  },
+
+  $unwind(spec) {
+    const path = isPlainObject(spec) ? spec.path : spec
+
+    if (!isFieldPath(path)) {
+      throw invalidStage('$unwind', "requires a field path, e.g. '$tags'")
+    }
+
+    if (
+      spec.includeArrayIndex !== undefined &&
+      (typeof spec.includeArrayIndex !== 'string' ||
+        spec.includeArrayIndex.length === 0 ||
+        spec.includeArrayIndex[0] === '$')
+    ) {
+      throw invalidStage('$unwind', 'requires includeArrayIndex to be a field')
+    }
+  },
+
+  $group(spec) {
+    if (!isPlainObject(spec) || !('_id' in spec)) {
+      throw invalidStage('$group', 'requires an _id expression')
+    }
+
+    Object.keys(spec).forEach(field => {
+      if (field === '_id') return
+
+      const accumulator = spec[field]
+      const operators = isPlainObject(accumulator)
+        ? Object.keys(accumulator)
+        : []
+
+      if (operators.length !== 1) {
+        throw invalidStage(
+          '$group',
+          `requires the field '${field}' to specify a single accumulator`
+        )
+      }
+
+      if (!accumulators[operators[0]]) {
+        throw new AggregationError(
+          'UNKNOWN_ACCUMULATOR',
+          `Unknown $group accumulator '${operators[0]}'`,
+          {stage: '$group'}
+        )
+      }
+    })
+  },
+
+  $project(projection) {
+    const fields = isPlainObject(projection) ? Object.keys(projection) : []
+
+    if (fields.length === 0) {
+      throw invalidStage('$project', 'requires at least one field')
+    }
+
+    const excluded = fields.filter(field => isExcluded(projection[field]))
+
+    // Apart from `_id`, fields can't be excluded alongside other fields
+    // being included or computed.
+    if (
+      excluded.some(field => field !== '_id') &&
+      excluded.length !== fields.length
+    ) {
+      throw invalidStage(
+        '$project',
+        'cannot exclude fields while including or computing others'
+      )
+    }
+  }
+}
+
+/**
+ * Implementation of each stage, taking the documents output by the previous
+ * stage and the operand of the stage, and returning the new documents.
+ */
+const operations = {
+  $match(documents, query, aggregation) {
+    if (documents.length === 0) return documents
+
+    // The documents are loaded into a temporary collection, so that the query
+    // is evaluated by LokiJS exactly as it would be by `find`.
+    const collection = new Loki.Collection('aggregation', {disableMeta: true})
+
+    collection.insert(documents.map(document => Object.assign({}, document)))
+
+    return collection
+      .chain()
+      .find(aggregation.prepareQuery(query))
+      .data({removeMeta: true})
+  },
+
+  $sort(documents, sort) {
+    return documents.slice().sort(getSortFunction(sort))
+  },
+
+  $skip(documents, count) {
+    return documents.slice(count)
+  },
+
+  $limit(documents, count) {
+    return documents.slice(0, count)
+  },
+
+  $count(documents, field) {
+    return documents.length > 0 ? [{[field]: documents.length}] : []
+  },
+
+  $unwind(documents, spec) {
+    const {includeArrayIndex, path, preserveNullAndEmptyArrays} = isPlainObject(
+      spec
+    )
+      ? spec
+      : {path: spec}
+    const field = path.slice(1)
+
+    const unwind = (document, value, index) => {
+      const result = cloneValue(document)
+
+      if (value !== undefined) {
+        setValue(result, field, value)
+      }
+
+      if (includeArrayIndex) {
+        setValue(result, includeArrayIndex, index)
+      }
+
+      return result
+    }
+
+    return documents.reduce((results, document) => {
+      const value = getValue(document, field)
+
+      if (Array.isArray(value) && value.length > 0) {
+        value.forEach((element, index) => {
+          results.push(unwind(document, element, index))
+        })
+      } else if (
+        value !== undefined &&
+        value !== null &&
+        !Array.isArray(value)
+      ) {
+        // A value that isn't an array is treated as an array of one element.
+        results.push(unwind(document, value, null))
+      } else if (preserveNullAndEmptyArrays) {
+        results.push(unwind(document, undefined, null))
+      }
+
+      return results
+    }, [])
+  },
+
+  $group(documents, spec) {
+    const fields = Object.keys(spec).filter(field => field !== '_id')
+    const operators = fields.map(field => Object.keys(spec[field])[0])
+    const groups = new Map()
+
+    documents.forEach(document => {
+      const id = evaluate(document, spec._id)
+      const groupId = id === undefined ? null : id
+      const key = JSON.stringify(groupId)
+
+      if (!groups.has(key)) {
+        groups.set(key, {
+          _id: groupId,
+          states: operators.map(operator => accumulators[operator].initial())
+        })
+      }
+
+      const group = groups.get(key)
+
+      fields.forEach((field, index) => {
+        const operator = operators[index]
+        const value = evaluate(document, spec[field][operator])
+
+        group.states[index] = accumulators[operator].step(
+          group.states[index],
+          value
+        )
+      })
+    })
+
+    return Array.from(groups.values()).map(group => {
+      return fields.reduce(
+        (result, field, index) => {
+          result[field] = accumulators[operators[index]].result(
+            group.states[index]
+          )
+
+          return result
+        },
+        {_id: group._id}
+      )
+    })
+  },
+
+  $project(documents, projection) {
+    const fields = Object.keys(projection)
+    const isExclusion = fields.every(field => isExcluded(projection[field]))
+
+    if (isExclusion) {
+      return documents.map(document => {
+        const result = cloneValue(document)
+
+        fields.forEach(field => {
+          const target = resolvePath(result, field, false)
+
+          if (target) {
+            delete target.parent[target.key]
+          }
+        })
+
+        return result
+      })
+    }
+
+    return documents.map(document => {
+      const result = {}
+
+      // `_id` is included unless explicitly excluded.
+      if (projection._id === undefined && document._id !== undefined) {
+        result._id = document._id
+      }
+
+      fields.forEach(field => {
+        const expression = projection[field]
+
+        if (isExcluded(expression)) return
+
+        const value = isIncluded(expression)
+          ? cloneValue(getValue(document, field))
+          : evaluate(document, expression)
+
+        if (value !== undefined) {
+          setValue(result, field, value)
+        }
+      })
+
+      return result
+    })
+  }
+}
+
+/**
+ * Runs a MongoDB-style aggregation pipeline (e.g. `[{$match: {...}},
+ * {$group: {...}}]`) on a LokiJS collection.
+ *
+ * @constructor Aggregation
+ * @param {Array} pipeline - the stages to run, in order
+ * @param {Object} options
+ * @param {Function} options.prepareQuery - a function turning the query of a
+ *     `$match` stage into a LokiJS query
+ * @param {Object} options.query - a LokiJS query the documents of the
+ *     collection must match to enter the pipeline, if any
+ */
+const Aggregation = function Aggregation(pipeline, options) {
+  options = options || {}
+
+  this.pipeline = pipeline
+  this.prepareQuery = options.prepareQuery || (query => query)
+  this.query = options.query || null
+}
+
+/**
+ * Checks that the pipeline is made of known stages with valid operands.
+ * Throws an `AggregationError` describing the first problem found.
+ */
+Aggregation.prototype.validate = function() {
+  if (!Array.isArray(this.pipeline)) {
+    throw new AggregationError(
+      'INVALID_PIPELINE',
+      'Pipeline must be an array of stages'
+    )
+  }
+
+  this.pipeline.forEach(stage => {
+    const names = isPlainObject(stage) ? Object.keys(stage) : []
+
+    if (names.length !== 1) {
+      throw new AggregationError(
+        'INVALID_PIPELINE',
+        'Each stage must be an object with a single property'
+      )
+    }
+
+    if (!operations[names[0]]) {
+      throw new AggregationError(
+        'UNKNOWN_STAGE',
+        `Unknown pipeline stage '${names[0]}'`,
+        {stage: names[0]}
+      )
+    }
+
+    validators[names[0]](stage[names[0]])
+  })
+}
+
+/**
+ * Whether the first stage of the pipeline is a `$match`.
+ *
+ * @return {Boolean}
+ */
+Aggregation.prototype.startsWithMatch = function() {
+  return (
+    this.pipeline.length > 0 && Object.keys(this.pipeline[0])[0] === '$match'
+  )
+}
+
+/**
+ * Runs the pipeline. The leading `$match`, `$sort`, `$skip` and `$limit`
+ * stages are applied to a LokiJS resultset, so that a `$match` can use the
+ * indexes of the collection and only the documents it selects are copied.
+ *
+ * @param  {Object} collection - the LokiJS collection
+ * @return {Array} the documents output by the last stage
+ */
+Aggregation.prototype.run = function(collection) {
+  this.validate()
+
+  let resultset = collection.chain()
+  let position = 0
+
+  // `options.query` is combined with a leading `$match`, after its own
+  // expressions so that those can still use an index.
+  if (this.query && !this.startsWithMatch()) {
+    resultset = resultset.find(this.query)
+  }
+
+  for (; position < this.pipeline.length; position++) {
+    const name = Object.keys(this.pipeline[position])[0]
+    const operand = this.pipeline[position][name]
+
+    if (RESULTSET_STAGES.indexOf(name) === -1) break
+
+    switch (name) {
+      case '$match':
+        resultset = resultset.find(
+          position === 0 && this.query
+            ? {$and: [this.prepareQuery(operand), this.query]}
+            : this.prepareQuery(operand)
+        )
+
+        break
+      case '$sort':
+        // Documents that compare equal keep their insertion order.
+        resultset = resultset.sort(
+          getSortFunction(Object.assign({}, operand, {$loki: 1}))
+        )
+
+        break
+      case '$skip':
+        resultset = resultset.offset(operand)
+
+        break
+      case '$limit':
+        resultset = resultset.limit(operand)
+
+        break
+    }
+  }
+
+  return this.pipeline.slice(position).reduce((documents, stage) => {
+    const name = Object.keys(stage)[0]
+
+    return operations[name](documents, stage[name], this)
+  }, resultset.data({removeMeta: true}))
+}
+
+module.exports = Aggregation
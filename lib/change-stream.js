@@ -0,0 +1,141 @@
+const matchesQuery = require('./query').matchesQuery
+
+/**
+ * The changes made to a collection, as emitted by a DataStore (see
+ * `DataStore.watch`), consumed with `next` like an async iterator. Changes
+ * are buffered until they're read, so a stream that's no longer needed
+ * should be closed.
+ *
+ * @constructor ChangeStream
+ * @param {EventEmitter} store - the DataStore emitting `change` events
+ * @param {string} collection - the name of the collection to watch, or
+ *     `undefined` to watch every collection
+ * @param {Object|Function} filter - a MongoDB query that change events must
+ *     match (e.g. `{operationType: 'insert'}`), or a function returning
+ *     whether a change event should be included
+ */
+const ChangeStream = function(store, collection, filter) {
+  this.store = store
+  this.collection = collection
+  this.filter = filter
+  this.buffer = []
+  this.error = null
+  this.closed = false
+
+  // The `next` calls waiting for a change, as `{resolve, reject}` objects.
+  this.waiting = []
+
+  this.listener = change => this.push(change)
+  this.store.on('change', this.listener)
+}
+
+/**
+ * Whether a change event should be included in the stream.
+ *
+ * @param  {Object} change
+ * @return {Boolean}
+ */
+ChangeStream.prototype.matches = function(change) {
+  if (this.collection !== undefined && change.collection !== this.collection) {
+    return false
+  }
+
+  if (typeof this.filter === 'function') {
+    return Boolean(this.filter(change))
+  }
+
+  return !this.filter || matchesQuery(change, this.filter)
+}
+
+/**
+ * Adds a change event to the stream, if it matches, handing it straight to a
+ * waiting `next` call if there is one. A filter that throws closes the
+ * stream, with `next` rejecting with the error.
+ *
+ * @param {Object} change
+ */
+ChangeStream.prototype.push = function(change) {
+  try {
+    if (!this.matches(change)) return
+  } catch (err) {
+    this.error = err
+    this.close()
+
+    return
+  }
+
+  if (this.waiting.length > 0) {
+    this.waiting.shift().resolve({value: change, done: false})
+  } else {
+    this.buffer.push(change)
+  }
+}
+
+/**
+ * Returns the next change, waiting for one to be made if needed. Once the
+ * stream is closed, and its buffered changes have been read, the result has
+ * `done: true`.
+ *
+ * @return {Promise.<Object>} an object with `value` (the change event) and
+ *     `done` properties
+ */
+ChangeStream.prototype.next = function() {
+  if (this.buffer.length > 0) {
+    return Promise.resolve({value: this.buffer.shift(), done: false})
+  }
+
+  if (this.error) {
+    return Promise.reject(this.error)
+  }
+
+  if (this.closed) {
+    return Promise.resolve({value: undefined, done: true})
+  }
+
+  return new Promise((resolve, reject) => {
+    this.waiting.push({resolve, reject})
+  })
+}
+
+/**
+ * Stops listening for changes. `next` calls waiting for a change complete
+ * with `done: true` (or reject, if a filter threw).
+ *
+ * @return {Promise}
+ */
+ChangeStream.prototype.close = function() {
+  if (!this.closed) {
+    this.closed = true
+    this.store.removeListener('change', this.listener)
+
+    this.waiting.splice(0).forEach(({resolve, reject}) => {
+      if (this.error) {
+        reject(this.error)
+      } else {
+        resolve({value: undefined, done: true})
+      }
+    })
+  }
+
+  return Promise.resolve()
+}
+
+/**
+ * Closes the stream, discarding any buffered changes. Called when a
+ * `for await` loop over the stream ends early.
+ *
+ * @return {Promise.<Object>}
+ */
+ChangeStream.prototype.return = function() {
+  this.buffer = []
+
+  return this.close().then(() => ({value: undefined, done: true}))
+}
+
+if (typeof Symbol.asyncIterator === 'symbol') {
+  ChangeStream.prototype[Symbol.asyncIterator] = function() {
+    return this
+  }
+}
+
+module.exports = ChangeStream
@@ -0,0 +1,116 @@
+const QueryError = require('./errors').QueryError
+
+// MongoDB collation strengths and the equivalent `Intl.Collator` sensitivity.
+// Strengths above 3 can't be expressed, so they're treated as 3.
+const SENSITIVITIES = {
+  1: 'base',
+  2: 'accent',
+  3: 'variant',
+  4: 'variant',
+  5: 'variant'
+}
+
+const CASE_FIRST = {
+  lower: 'lower',
+  off: 'false',
+  upper: 'upper'
+}
+
+const invalidCollation = function(message) {
+  return new QueryError('INVALID_COLLATION', `Collation ${message}`)
+}
+
+/**
+ * Checks the value given for each collation option, returning a description
+ * of the problem if it isn't valid.
+ */
+const validators = {
+  locale(value) {
+    if (typeof value !== 'string' || value.length === 0) {
+      return 'requires a locale, e.g. "en"'
+    }
+
+    if (value !== 'simple') {
+      try {
+        Intl.Collator.supportedLocalesOf(value)
+      } catch (err) {
+        return `has an invalid locale '${value}'`
+      }
+    }
+  },
+
+  strength(value) {
+    if (!SENSITIVITIES[value]) return 'requires a strength between 1 and 5'
+  },
+
+  caseLevel(value) {
+    if (typeof value !== 'boolean') return 'requires caseLevel to be a boolean'
+  },
+
+  caseFirst(value) {
+    if (!CASE_FIRST[value]) {
+      return "requires caseFirst to be 'upper', 'lower' or 'off'"
+    }
+  },
+
+  numericOrdering(value) {
+    if (typeof value !== 'boolean') {
+      return 'requires numericOrdering to be a boolean'
+    }
+  },
+
+  alternate(value) {
+    if (value !== 'non-ignorable' && value !== 'shifted') {
+      return "requires alternate to be 'non-ignorable' or 'shifted'"
+    }
+  }
+}
+
+/**
+ * Returns an `Intl.Collator` comparing strings as specified by a MongoDB
+ * collation, e.g. `{locale: 'en', strength: 2, numericOrdering: true}`, or
+ * `null` if strings should be compared by code point (when there's no
+ * collation or its locale is `simple`). Throws a `QueryError` if the
+ * collation isn't valid.
+ *
+ * @param  {Object} collation
+ * @return {Intl.Collator}
+ */
+const getCollator = function(collation) {
+  if (collation === undefined || collation === null) return null
+
+  if (typeof collation !== 'object' || Array.isArray(collation)) {
+    throw invalidCollation('must be an object')
+  }
+
+  // The locale is the only option that's required.
+  Object.keys(Object.assign({locale: undefined}, collation)).forEach(option => {
+    if (!validators[option]) {
+      throw invalidCollation(`does not support the '${option}' option`)
+    }
+
+    const message = validators[option](collation[option])
+
+    if (message) throw invalidCollation(message)
+  })
+
+  if (collation.locale === 'simple') return null
+
+  const strength = collation.strength || 3
+  let sensitivity = SENSITIVITIES[strength]
+
+  // `caseLevel` takes case into account at the lower strengths.
+  if (collation.caseLevel && strength < 3) {
+    sensitivity = strength === 1 ? 'case' : 'variant'
+  }
+
+  return new Intl.Collator(collation.locale, {
+    caseFirst: CASE_FIRST[collation.caseFirst || 'off'],
+    ignorePunctuation: collation.alternate === 'shifted',
+    numeric: Boolean(collation.numericOrdering),
+    sensitivity,
+    usage: 'sort'
+  })
+}
+
+module.exports = {getCollator}
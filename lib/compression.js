@@ -0,0 +1,113 @@
+const util = require('util')
+const zlib = require('zlib')
+
+const GZIP_MAGIC_NUMBER = Buffer.from([0x1f, 0x8b])
+
+const brotliCompress =
+  zlib.brotliCompress && util.promisify(zlib.brotliCompress)
+
+/**
+ * The compression formats database files can be written in, by the name
+ * used in the `database.compression` setting.
+ */
+const formats = {
+  brotli: brotliCompress && {
+    // The default quality (11) takes minutes for large databases, for
+    // little gain over a medium quality.
+    compress: data => {
+      return brotliCompress(data, {
+        params: {
+          [zlib.constants.BROTLI_PARAM_QUALITY]: 6,
+          [zlib.constants.BROTLI_PARAM_SIZE_HINT]: data.length
+        }
+      })
+    },
+    decompress: util.promisify(zlib.brotliDecompress)
+  },
+
+  gzip: {
+    compress: util.promisify(zlib.gzip),
+    decompress: util.promisify(zlib.gunzip)
+  }
+}
+
+/**
+ * Throws an error unless a compression format is `none` or one that's
+ * supported by this version of Node.js (brotli needs 11.7 or later).
+ *
+ * @param {string} format
+ */
+const validate = function(format) {
+  if (format !== 'none' && !formats[format]) {
+    const supported = ['none']
+      .concat(Object.keys(formats).filter(name => formats[name]))
+      .join(', ')
+
+    throw new Error(
+      `Unsupported compression format "${format}", expected one of: ${supported}`
+    )
+  }
+}
+
+/**
+ * Returns the compression format of the contents of a database file. Files
+ * that aren't gzipped and don't start like JSON are taken to be compressed
+ * with brotli, which has no magic number.
+ *
+ * @param  {Buffer} data
+ * @return {string} `none`, `gzip` or `brotli`
+ */
+const detect = function(data) {
+  if (data.slice(0, GZIP_MAGIC_NUMBER.length).equals(GZIP_MAGIC_NUMBER)) {
+    return 'gzip'
+  }
+
+  // Serialised databases are JSON objects, possibly indented.
+  const start = data.slice(0, 64).toString('utf8')
+
+  return data.length === 0 || /^\s*\{/.test(start) ? 'none' : 'brotli'
+}
+
+/**
+ * Compresses data with the given format.
+ *
+ * @param  {string} format - `none`, `gzip` or `brotli`
+ * @param  {Buffer} data
+ * @return {Promise.<Buffer>}
+ */
+const compress = function(format, data) {
+  if (format === 'none') return Promise.resolve(data)
+
+  return formats[format].compress(data)
+}
+
+/**
+ * Decompresses the contents of a database file, whichever format they're
+ * in, rejecting if they can't be read.
+ *
+ * @param  {Buffer} data
+ * @return {Promise.<Buffer>}
+ */
+const decompress = function(data) {
+  const format = detect(data)
+
+  if (format === 'none') return Promise.resolve(data)
+
+  if (!formats[format]) {
+    return Promise.reject(
+      new Error(
+        `Database file is compressed with ${format}, which isn't supported`
+      )
+    )
+  }
+
+  return formats[format].decompress(data).catch(err => {
+    return Promise.reject(
+      new Error(
+        `Database file is corrupt or in an unknown format: ${err.message}`
+      )
+    )
+  })
+}
+
+module.exports = {compress, decompress, detect, validate}
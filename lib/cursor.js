@@ -0,0 +1,140 @@
+const QueryError = require('./errors').QueryError
+const Readable = require('stream').Readable
+
+const DEFAULT_BATCH_SIZE = 100
+
+/**
+ * Returns the number of documents in each batch of a cursor, throwing a
+ * `QueryError` unless it's a positive integer (or a string of digits).
+ *
+ * @param  {*} batchSize - `undefined` or `null` for the default
+ * @return {number}
+ */
+const getBatchSize = function(batchSize) {
+  if (batchSize === undefined || batchSize === null) return DEFAULT_BATCH_SIZE
+
+  const value =
+    typeof batchSize === 'string' && /^\d+$/.test(batchSize)
+      ? Number(batchSize)
+      : batchSize
+
+  if (!Number.isSafeInteger(value) || value < 1) {
+    throw new QueryError(
+      'INVALID_OPTION',
+      `batchSize must be a positive integer, not ${JSON.stringify(batchSize)}`
+    )
+  }
+
+  return value
+}
+
+/**
+ * Iterates over the results of a query in batches, so that a large result
+ * set doesn't have to be copied into a single array. The query is run, and
+ * its results sorted, when the first batch is requested, capturing the
+ * identifiers of the matching documents in their sorted order; each batch
+ * then looks up the documents that are still in the collection.
+ *
+ * @constructor Cursor
+ * @param {Function} source - a function returning a Promise for an object
+ *     with `ids`, the `$loki` identifiers of the results, and `fetch`, a
+ *     function returning the documents for the identifiers of a batch that
+ *     are still in the collection, ready to be returned
+ * @param {Object} options
+ * @param {number} options.batchSize - the number of documents in each batch
+ */
+const Cursor = function(source, options) {
+  options = options || {}
+
+  this.source = source
+  this.batchSize = options.batchSize
+  this.position = 0
+  this.results = null
+}
+
+/**
+ * Runs the query, if it hasn't been run yet. Rejects with a `QueryError` if
+ * the batch size is invalid.
+ *
+ * @return {Promise.<Object>}
+ */
+Cursor.prototype.load = function() {
+  if (!this.results) {
+    try {
+      this.batchSize = getBatchSize(this.batchSize)
+      this.results = this.source()
+    } catch (err) {
+      this.results = Promise.reject(err)
+    }
+  }
+
+  return this.results
+}
+
+/**
+ * Returns the next batch of documents, or `null` once every document has
+ * been returned. A batch can hold fewer documents than `batchSize` if some
+ * were deleted since the query was run.
+ *
+ * @return {Promise.<Array|null>}
+ */
+Cursor.prototype.next = function() {
+  return this.load().then(({ids, fetch}) => {
+    if (this.position >= ids.length) return null
+
+    const batch = ids.slice(this.position, this.position + this.batchSize)
+
+    this.position += batch.length
+
+    return fetch(batch)
+  })
+}
+
+/**
+ * Calls `callback` with each batch of documents, waiting for the Promise it
+ * returns (if any) before fetching the next one.
+ *
+ * @param  {Function} callback
+ * @return {Promise} resolves once every batch has been processed
+ */
+Cursor.prototype.forEach = function(callback) {
+  return this.next().then(documents => {
+    if (documents === null) return
+
+    return Promise.resolve(callback(documents)).then(() => {
+      return this.forEach(callback)
+    })
+  })
+}
+
+/**
+ * Returns a readable stream, in object mode, of the remaining documents.
+ *
+ * @return {stream.Readable}
+ */
+Cursor.prototype.stream = function() {
+  const cursor = this
+
+  let buffer = []
+
+  return new Readable({
+    objectMode: true,
+    read() {
+      if (buffer.length > 0) {
+        return this.push(buffer.shift())
+      }
+
+      cursor.next().then(
+        documents => {
+          if (documents === null) return this.push(null)
+
+          buffer = documents
+          this._read()
+        },
+        err => this.emit('error', err)
+      )
+    }
+  })
+}
+
+module.exports = Cursor
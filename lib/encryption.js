@@ -0,0 +1,163 @@
+const crypto = require('crypto')
+const EncryptionError = require('./errors').EncryptionError
+
+const ALGORITHM = 'aes-256-gcm'
+const IV_LENGTH = 12
+const KEY_LENGTH = 32
+
+// Encrypted data is stored as `aes-256-gcm:<key id>:<iv>:<tag>:<ciphertext>`,
+// with the binary parts encoded in base64. Serialised databases and journal
+// entries are JSON, so they can never start with this prefix.
+const PREFIX = `${ALGORITHM}:`
+
+/**
+ * Decodes a key given as 64 hexadecimal characters or as base64, throwing
+ * an `EncryptionError` unless it's 256 bits long. Each key is identified by
+ * the start of its SHA-256 hash, which is stored alongside the data it
+ * encrypts so that the right key can be picked when decrypting.
+ *
+ * @param  {string} key
+ * @return {Object} an object with `id` and `secret` (a Buffer)
+ */
+const parseKey = function(key) {
+  const secret =
+    typeof key === 'string' && /^[0-9a-f]{64}$/i.test(key)
+      ? Buffer.from(key, 'hex')
+      : Buffer.from(String(key), 'base64')
+
+  if (secret.length !== KEY_LENGTH) {
+    throw new EncryptionError(
+      'INVALID_KEY',
+      'Encryption keys must be 256 bits, given as 64 hexadecimal characters or in base64'
+    )
+  }
+
+  const id = crypto
+    .createHash('sha256')
+    .update(secret)
+    .digest('hex')
+    .slice(0, 16)
+
+  return {id, secret}
+}
+
+/**
+ * Encrypts and decrypts the data written to disk with AES-256-GCM, which
+ * also detects data that has been tampered with or corrupted.
+ *
+ * @constructor Encryption
+ * @param {Object} options
+ * @param {string} options.key - the key data is encrypted with
+ * @param {Array} options.previousKeys - keys that data may have been
+ *     encrypted with before the current key was introduced. Data encrypted
+ *     with one of these can still be decrypted
+ */
+const Encryption = function(options) {
+  this.key = parseKey(options.key)
+  this.keys = [this.key].concat((options.previousKeys || []).map(parseKey))
+}
+
+/**
+ * Returns an `Encryption` for the given configuration, or `null` if no key
+ * is configured.
+ *
+ * @param  {Object} options - the `database.encryption` configuration
+ * @return {Encryption}
+ */
+Encryption.fromConfig = function(options) {
+  return options && options.key ? new Encryption(options) : null
+}
+
+/**
+ * Whether a string or Buffer holds encrypted data.
+ *
+ * @param  {string|Buffer} data
+ * @return {Boolean}
+ */
+Encryption.isEncrypted = function(data) {
+  return String(data.slice(0, PREFIX.length)) === PREFIX
+}
+
+/**
+ * Encrypts a string, or binary data such as a compressed database, with the
+ * current key.
+ *
+ * @param  {string|Buffer} plaintext
+ * @return {string}
+ */
+Encryption.prototype.encrypt = function(plaintext) {
+  const iv = crypto.randomBytes(IV_LENGTH)
+  const cipher = crypto.createCipheriv(ALGORITHM, this.key.secret, iv)
+  const ciphertext = Buffer.concat([
+    cipher.update(plaintext, 'utf8'),
+    cipher.final()
+  ])
+
+  return [
+    ALGORITHM,
+    this.key.id,
+    iv.toString('base64'),
+    cipher.getAuthTag().toString('base64'),
+    ciphertext.toString('base64')
+  ].join(':')
+}
+
+/**
+ * Decrypts a string produced by `encrypt`, with whichever of the keys it was
+ * encrypted with. Throws an `EncryptionError` with the code `WRONG_KEY` if
+ * that key isn't configured, or `DECRYPTION_FAILED` if the data has been
+ * corrupted.
+ *
+ * @param  {string} data
+ * @param  {string} encoding - the encoding of the decrypted string, or `null`
+ *     to return a Buffer. Defaults to `utf8`
+ * @return {string|Buffer}
+ */
+Encryption.prototype.decrypt = function(data, encoding) {
+  const [, id, iv, tag, ciphertext] = data.split(':')
+  const key = this.keys.find(candidate => candidate.id === id)
+
+  if (!key) {
+    throw new EncryptionError(
+      'WRONG_KEY',
+      `Data was encrypted with a key that isn't configured (key id ${id})`
+    )
+  }
+
+  let plaintext
+
+  try {
+    const decipher = crypto.createDecipheriv(
+      ALGORITHM,
+      key.secret,
+      Buffer.from(iv, 'base64')
+    )
+
+    decipher.setAuthTag(Buffer.from(tag, 'base64'))
+
+    plaintext = Buffer.concat([
+      decipher.update(Buffer.from(ciphertext, 'base64')),
+      decipher.final()
+    ])
+  } catch (err) {
+    throw new EncryptionError(
+      'DECRYPTION_FAILED',
+      `Encrypted data is corrupt or has been tampered with: ${err.message}`
+    )
+  }
+
+  return encoding === null ? plaintext : plaintext.toString(encoding || 'utf8')
+}
+
+/**
+ * Whether a string produced by `encrypt` uses the current key, i.e. doesn't
+ * need to be encrypted again after a key rotation.
+ *
+ * @param  {string} data
+ * @return {Boolean}
+ */
+Encryption.prototype.usesCurrentKey = function(data) {
+  return data.split(':')[1] === this.key.id
+}
+
+module.exports = Encryption
@@ -0,0 +1,251 @@
+const util = require('util')
+
+/**
+ * Error raised when an aggregation pipeline is malformed, such as when it
+ * uses an unknown stage or accumulator. API surfaces these as 400 responses.
+ *
+ * @constructor AggregationError
+ * @param {string} code - a machine-readable error code, e.g. `UNKNOWN_STAGE`
+ * @param {string} message - a human-readable description of the problem
+ * @param {Object} details - the `stage` the error relates to
+ */
+const AggregationError = function AggregationError(code, message, details) {
+  Error.captureStackTrace(this, AggregationError)
+
+  details = details || {}
+
+  this.name = 'AggregationError'
+  this.code = code
+  this.message = message
+  this.stage = details.stage
+  this.statusCode = 400
+}
+
+util.inherits(AggregationError, Error)
+
+/**
+ * Error raised when an update query can't be applied, either because it is
+ * malformed or because it doesn't fit the documents it targets. API surfaces
+ * these as 400 responses.
+ *
+ * @constructor UpdateError
+ * @param {string} code - a machine-readable error code, e.g. `UNKNOWN_OPERATOR`
+ * @param {string} message - a human-readable description of the problem
+ * @param {Object} details - the `operator` and `path` the error relates to
+ */
+const UpdateError = function UpdateError(code, message, details) {
+  Error.captureStackTrace(this, UpdateError)
+
+  details = details || {}
+
+  this.name = 'UpdateError'
+  this.code = code
+  this.message = message
+  this.operator = details.operator
+  this.path = details.path
+  this.statusCode = 400
+}
+
+util.inherits(UpdateError, Error)
+
+/**
+ * Error raised when a database file can't be read, because it's truncated or
+ * otherwise corrupt, and none of its snapshots can be read either, or when
+ * an entry of its journal is corrupt. The database isn't loaded when this
+ * happens, rather than being started empty.
+ *
+ * @constructor CorruptionError
+ * @param {string} message - a human-readable description of the problem
+ * @param {Object} details - the `file` the error relates to
+ */
+const CorruptionError = function CorruptionError(message, details) {
+  Error.captureStackTrace(this, CorruptionError)
+
+  details = details || {}
+
+  this.name = 'CorruptionError'
+  this.code = 'DATABASE_CORRUPT'
+  this.message = message
+  this.file = details.file
+  this.statusCode = 500
+}
+
+util.inherits(CorruptionError, Error)
+
+/**
+ * Error raised when a write would result in two documents sharing the same
+ * values for the fields of a unique index.
+ *
+ * @constructor DuplicateKeyError
+ * @param {string} index - the name of the index
+ * @param {Array} values - the values of the indexed fields
+ */
+const DuplicateKeyError = function DuplicateKeyError(index, values) {
+  Error.captureStackTrace(this, DuplicateKeyError)
+
+  this.name = 'DuplicateKeyError'
+  this.code = 'DUPLICATE_KEY'
+  this.message = `Duplicate key for index ${index}: ${JSON.stringify(values)}`
+  this.index = index
+  this.values = values
+  this.statusCode = 409
+}
+
+util.inherits(DuplicateKeyError, Error)
+
+/**
+ * Error raised when a database file or journal can't be encrypted or
+ * decrypted: the configured key is invalid (`INVALID_KEY`), the data was
+ * encrypted with a key that isn't configured (`WRONG_KEY`), an encrypted
+ * file is found but no key is configured (`KEY_REQUIRED`) or the data is
+ * corrupt (`DECRYPTION_FAILED`). The database isn't loaded when this
+ * happens, rather than being started empty.
+ *
+ * @constructor EncryptionError
+ * @param {string} code - a machine-readable error code
+ * @param {string} message - a human-readable description of the problem
+ */
+const EncryptionError = function EncryptionError(code, message) {
+  Error.captureStackTrace(this, EncryptionError)
+
+  this.name = 'EncryptionError'
+  this.code = code
+  this.message = message
+  this.statusCode = 500
+}
+
+util.inherits(EncryptionError, Error)
+
+/**
+ * Error raised when the history of a document can't be used, either because
+ * history isn't enabled for its collection (`HISTORY_DISABLED`) or because
+ * the revision requested doesn't exist (`REVISION_NOT_FOUND`). API surfaces
+ * these as 400 and 404 responses respectively.
+ *
+ * @constructor HistoryError
+ * @param {string} code - a machine-readable error code
+ * @param {string} message - a human-readable description of the problem
+ * @param {Object} details - the `collection`, `id` and `revision` the error
+ *     relates to
+ */
+const HistoryError = function HistoryError(code, message, details) {
+  Error.captureStackTrace(this, HistoryError)
+
+  details = details || {}
+
+  this.name = 'HistoryError'
+  this.code = code
+  this.message = message
+  this.collection = details.collection
+  this.id = details.id
+  this.revision = details.revision
+  this.statusCode = code === 'REVISION_NOT_FOUND' ? 404 : 400
+}
+
+util.inherits(HistoryError, Error)
+
+/**
+ * Error raised when an index definition can't be created, such as a text
+ * index with invalid options or a second text index on a collection. API
+ * surfaces these as 400 responses.
+ *
+ * @constructor IndexError
+ * @param {string} code - a machine-readable error code, e.g. `INVALID_INDEX`
+ * @param {string} message - a human-readable description of the problem
+ * @param {Object} details - the `index` the error relates to
+ */
+const IndexError = function IndexError(code, message, details) {
+  Error.captureStackTrace(this, IndexError)
+
+  details = details || {}
+
+  this.name = 'IndexError'
+  this.code = code
+  this.message = message
+  this.index = details.index
+  this.statusCode = 400
+}
+
+util.inherits(IndexError, Error)
+
+/**
+ * Error raised when a query uses an operator that can't be translated into a
+ * LokiJS query, or an operand of the wrong type. API surfaces these as 400
+ * responses.
+ *
+ * @constructor QueryError
+ * @param {string} code - a machine-readable error code, e.g.
+ *     `UNSUPPORTED_OPERATOR`
+ * @param {string} message - a human-readable description of the problem
+ * @param {Object} details - the `operator` and `field` the error relates to
+ */
+const QueryError = function QueryError(code, message, details) {
+  Error.captureStackTrace(this, QueryError)
+
+  details = details || {}
+
+  this.name = 'QueryError'
+  this.code = code
+  this.message = message
+  this.operator = details.operator
+  this.field = details.field
+  this.statusCode = 400
+}
+
+util.inherits(QueryError, Error)
+
+/**
+ * Error raised when a transaction can't be committed, either because a
+ * document it read has since been changed by another write (`WRITE_CONFLICT`)
+ * or because it has already been committed or aborted
+ * (`TRANSACTION_CLOSED`).
+ *
+ * @constructor TransactionError
+ * @param {string} code - a machine-readable error code
+ * @param {string} message - a human-readable description of the problem
+ */
+const TransactionError = function TransactionError(code, message) {
+  Error.captureStackTrace(this, TransactionError)
+
+  this.name = 'TransactionError'
+  this.code = code
+  this.message = message
+  this.statusCode = code === 'WRITE_CONFLICT' ? 409 : 400
+}
+
+util.inherits(TransactionError, Error)
+
+/**
+ * Error raised when strict schema mode is enabled and documents being
+ * written don't match the collection schema. API surfaces these as 400
+ * responses.
+ *
+ * @constructor ValidationError
+ * @param {string} message - a human-readable description of the problem
+ * @param {Array} errors - an object for each failing field, with `field`,
+ *     `code` (`REQUIRED` or `UNKNOWN_FIELD`) and `message`, plus `index` (the
+ *     position of the document in an insert) or `id` (the `_id` of an updated
+ *     document)
+ */
+const ValidationError = function ValidationError(message, errors) {
+  Error.captureStackTrace(this, ValidationError)
+
+  this.name = 'ValidationError'
+  this.code = 'VALIDATION_FAILED'
+  this.message = message
+  this.errors = errors
+  this.statusCode = 400
+}
+
+util.inherits(ValidationError, Error)
+
+module.exports.AggregationError = AggregationError
+module.exports.CorruptionError = CorruptionError
+module.exports.DuplicateKeyError = DuplicateKeyError
+module.exports.EncryptionError = EncryptionError
+module.exports.HistoryError = HistoryError
+module.exports.IndexError = IndexError
+module.exports.QueryError = QueryError
+module.exports.TransactionError = TransactionError
+module.exports.UpdateError = UpdateError
+module.exports.ValidationError = ValidationError
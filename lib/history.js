@@ -0,0 +1,87 @@
+const utils = require('./utils')
+const uuid = require('uuid')
+
+/**
+ * The previous revisions of the documents in a collection, kept in a
+ * companion LokiJS collection. Each revision is a copy of a document as it
+ * was before being updated or deleted, stored as `document` alongside
+ * `documentId` (the `_id` of the document), `revision` (numbered from 1 for
+ * each document), `operation` (`update` or `delete`) and `timestamp`.
+ *
+ * @constructor History
+ * @param {Object} collection - the LokiJS collection holding the revisions
+ */
+const History = function(collection) {
+  this.collection = collection
+}
+
+/**
+ * Returns the number of the latest revision of a document, or 0 if it has
+ * none.
+ *
+ * @param  {string} id - the `_id` of the document
+ * @return {number}
+ */
+History.prototype.getLatestRevision = function(id) {
+  return this.collection.find({documentId: id}).reduce((latest, revision) => {
+    return Math.max(latest, revision.revision)
+  }, 0)
+}
+
+/**
+ * Stores the current version of each of the given documents as a new
+ * revision, before they're updated or deleted.
+ *
+ * @param  {string} operation - `update` or `delete`
+ * @param  {Array} documents
+ * @return {Object} the journal entry recording the revisions
+ */
+History.prototype.record = function(operation, documents) {
+  const timestamp = new Date()
+  const revisions = documents.map(document => ({
+    _id: uuid.v4(),
+    documentId: document._id,
+    revision: this.getLatestRevision(document._id) + 1,
+    operation,
+    timestamp,
+    document: utils.copyDocument(document)
+  }))
+
+  this.collection.insert(revisions)
+
+  return {
+    operation: 'insert',
+    collection: this.collection.name,
+    documents: revisions
+  }
+}
+
+/**
+ * Returns copies of the revisions of a document, oldest first.
+ *
+ * @param  {string} id - the `_id` of the document
+ * @return {Array}
+ */
+History.prototype.getRevisions = function(id) {
+  return this.collection
+    .chain()
+    .find({documentId: id})
+    .simplesort('revision')
+    .data()
+    .map(utils.copyDocument)
+}
+
+/**
+ * Returns a copy of a revision of a document, or `null` if it doesn't exist.
+ *
+ * @param  {string} id - the `_id` of the document
+ * @param  {number} revision - the number of the revision
+ * @return {Object}
+ */
+History.prototype.getRevision = function(id, revision) {
+  const result = this.collection.findOne({documentId: id, revision})
+
+  return result ? utils.copyDocument(result) : null
+}
+
+module.exports = History
@@ -1,21 +1,53 @@
 'use strict'
 
+const Aggregation = require('./aggregation')
+const ChangeStream = require('./change-stream')
+const collations = require('./collation')
+const compression = require('./compression')
 const config = require('../config')
+const Cursor = require('./cursor')
 const debug = require('debug')('api:filestore')
+const Encryption = require('./encryption')
 const EventEmitter = require('events').EventEmitter
+const FileAdapter = require('./adapter')
 const fs = require('fs')
+const History = require('./history')
+const Journal = require('./journal')
 const Loki = require('lokijs')
 const metadata = require('@dadi/metadata')
 const mkdirp = require('mkdirp')
 const path = require('path')
 const packageManifest = require('../package.json')
+const queries = require('./query')
+const schemas = require('./schema')
+const TextIndex = require('./text')
+const Transaction = require('./transaction')
+const ttl = require('./ttl')
 const util = require('util')
 const Update = require('./update')
+const utils = require('./utils')
+const {
+  AggregationError,
+  CorruptionError,
+  DuplicateKeyError,
+  EncryptionError,
+  HistoryError,
+  IndexError,
+  QueryError,
+  TransactionError,
+  UpdateError,
+  ValidationError
+} = require('./errors')
 const uuid = require('uuid')
 
 const STATE_DISCONNECTED = 0
 const STATE_CONNECTED = 1
 
+// Name of the collection holding the definitions of the indexes created with
+// `DataStore.index`, so that they're persisted along with the data.
+const INDEXES_COLLECTION = '__indexes'
+const HISTORY_COLLECTION = '__history'
+
 /**
  * @typedef ConnectionOptions
  * @type {Object}
@@ -26,10 +58,11 @@ const STATE_CONNECTED = 1
 /**
  * @typedef QueryOptions
  * @type {Object}
- * @property {number} limit - the number of records to return
+ * @property {number} limit - the number of records to return. Defaults to `database.defaultLimit` from the configuration; `0` returns every matching record
  * @property {number} skip - an offset, the number of records to skip
- * @property {Object} sort - an object specifying properties to sort by. `{"title": 1}` will sort the results by the `title` property in ascending order. To reverse the sort, use `-1`: `{"title": -1}`
+ * @property {Object} sort - an object specifying properties to sort by. `{"title": 1}` will sort the results by the `title` property in ascending order. To reverse the sort, use `-1`: `{"title": -1}`. Several properties can be given, e.g. `{"category": 1, "publishedAt": -1}`
  * @property {Object} fields - an object specifying which properties to return. `{"title": 1}` will return results with all properties removed except for `_id` and `title`
+ * @property {Object} collation - how strings are compared when sorting and matching, e.g. `{"locale": "en", "strength": 2}` (see `collation.getCollator`). Defaults to the collation of a matching index, if any
  */
 
 /**
@@ -41,8 +74,57 @@ const STATE_CONNECTED = 1
 const DataStore = function(options) {
   this.config = options || config.get()
   this.databasePath = path.resolve(this.config.database.path)
-
-  const baseDirectory = path.dirname(this.databasePath)
+  this.journalConfig =
+    this.config.database.journal || config.get('database.journal')
+
+  // Throws if the configured key isn't valid, rather than failing on save.
+  this.encryption = Encryption.fromConfig(
+    this.config.database.encryption || config.get('database.encryption')
+  )
+  this.compression =
+    this.config.database.compression === undefined
+      ? config.get('database.compression')
+      : this.config.database.compression
+
+  compression.validate(this.compression)
+
+  this.defaultLimit =
+    this.config.database.defaultLimit === undefined
+      ? config.get('database.defaultLimit')
+      : this.config.database.defaultLimit
+  this.snapshots =
+    this.config.database.snapshots === undefined
+      ? config.get('database.snapshots')
+      : this.config.database.snapshots
+  this.strictSchema =
+    this.config.database.strictSchema === undefined
+      ? config.get('database.strictSchema')
+      : this.config.database.strictSchema
+  this.ttlMonitorInterval =
+    this.config.database.ttlMonitorInterval === undefined
+      ? config.get('database.ttlMonitorInterval')
+      : this.config.database.ttlMonitorInterval
+
+  // When `connectWithCollection` is enabled, `database.path` is a directory
+  // holding a database file for each collection.
+  this.connectWithCollection = Boolean(this.config.connectWithCollection)
+
+  // The LokiJS databases loaded so far, indexed by file path. Each entry has
+  // `database` (a Promise for the LokiJS database) and `journal` properties,
+  // plus `writes`, which settles once the writes queued so far are done (see
+  // `queueWrite`).
+  this.databases = {}
+
+  // The text index of each collection that has one, by collection name.
+  this.textIndexes = {}
+
+  // The timer removing expired documents (see `removeExpiredDocuments`),
+  // started when the first database is loaded.
+  this.ttlMonitor = null
+
+  const baseDirectory = this.connectWithCollection
+    ? this.databasePath
+    : path.dirname(this.databasePath)
 
   // ensure this path exists
   this.directoryCreation = new Promise((resolve, reject) => {
@@ -145,73 +227,347 @@ DataStore.prototype.convertFieldsProjection = function(projection) {
  * @return {Promise}
  */
 DataStore.prototype.close = function() {
-  return this.database.then(database => {
-    return new Promise((resolve, reject) => {
-      database.close(resolve)
-    })
+  this.stopTTLMonitor()
+
+  return Promise.all(
+    Object.keys(this.databases).map(filePath => this.unload(filePath))
+  ).then(() => {
+    this.readyState = STATE_DISCONNECTED
   })
 }
 
 /**
- * Connect to the JSON database file
+ * Connect to the JSON database file. When `connectWithCollection` is enabled,
+ * this loads the file of the given collection.
  *
  * @param {ConnectionOptions} {database, collection}
  */
 DataStore.prototype.connect = function({database, collection}) {
   debug('connect %o', database, collection)
 
-  this.database =
-    this.database ||
-    this.directoryCreation.then(() => {
-      this.name = database
+  this.name = database
+
+  if (this.connectWithCollection && !collection) {
+    // There's no single file to load, collections are loaded as they're used.
+    this.database = this.directoryCreation.then(() => {
+      this.readyState = STATE_CONNECTED
+    })
+  } else {
+    this.database = this.getDatabase(collection)
+  }
+
+  return this.database
+}
+
+/**
+ * Returns the path of the database file holding a collection.
+ *
+ * @param {string} collectionName
+ * @returns {string}
+ */
+DataStore.prototype.getDatabasePath = function(collectionName) {
+  if (!this.connectWithCollection) {
+    return this.databasePath
+  }
+
+  return path.join(this.databasePath, `${collectionName}.db`)
+}
+
+/**
+ * Returns the LokiJS database holding a collection, loading it if needed.
+ *
+ * @param {string} collectionName
+ * @returns {Promise.<Object>}
+ */
+DataStore.prototype.getDatabase = function(collectionName) {
+  return this.load(this.getDatabasePath(collectionName)).database
+}
+
+/**
+ * Loads a database file, creating it if it doesn't exist, and replays its
+ * journal. Each file is only loaded once.
+ *
+ * @param {string} filePath
+ * @returns {Object} the entry for the file in `this.databases`
+ */
+DataStore.prototype.load = function(filePath) {
+  if (this.databases[filePath]) {
+    return this.databases[filePath]
+  }
+
+  const journal = this.journalConfig.enabled
+    ? new Journal(
+        `${filePath}.journal`,
+        Object.assign({encryption: this.encryption}, this.journalConfig)
+      )
+    : null
+
+  const database = this.directoryCreation.then(() => {
+    return new Promise((resolve, reject) => {
+      fs.stat(filePath, (err, stats) => {
+        if (err) {
+          FileAdapter.writeAtomically(
+            filePath,
+            JSON.stringify({}, null, 2)
+          ).then(resolve, reject)
+        } else {
+          resolve()
+        }
+      })
+    }).then(() => {
+      const adapter = new FileAdapter({
+        compression: this.compression,
+        encryption: this.encryption,
+        journal,
+        snapshots: this.snapshots
+      })
 
       return new Promise((resolve, reject) => {
-        fs.stat(this.databasePath, (err, stats) => {
-          if (err) {
-            fs.writeFile(
-              this.databasePath,
-              JSON.stringify({}, null, 2),
-              err => {
-                if (err) {
-                  return reject(err)
-                }
-
-                resolve()
-              }
-            )
-          } else {
-            resolve()
-          }
-        })
-      }).then(() => {
-        const database = new Loki(this.databasePath, {
+        const database = new Loki(filePath, {
+          adapter,
           autoload: true,
+          autoloadCallback: err => {
+            if (err) fail(err)
+          },
           autosave: true,
           autosaveInterval: this.config.database.autosaveInterval,
-          persistenceAdapter: 'fs',
           serializationMethod: this.config.database.serializationMethod
         })
 
-        return new Promise((resolve, reject) => {
-          database.on('loaded', msg => {
-            this.readyState = STATE_CONNECTED
+        // The database is left unloaded, so that an empty database is never
+        // saved over a file that couldn't be read (e.g. with the wrong key).
+        const fail = err => {
+          database.autosaveDisable()
 
-            this.emit('DB_CONNECTED', database)
+          if (this.databases[filePath] === entry) {
+            delete this.databases[filePath]
+          }
 
-            return resolve(database)
-          })
+          reject(err)
+        }
+
+        database.on('loaded', msg => {
+          this.replayJournal(database, journal)
+            .then(() => {
+              if (!adapter.needsRewriting) return
+
+              // Saving re-encrypts a file that isn't encrypted with the
+              // current key, e.g. after a key rotation, compresses a file
+              // saved before compression was enabled (or with another format)
+              // and replaces a corrupt file with the snapshot it was
+              // recovered from, plus the journal.
+              return util.promisify(database.saveDatabase).call(database)
+            })
+            .then(() => {
+              if (adapter.recovery) {
+                this.emit('DB_RECOVERED', Object.assign({}, adapter.recovery))
+              }
+
+              this.readyState = STATE_CONNECTED
+
+              this.emit('DB_CONNECTED', database)
+
+              return resolve(database)
+            })
+            .catch(fail)
         })
       })
     })
+  })
 
-  return this.database
+  const entry = {database, journal, writes: Promise.resolve()}
+
+  this.databases[filePath] = entry
+
+  this.startTTLMonitor()
+
+  return this.databases[filePath]
+}
+
+/**
+ * Closes a database file, persisting it to disk, and forgets about it so
+ * that it's loaded again the next time it's needed.
+ *
+ * @param {string} filePath
+ * @returns {Promise}
+ */
+DataStore.prototype.unload = function(filePath) {
+  const entry = this.databases[filePath]
+
+  if (!entry) {
+    return Promise.resolve()
+  }
+
+  delete this.databases[filePath]
+
+  return entry.database
+    .then(database => {
+      return new Promise((resolve, reject) => {
+        database.close(resolve)
+      })
+    })
+    .then(() => {
+      if (entry.journal) {
+        return entry.journal.close()
+      }
+    })
+}
+
+/**
+ * Records a mutation in the journal of the database holding a collection, if
+ * enabled. Documents are stored without the LokiJS internal properties, as
+ * they're matched by `_id` on replay.
+ *
+ * @param {Object} entry - an object with `operation` and `collection`
+ *     properties, plus `documents` for inserts and updates or `ids` for
+ *     deletes. Drops list the names of the cleared collections in
+ *     `collections`, and transactions list their mutations in `entries`
+ * @returns {Promise}
+ */
+DataStore.prototype.writeJournal = function(entry) {
+  const {journal} = this.load(this.getDatabasePath(entry.collection))
+
+  if (!journal) {
+    return Promise.resolve()
+  }
+
+  const strip = item => {
+    if (item.documents) {
+      item.documents = item.documents.map(document => {
+        return Object.keys(document).reduce((result, key) => {
+          if (key !== '$loki' && key !== 'meta') {
+            result[key] = document[key]
+          }
+
+          return result
+        }, {})
+      })
+    }
+
+    if (item.entries) {
+      item.entries.forEach(strip)
+    }
+  }
+
+  strip(entry)
+
+  return journal.append(entry)
+}
+
+/**
+ * Records the mutations made by a transaction. The entries for each database
+ * file are written as a single `transaction` entry, so that they're replayed
+ * together or not at all. Files have a journal each, written independently,
+ * so this only holds within each file.
+ *
+ * @param {Array} entries - the journal entries of the mutations
+ * @returns {Promise}
+ */
+DataStore.prototype.writeTransactionJournal = function(entries) {
+  const groups = entries.reduce((result, entry) => {
+    const filePath = this.getDatabasePath(entry.collection)
+
+    result[filePath] = (result[filePath] || []).concat(entry)
+
+    return result
+  }, {})
+
+  return Promise.all(
+    Object.keys(groups).map(filePath => {
+      return this.writeJournal({
+        operation: 'transaction',
+        collection: groups[filePath][0].collection,
+        entries: groups[filePath]
+      })
+    })
+  )
+}
+
+/**
+ * Applies the mutations recorded in the journal to a freshly loaded database.
+ * Replaying an entry is idempotent, so entries already included in the
+ * database file have no effect.
+ *
+ * @param {Object} database - the LokiJS database
+ * @param {Journal} journal - the journal of the database, if enabled
+ * @returns {Promise}
+ */
+DataStore.prototype.replayJournal = function(database, journal) {
+  if (!journal) {
+    return Promise.resolve()
+  }
+
+  return journal.read().then(entries => {
+    entries.forEach(entry => this.replayJournalEntry(database, entry))
+
+    if (entries.length > 0) {
+      debug('replayed %s journal entries', entries.length)
+    }
+  })
+}
+
+/**
+ * Applies a journal entry to a database.
+ *
+ * @param {Object} database - the LokiJS database
+ * @param {Object} entry - the journal entry
+ */
+DataStore.prototype.replayJournalEntry = function(database, entry) {
+  if (entry.operation === 'transaction') {
+    entry.entries.forEach(child => this.replayJournalEntry(database, child))
+
+    return
+  }
+
+  const collections = (entry.collections || [entry.collection]).map(name => {
+    return database.getCollection(name) || database.addCollection(name)
+  })
+  const collection = collections[0]
+
+  switch (entry.operation) {
+    case 'insert':
+    case 'update':
+      entry.documents.forEach(document => {
+        const existing = collection.findOne({_id: document._id})
+
+        if (existing) {
+          collection.update(
+            Object.assign(
+              {$loki: existing.$loki, meta: existing.meta},
+              document
+            )
+          )
+        } else {
+          collection.insert(document)
+        }
+      })
+
+      break
+    case 'delete':
+      collection.findAndRemove({_id: {$in: entry.ids}})
+
+      break
+    case 'drop':
+      collections.forEach(dropped => dropped.clear())
+
+      break
+  }
 }
 
 /**
+ * Returns the LokiJS collection with the given name, creating it if it
+ * doesn't exist. A LokiJS collection can also be given, in which case it's
+ * returned as is.
  *
+ * @param {string|Object} collectionName
+ * @returns {Promise.<Object>}
  */
 DataStore.prototype.getCollection = function(collectionName) {
-  return this.database.then(database => {
+  if (collectionName instanceof Loki.Collection) {
+    return Promise.resolve(collectionName)
+  }
+
+  return this.getDatabase(collectionName).then(database => {
     return new Promise((resolve, reject) => {
       let collection = database.getCollection(collectionName)
 
@@ -249,87 +605,183 @@ DataStore.prototype.handshake = function() {
 }
 
 /**
+ * Translates a query from the MongoDB dialect API uses into a LokiJS query.
+ * Throws a `QueryError` if the query uses an operator that can't be
+ * translated.
  *
+ * @param {Object} query - the query
+ * @param {Object} schema - the JSON schema for the collection. The values
+ *     compared against `Number`, `Boolean` and `DateTime` fields are
+ *     converted to the field's type (see `schema.coerceCondition`)
+ * @param {Intl.Collator} collator - compares strings, if given (see
+ *     `getCollator`)
+ * @returns {Object} the LokiJS query
  */
-DataStore.prototype.prepareQuery = function(query, schema) {
-  Object.keys(query).forEach(key => {
-    if (Object.prototype.toString.call(query[key]) === '[object RegExp]') {
-      const re = new RegExp(query[key])
+DataStore.prototype.prepareQuery = function(query, schema, collator) {
+  const expressions = this.getQueryExpressions(query, schema, collator)
 
-      query[key] = {$regex: [re.source, re.flags]}
-    } else {
-      if (typeof query[key] === 'object' && query[key]) {
-        Object.keys(query[key]).forEach(k => {
-          // change $ne: null to $ne: undefined, as per https://github.com/techfort/LokiJS/issues/285
-          if (
-            k === '$ne' &&
-            typeof query[key][k] === 'object' &&
-            query[key][k] === null
-          ) {
-            query[key] = {$ne: undefined}
-          }
-        })
-      } else if (query[key] === null) {
-        query[key] = {
-          $exists: false
-        }
-      }
+  // Construct an $and query when more than one expression is given.
+  if (expressions.length > 1) {
+    return {
+      $and: expressions
     }
-  })
+  }
+
+  return expressions[0] || {}
+}
+
+/**
+ * Transforms a query like this:
+ *
+ * {"fieldOne": 1, "fieldTwo": {"$gt": 1, "$lt": 10}}
+ *
+ * ... into a list of LokiJS expressions that must all match:
+ *
+ * [
+ *   {"fieldOne": 1},
+ *   {"fieldTwo": {"$gt": 1}},
+ *   {"fieldTwo": {"$lt": 10}}
+ * ]
+ *
+ * Conditions on fields are translated into LokiJS operators along the way
+ * (see `query.translateCondition`), and the queries inside `$and`, `$or` and
+ * `$nor` are prepared in the same way, at any depth.
+ *
+ * @param {Object} query - the query
+ * @param {Object} schema - the JSON schema for the collection
+ * @param {Intl.Collator} collator - compares strings, if given
+ * @returns {Array} the LokiJS expressions
+ */
+DataStore.prototype.getQueryExpressions = function(query, schema, collator) {
+  return Object.keys(query || {}).reduce((expressions, key) => {
+    switch (key) {
+      // The expressions of an $and can be merged with the others.
+      case '$and':
+        queries.validateLogicalOperand(key, query[key])
+
+        query[key].forEach(child => {
+          expressions.push(...this.getQueryExpressions(child, schema, collator))
+        })
+
+        break
+
+      case '$or': {
+        queries.validateLogicalOperand(key, query[key])
+
+        const children = query[key].map(child => {
+          return this.prepareQuery(child, schema, collator)
+        })
+
+        // An empty query matches every document, and so does the $or.
+        if (children.some(child => Object.keys(child).length === 0)) break
 
-  // Transform a query like this:
-  //
-  // {"fieldOne": 1, "fieldTwo": {"$gt": 1, "$lt": 10}}
-  //
-  // ... into:
-  //
-  // [
-  //   {"fieldOne": 1},
-  //   {"fieldTwo": {"$gt": 1}},
-  //   {"fieldTwo": {"$lt": 10}}
-  // ]
-  const expressions = Object.keys(query).reduce((expressions, field) => {
-    if (Boolean(query[field]) && typeof query[field] === 'object') {
-      Object.keys(query[field]).forEach(operator => {
         expressions.push({
-          [field]: {
-            [operator]: query[field][operator]
-          }
+          $or: children.reduce((result, child) => {
+            // A nested $or can be merged with this one.
+            return result.concat(
+              Object.keys(child).length === 1 && child.$or ? child.$or : child
+            )
+          }, [])
         })
-      })
-    } else {
-      expressions.push({
-        [field]: query[field]
-      })
+
+        break
+      }
+
+      case '$text':
+        throw new QueryError(
+          'UNSUPPORTED_OPERATOR',
+          '$text can only be used at the top level of a query given to find or cursor',
+          {operator: key}
+        )
+
+      case '$nor':
+        queries.validateLogicalOperand(key, query[key])
+
+        query[key].forEach(child => {
+          expressions.push(
+            ...this.getQueryExpressions(
+              queries.negateQuery(child),
+              schema,
+              collator
+            )
+          )
+        })
+
+        break
+
+      default:
+        if (key.charAt(0) === '$') {
+          throw new QueryError(
+            'UNSUPPORTED_OPERATOR',
+            `Query operator '${key}' is not supported`,
+            {operator: key}
+          )
+        }
+
+        expressions.push(
+          ...queries.translateCondition(
+            key,
+            this.normaliseCondition(
+              key,
+              schemas.coerceCondition(query[key], schemas.getField(schema, key))
+            ),
+            collator
+          )
+        )
     }
 
     return expressions
   }, [])
+}
 
-  // Construct an $and query when more than one expression is given.
-  if (expressions.length > 1) {
-    query = {
-      $and: expressions
+/**
+ * Rewrites the condition on a field where LokiJS expects something other
+ * than what MongoDB accepts.
+ *
+ * @param {string} field - the field, which can use dot-notation
+ * @param {*} condition
+ * @returns {*} the condition
+ */
+DataStore.prototype.normaliseCondition = function(field, condition) {
+  if (Object.prototype.toString.call(condition) === '[object RegExp]') {
+    const re = new RegExp(condition)
+
+    return {$regex: [re.source, re.flags]}
+  }
+
+  if (condition === null) {
+    return {
+      $exists: false
     }
   }
 
-  return query
+  // change $ne: null to $ne: undefined, as per https://github.com/techfort/LokiJS/issues/285
+  // (on nested fields, `$ne: null` is evaluated outside of LokiJS).
+  if (
+    typeof condition === 'object' &&
+    condition.$ne === null &&
+    field.indexOf('.') === -1
+  ) {
+    return Object.assign({}, condition, {$ne: undefined})
+  }
+
+  return condition
 }
 
 /**
+ * Returns the sort specification for a query, mapping each field (possibly
+ * in dot-notation) to a direction. Documents are sorted by insertion order
+ * (i.e. `$loki`) when no sort is given, and ties between documents are
+ * broken by insertion order too, so that sorting is stable.
  *
+ * @param {QueryOptions} options
+ * @returns {Object}
  */
 DataStore.prototype.getSortParameters = function(options) {
-  const sort = {
-    property: '$loki',
-    descending: false
-  }
+  const sort = Object.assign({}, options.sort)
 
-  if (options.sort) {
-    sort.property = Object.keys(options.sort)[0]
-    sort.descending = options.sort[sort.property] === -1
-    // } else if (Object.keys(query).length) {
-    //   sortProperty = Object.keys(query)[0]
+  if (sort.$loki === undefined) {
+    sort.$loki = 1
   }
 
   return sort
@@ -353,155 +805,1355 @@ DataStore.prototype.find = function({
   settings
 }) {
   options = options || {}
-  query = this.prepareQuery(query, schema)
-
-  debug('find in %s where %s %o', collection, JSON.stringify(query), options)
-
-  return new Promise((resolve, reject) => {
-    this.getCollection(collection)
-      .then(collection => {
-        let results
-
-        const sort = this.getSortParameters(options)
-
-        const baseResultset = collection.chain().find(query)
-        const branchedResultset = baseResultset.branch()
-
-        // count of records matching the filter
-        const count = branchedResultset.count()
-
-        results = baseResultset
-          .simplesort(sort.property, sort.descending)
-          .offset(options.skip || 0)
-          .limit(options.limit || 100)
-          .data()
 
-        // Apply filters projection, if defined.
-        results = this.applyFieldsFilterToResults(options.fields, results)
+  return this.findDocuments({query, collection, options, schema}).then(
+    ({count, documents, fields, limit}) => {
+      const returnData = {}
 
-        const returnData = {}
+      // Apply filters projection, if defined.
+      returnData.results = this.applyFieldsFilterToResults(fields, documents)
+      returnData.metadata = this.getMetadata(
+        Object.assign({}, options, {limit}),
+        count
+      )
 
-        returnData.results = results
-        returnData.metadata = this.getMetadata(options, count)
-
-        return resolve(returnData)
-      })
-      .catch(err => {
-        return reject(err)
-      })
-  })
+      return returnData
+    }
+  )
 }
 
 /**
- * Insert documents into the database
+ * Turns a query given to `find` or `cursor` into a LokiJS query. A `$text`
+ * condition is looked up in the text index of the collection, and expired
+ * documents are left out.
  *
- * @param {Object|Array} data - a single document or an Array of documents to insert
- * @param {string} collection - the name of the collection to insert into
+ * @param {Object} query - the query to perform
+ * @param {Object} collection - the LokiJS collection
+ * @param {Array} definitions - the index definitions of the collection
+ * @param {QueryOptions} options - the query options, for the collation
  * @param {Object} schema - the JSON schema for the collection
- * @returns {Promise.<Array, Error>} A promise that returns an Array of inserted documents,
- *     or an Error if the operation fails
+ * @returns {Object} an object with `filter`, the LokiJS query, `collator`
+ *     and `scores`, the text score of each matching document by `$loki`
+ *     identifier if the query has a `$text` condition
  */
-DataStore.prototype.insert = function({
-  data,
+DataStore.prototype.prepareFind = function({
+  query,
   collection,
-  options = {},
-  schema,
-  settings = {}
+  definitions,
+  options,
+  schema
 }) {
-  debug('insert into %s %o', collection, data)
-
-  // make an Array of documents if an Object has been provided
-  if (!Array.isArray(data)) {
-    data = [data]
+  const collator = this.getCollator(options, query, definitions)
+  const search = query && query.$text
+  let scores = null
+
+  if (search !== undefined) {
+    query = Object.assign({}, query)
+    delete query.$text
+
+    scores = this.getTextIndex(collection, definitions).search(
+      collection,
+      search
+    )
   }
 
-  // add an _id if the document doesn't come with one
-  data.forEach(document => {
-    document._id = document._id || uuid.v4()
-  })
-
-  return new Promise((resolve, reject) => {
-    this.getCollection(collection).then(collection => {
-      try {
-        let results = collection.insert(data)
+  const expressions = this.getExpiryExpressions(definitions)
 
-        results = Array.isArray(results) ? results : [results]
+  if (scores) {
+    expressions.unshift({$loki: {$where: id => scores.has(id)}})
+  }
 
-        return resolve(results)
-      } catch (err) {
-        console.log(err)
+  const filter = this.addQueryExpressions(
+    this.prepareQuery(query, schema, collator),
+    expressions
+  )
 
-        return reject(err)
-      }
-    })
-  })
+  return {
+    collator,
+    filter: this.orderExpressionsByIndex(filter, definitions),
+    scores
+  }
 }
 
 /**
- * Update documents in the database
+ * Runs a query, returning the matching documents held by LokiJS (i.e. before
+ * any fields projection is applied) for the requested page.
  *
- * @param {Object} query - the query that selects documents for update
- * @param {string} collection - the name of the collection to update documents in
- * @param {Object} update - the update for the documents matching the query
+ * @param {Object} query - the query to perform
+ * @param {string} collection - the name of the collection to query
+ * @param {QueryOptions} options - a set of query options, such as offset, limit, sort
  * @param {Object} schema - the JSON schema for the collection
- * @returns {Promise.<Array, Error>} A promise that returns an Array of updated documents,
- *     or an Error if the operation fails
+ * @returns {Promise.<Object, Error>} A promise that returns an Object with the
+ *     properties `documents`, `count` (the number of documents matching the
+ *     query), `fields` (the projection left to apply, see `applyTextScores`)
+ *     and `limit` (the limit that was applied)
  */
-DataStore.prototype.update = function({
+DataStore.prototype.findDocuments = function({
   query,
   collection,
-  update,
-  options = {},
+  options,
   schema
 }) {
-  query = this.prepareQuery(query)
+  debug('find in %s where %o %o', collection, query, options)
+
+  return Promise.all([
+    this.getCollection(collection),
+    this.getIndexDefinitions(collection)
+  ]).then(([lokiCollection, definitions]) => {
+    const {collator, filter, scores} = this.prepareFind({
+      query,
+      collection: lokiCollection,
+      definitions,
+      options,
+      schema
+    })
+    const sort = this.getSortParameters(options)
 
-  debug('update %s where %o with %o', collection, query, update)
+    const baseResultset = lokiCollection.chain().find(filter)
+    const branchedResultset = baseResultset.branch()
 
-  return new Promise((resolve, reject) => {
-    this.getCollection(collection).then(collection => {
-      const updateFn = new Update(update)
+    // count of records matching the filter
+    const count = branchedResultset.count()
 
-      let results = collection
-        .chain()
-        .find(query)
-        .data()
+    const sortedResultset =
+      Object.keys(sort).length === 1 && sort.$loki === 1
+        ? baseResultset.simplesort('$loki')
+        : baseResultset.sort(this.getSortFunction(sort, collator, scores))
 
-      results = updateFn.update(results)
+    const limit = this.getLimit(options)
 
-      collection.update(results)
+    let pagedResultset = sortedResultset.offset(options.skip || 0)
 
-      return resolve({
-        matchedCount: results.length
-      })
-    })
+    if (limit > 0) {
+      pagedResultset = pagedResultset.limit(limit)
+    }
+
+    const {documents, fields} = this.applyTextScores(
+      pagedResultset.data(),
+      options.fields,
+      scores
+    )
+
+    return {count, documents, fields, limit}
   })
 }
 
 /**
- * Remove documents from the database
+ * Returns the LokiJS expressions excluding the documents that have expired
+ * according to the TTL indexes of a collection. Expired documents are only
+ * removed every `database.ttlMonitorInterval` milliseconds (see
+ * `removeExpiredDocuments`), so they're left out of the results until then.
  *
- * @param {Object} query - the query that selects documents for deletion
- * @param {string} collection - the name of the collection to delete from
- * @param {Object} schema - the JSON schema for the collection
- * @returns {Promise.<Array, Error>} A promise that returns an Object with one property `deletedCount`,
- *     or an Error if the operation fails
+ * @param {Array} definitions - the index definitions of the collection
+ * @returns {Array}
  */
-DataStore.prototype.delete = function({query, collection, schema}) {
-  query = this.prepareQuery(query)
+DataStore.prototype.getExpiryExpressions = function(definitions) {
+  const now = Date.now()
 
-  debug('delete from %s where %o', collection, query)
+  return definitions
+    .filter(ttl.isTTLIndex)
+    .map(definition => ttl.getExpiryQuery(definition, now, false))
+}
 
-  return new Promise((resolve, reject) => {
-    this.getCollection(collection).then(collection => {
-      const results = collection.chain().find(query)
-      const count = results.data().length
+/**
+ * Returns a query prepared with `prepareQuery` that also requires the given
+ * LokiJS expressions to match.
+ *
+ * @param {Object} query - a query prepared with `prepareQuery`
+ * @param {Array} expressions
+ * @returns {Object}
+ */
+DataStore.prototype.addQueryExpressions = function(query, expressions) {
+  if (expressions.length === 0) return query
 
-      results.remove()
+  if (Object.keys(query).length === 0 && expressions.length === 1) {
+    return expressions[0]
+  }
 
-      return resolve({deletedCount: count})
-    })
-  })
+  return {
+    $and:
+      Object.keys(query).length === 0
+        ? expressions
+        : expressions.concat(query.$and || query)
+  }
+}
+
+/**
+ * Returns the collator strings are compared with when sorting and matching:
+ * the one described by `options.collation` or, if there isn't one, by the
+ * collation of an index whose first field is the first field sorted on or,
+ * failing that, one of the fields queried. Returns `null` when strings are
+ * compared by code point.
+ *
+ * @param {QueryOptions} options
+ * @param {Object} query - the query, before being prepared with `prepareQuery`
+ * @param {Array} definitions - the index definitions of the collection
+ * @returns {Intl.Collator}
+ */
+DataStore.prototype.getCollator = function(options, query, definitions) {
+  if (options.collation !== undefined) {
+    return collations.getCollator(options.collation)
+  }
+
+  const fields = Object.keys(options.sort || {})
+    .slice(0, 1)
+    .concat(Object.keys(query || {}))
+
+  for (let i = 0; i < fields.length; i++) {
+    const definition = definitions.find(({keys, options: indexOptions}) => {
+      return indexOptions.collation && Object.keys(keys)[0] === fields[i]
+    })
+
+    if (definition) {
+      return collations.getCollator(definition.options.collation)
+    }
+  }
+
+  return null
+}
+
+/**
+ * Returns the text index of a collection, throwing a `QueryError` if it
+ * doesn't have one.
+ *
+ * @param {Object} collection - the LokiJS collection
+ * @param {Array} definitions - the index definitions of the collection
+ * @returns {TextIndex}
+ */
+DataStore.prototype.getTextIndex = function(collection, definitions) {
+  const definition = definitions.find(TextIndex.isTextIndex)
+
+  if (!definition) {
+    throw new QueryError(
+      'TEXT_INDEX_REQUIRED',
+      `$text requires a text index on ${collection.name}`,
+      {operator: '$text'}
+    )
+  }
+
+  // Each document is tokenised once per version of the index definition.
+  const signature = JSON.stringify([definition.keys, definition.options])
+  const cached = this.textIndexes[collection.name]
+
+  if (!cached || cached.signature !== signature) {
+    if (cached) {
+      cached.index.detach()
+    }
+
+    this.textIndexes[collection.name] = {
+      index: new TextIndex(definition),
+      signature
+    }
+  }
+
+  const index = this.textIndexes[collection.name].index
+
+  index.sync(collection)
+
+  return index
+}
+
+/**
+ * Returns the function documents are sorted with. Fields sorted by
+ * `{$meta: 'textScore'}` put the documents with the highest text score
+ * first.
+ *
+ * @param {Object} sort - as returned by `getSortParameters`
+ * @param {Intl.Collator} collator - compares strings, if given
+ * @param {Map} scores - the text score of each document, by `$loki`
+ *     identifier, if the query has a `$text` condition
+ * @returns {Function}
+ */
+DataStore.prototype.getSortFunction = function(sort, collator, scores) {
+  const fields = Object.keys(sort)
+
+  if (!fields.some(field => TextIndex.isScore(sort[field]))) {
+    return utils.getSortFunction(sort, collator)
+  }
+
+  if (!scores) {
+    throw new QueryError(
+      'INVALID_OPERAND',
+      'Sorting by text score requires a $text query',
+      {operator: '$meta'}
+    )
+  }
+
+  const comparisons = fields.map(field => {
+    return TextIndex.isScore(sort[field])
+      ? (a, b) => scores.get(b.$loki) - scores.get(a.$loki)
+      : utils.getSortFunction({[field]: sort[field]}, collator)
+  })
+
+  return (a, b) => {
+    return comparisons.reduce((result, compare) => result || compare(a, b), 0)
+  }
+}
+
+/**
+ * Adds the text score of each document to the fields projected as
+ * `{$meta: 'textScore'}`, copying the documents so that those held by
+ * LokiJS aren't modified.
+ *
+ * @param {Array} documents
+ * @param {Object} fields - the fields projection
+ * @param {Map} scores - the text score of each document, by `$loki`
+ *     identifier, if the query has a `$text` condition
+ * @returns {Object} an object with `documents` and `fields`, the projection
+ *     that remains to be applied (see `applyFieldsFilterToResults`)
+ */
+DataStore.prototype.applyTextScores = function(documents, fields, scores) {
+  const scoreFields =
+    fields && !Array.isArray(fields)
+      ? Object.keys(fields).filter(field => TextIndex.isScore(fields[field]))
+      : []
+
+  if (scoreFields.length === 0) {
+    return {documents, fields}
+  }
+
+  if (!scores) {
+    throw new QueryError(
+      'INVALID_OPERAND',
+      'Projecting the text score requires a $text query',
+      {operator: '$meta', field: scoreFields[0]}
+    )
+  }
+
+  const projection = Object.keys(fields).reduce((result, field) => {
+    if (scoreFields.indexOf(field) === -1) {
+      result[field] = fields[field]
+    }
+
+    return result
+  }, {})
+  const isInclusion = Object.keys(projection).some(field => {
+    return Number(projection[field]) !== 0
+  })
+
+  if (isInclusion) {
+    scoreFields.forEach(field => {
+      projection[field] = 1
+    })
+  }
+
+  return {
+    documents: documents.map(document => {
+      return scoreFields.reduce((result, field) => {
+        result[field] = scores.get(document.$loki)
+
+        return result
+      }, Object.assign({}, document))
+    }),
+    fields: projection
+  }
+}
+
+/**
+ * Returns the maximum number of documents a query should return, which is
+ * `options.limit` if specified or `fallback` (by default, the configured
+ * default limit) otherwise. A value of `0` means there's no limit. Throws a
+ * `QueryError` if the limit isn't a non-negative integer, or a string of
+ * digits.
+ *
+ * @param {QueryOptions} options
+ * @param {number} fallback - the limit to use if none is specified
+ * @returns {number}
+ */
+DataStore.prototype.getLimit = function(options, fallback) {
+  const {limit} = options
+
+  if (limit === undefined || limit === null) {
+    return fallback === undefined ? this.defaultLimit : fallback
+  }
+
+  const value =
+    typeof limit === 'string' && /^\d+$/.test(limit) ? Number(limit) : limit
+
+  if (!Number.isSafeInteger(value) || value < 0) {
+    throw new QueryError(
+      'INVALID_OPTION',
+      `limit must be a non-negative integer, not ${JSON.stringify(limit)}`
+    )
+  }
+
+  return value
+}
+
+/**
+ * Query the database, returning a Cursor that yields the results in batches
+ * rather than a single array. Unlike `find`, the configured default limit
+ * doesn't apply, so every matching document is returned unless
+ * `options.limit` is specified.
+ *
+ * @param {Object} query - the query to perform
+ * @param {string} collection - the name of the collection to query
+ * @param {QueryOptions} options - a set of query options, such as offset, limit, sort, fields
+ * @param {number} options.batchSize - the number of documents in each batch
+ * @param {Object} schema - the JSON schema for the collection
+ * @returns {Cursor}
+ */
+DataStore.prototype.cursor = function({
+  query,
+  collection,
+  options = {},
+  schema
+}) {
+  options = options || {}
+
+  debug('cursor in %s where %o %o', collection, query, options)
+
+  // The query is run, and its results sorted, once for the first batch. Only
+  // the identifiers of the results are kept, and each batch looks up its own.
+  const source = () => {
+    return Promise.all([
+      this.getCollection(collection),
+      this.getIndexDefinitions(collection)
+    ]).then(([lokiCollection, definitions]) => {
+      const {collator, filter, scores} = this.prepareFind({
+        query,
+        collection: lokiCollection,
+        definitions,
+        options,
+        schema
+      })
+      const sort = this.getSortParameters(options)
+      const limit = this.getLimit(options, 0)
+      const skip = options.skip || 0
+      const rows = lokiCollection
+        .chain()
+        .find(filter)
+        .sort(this.getSortFunction(sort, collator, scores))
+        .filteredrows.slice(skip, limit > 0 ? skip + limit : undefined)
+
+      return {
+        ids: rows.map(row => lokiCollection.data[row].$loki),
+        fetch: ids => {
+          const {documents, fields} = this.applyTextScores(
+            ids.map(id => lokiCollection.get(id)).filter(Boolean),
+            options.fields,
+            scores
+          )
+
+          return this.applyFieldsFilterToResults(fields, documents)
+        }
+      }
+    })
+  }
+
+  return new Cursor(source, {batchSize: options.batchSize})
+}
+
+/**
+ * Runs an aggregation pipeline on a collection. Supports the `$match`,
+ * `$group`, `$project`, `$sort`, `$skip`, `$limit`, `$unwind` and `$count`
+ * stages.
+ *
+ * @param {string} collection - the name of the collection to aggregate
+ * @param {Array} pipeline - the stages to run, in order
+ * @param {Object} schema - the JSON schema for the collection
+ * @returns {Promise.<Array, Error>} A promise that returns the documents
+ *     output by the last stage, or an `AggregationError` if the pipeline is
+ *     invalid
+ */
+DataStore.prototype.aggregate = function({collection, pipeline, schema}) {
+  debug('aggregate %s %o', collection, pipeline)
+
+  return Promise.all([
+    this.getCollection(collection),
+    this.getIndexDefinitions(collection)
+  ]).then(([lokiCollection, definitions]) => {
+    const expressions = this.getExpiryExpressions(definitions)
+    const aggregation = new Aggregation(pipeline, {
+      prepareQuery: query => {
+        return this.orderExpressionsByIndex(
+          this.prepareQuery(query, schema),
+          definitions
+        )
+      },
+
+      // Expired documents that haven't been removed yet are left out.
+      query:
+        expressions.length > 0
+          ? this.addQueryExpressions({}, expressions)
+          : null
+    })
+
+    return aggregation.run(lokiCollection)
+  })
+}
+
+/**
+ * Returns the distinct values of a field among the documents matching a
+ * query, in ascending order. When the field holds an array, each of its
+ * elements is a value. Documents that don't have the field are ignored.
+ *
+ * @param {string} collection - the name of the collection to query
+ * @param {string} field - the field, which can use dot-notation
+ * @param {Object} query - the query selecting the documents
+ * @param {Object} options - `counts: true` returns, for each value, an Object
+ *     with `value` and `count` (the number of documents with that value)
+ * @param {Object} schema - the JSON schema for the collection
+ * @returns {Promise.<Array, Error>} A promise that returns an Array of values
+ */
+DataStore.prototype.distinct = function({
+  collection,
+  field,
+  query,
+  options = {},
+  schema
+}) {
+  options = options || {}
+
+  debug('distinct %s in %s where %o', field, collection, query)
+
+  return Promise.all([
+    this.getCollection(collection),
+    this.getIndexDefinitions(collection)
+  ]).then(([lokiCollection, definitions]) => {
+    query = this.addQueryExpressions(
+      this.prepareQuery(query || {}, schema),
+      this.getExpiryExpressions(definitions)
+    )
+    const values = this.getDistinctValues(
+      lokiCollection,
+      field,
+      this.orderExpressionsByIndex(query, definitions)
+    ).sort((a, b) => utils.compareValues(a.value, b.value))
+
+    return options.counts ? values : values.map(({value}) => value)
+  })
+}
+
+/**
+ * Counts the documents with each value of a field. If the collection has a
+ * binary index on the field, documents are visited in the order of the index
+ * so that equal values are counted in a single run.
+ *
+ * @param {Object} lokiCollection - the LokiJS collection
+ * @param {string} field - the field, which can use dot-notation
+ * @param {Object} query - a query prepared with `prepareQuery`
+ * @returns {Array} an Array of Objects with `value` and `count`
+ */
+DataStore.prototype.getDistinctValues = function(lokiCollection, field, query) {
+  const counts = new Map()
+  const getKey = value => {
+    return value instanceof Date
+      ? `date:${value.getTime()}`
+      : JSON.stringify(value)
+  }
+
+  const add = (value, count) => {
+    const key = getKey(value)
+
+    if (counts.has(key)) {
+      counts.get(key).count += count
+    } else {
+      counts.set(key, {value, count})
+    }
+  }
+
+  // Each value is only counted once per document, even if it appears more
+  // than once in an array.
+  const addDocumentValues = values => {
+    const keys = new Set()
+
+    values.forEach(value => {
+      const key = getKey(value)
+
+      if (value !== undefined && !keys.has(key)) {
+        keys.add(key)
+        add(value, 1)
+      }
+    })
+  }
+
+  const isIndexed =
+    field.indexOf('.') === -1 && Boolean(lokiCollection.binaryIndices[field])
+
+  if (!isIndexed) {
+    lokiCollection
+      .chain()
+      .find(query)
+      .data()
+      .forEach(document => {
+        addDocumentValues(utils.collectValues(document, field.split('.')))
+      })
+
+    return Array.from(counts.values())
+  }
+
+  // Rebuilds the index if it's out of date.
+  lokiCollection.ensureIndex(field)
+
+  const matches =
+    Object.keys(query).length === 0
+      ? null
+      : new Set(
+          lokiCollection
+            .chain()
+            .find(query)
+            .data()
+        )
+
+  let run = {count: 0}
+
+  lokiCollection.binaryIndices[field].values.forEach(position => {
+    const document = lokiCollection.data[position]
+    const value = document[field]
+
+    if ((matches && !matches.has(document)) || value === undefined) return
+
+    if (Array.isArray(value)) {
+      addDocumentValues(value)
+    } else if (run.count > 0 && utils.isEqual(value, run.value)) {
+      run.count++
+    } else {
+      if (run.count > 0) add(run.value, run.count)
+
+      run = {count: 1, value}
+    }
+  })
+
+  if (run.count > 0) add(run.value, run.count)
+
+  return Array.from(counts.values())
+}
+
+/**
+ * Insert documents into the database
+ *
+ * @param {Object|Array} data - a single document or an Array of documents to insert
+ * @param {string} collection - the name of the collection to insert into
+ * @param {Object} options - `strict` turns strict schema mode on or off for
+ *     this insert (see `isStrict`)
+ * @param {Object} schema - the JSON schema for the collection. The values of
+ *     `Number`, `Boolean` and `DateTime` fields are converted to the field's
+ *     type (see `schema.coerceDocument`)
+ * @returns {Promise.<Array, Error>} A promise that returns an Array of inserted documents,
+ *     or an Error if the operation fails
+ */
+DataStore.prototype.insert = function({
+  data,
+  collection,
+  options = {},
+  schema,
+  settings = {}
+}) {
+  debug('insert into %s %o', collection, data)
+
+  // `createMutation` throws if the documents don't match the schema.
+  return Promise.resolve()
+    .then(() => {
+      return this.createMutation('insert', {data, collection, options, schema})
+    })
+    .then(mutation => this.mutate(mutation))
+}
+
+/**
+ * Describes an insert, update or delete so that it can be applied with
+ * `applyMutation`, either straight away or when a transaction is committed.
+ *
+ * @param {string} operation - `insert`, `update` or `delete`
+ * @param {Object} parameters - the parameters given to the method of the
+ *     same name
+ * @returns {Object}
+ */
+DataStore.prototype.createMutation = function(operation, parameters) {
+  const {collection} = parameters
+
+  switch (operation) {
+    case 'insert': {
+      // make an Array of documents if an Object has been provided
+      const data = Array.isArray(parameters.data)
+        ? parameters.data
+        : [parameters.data]
+
+      const strict = this.isStrict(parameters.options, parameters.schema)
+
+      // add an _id if the document doesn't come with one
+      data.forEach(document => {
+        document._id = document._id || uuid.v4()
+
+        if (strict) {
+          schemas.applyDefaults(document, parameters.schema)
+        }
+
+        schemas.coerceDocument(document, parameters.schema)
+      })
+
+      if (strict) {
+        this.validateDocuments(data, parameters.schema, (document, index) => ({
+          index
+        }))
+      }
+
+      return {operation, collection, data}
+    }
+
+    case 'update': {
+      const options = parameters.options || {}
+
+      // The values for an upsert are taken from the query as it was given.
+      const equalityFields = options.upsert
+        ? this.getEqualityFields(parameters.query)
+        : {}
+
+      return {
+        operation,
+        collection,
+        equalityFields,
+        options,
+        query: this.prepareQuery(parameters.query, parameters.schema),
+        schema: parameters.schema,
+        strict: this.isStrict(options, parameters.schema),
+        update: parameters.update
+      }
+    }
+
+    case 'delete':
+      return {
+        operation,
+        collection,
+        query: this.prepareQuery(parameters.query, parameters.schema)
+      }
+  }
+}
+
+/**
+ * Whether documents written with the given options and schema are checked
+ * against the schema (see `validateDocuments`). Strict mode is enabled with
+ * `database.strictSchema`, and can be turned on or off for an operation with
+ * its `strict` option. Documents written without a schema aren't checked.
+ *
+ * @param {Object} options - the options of the insert or update
+ * @param {Object} schema - the JSON schema for the collection
+ * @returns {Boolean}
+ */
+DataStore.prototype.isStrict = function(options, schema) {
+  if (!schema) return false
+
+  return options && options.strict !== undefined
+    ? Boolean(options.strict)
+    : this.strictSchema
+}
+
+/**
+ * Throws a `ValidationError` listing every field of the given documents that
+ * breaks the schema: required fields that are missing and fields that aren't
+ * in the schema.
+ *
+ * @param {Array} documents
+ * @param {Object} schema - the JSON schema for the collection
+ * @param {Function} identify - receives a document and its position, and
+ *     returns the properties identifying it in each of its errors
+ */
+DataStore.prototype.validateDocuments = function(documents, schema, identify) {
+  const errors = documents.reduce((result, document, index) => {
+    return result.concat(
+      schemas.validateDocument(document, schema).map(error => {
+        return Object.assign(identify(document, index), error)
+      })
+    )
+  }, [])
+
+  if (errors.length > 0) {
+    throw new ValidationError(
+      `${errors.length} field${
+        errors.length === 1 ? '' : 's'
+      } failed validation`,
+      errors
+    )
+  }
+}
+
+/**
+ * Runs `write` once the writes already queued for the given database files
+ * have completed, holding back the writes queued after it until it has
+ * completed in turn. A write applies mutations and then waits for them to
+ * be journalled, so if journalling fails they can be rolled back without
+ * also rolling back mutations made by other writes in the meantime.
+ *
+ * @param {Array} filePaths - the paths of the database files written to
+ * @param {Function} write - a function returning a Promise
+ * @returns {Promise} A promise that returns the result of `write`
+ */
+DataStore.prototype.queueWrite = function(filePaths, write) {
+  const entries = filePaths.map(filePath => this.load(filePath))
+  const result = Promise.all(entries.map(entry => entry.writes)).then(write)
+  const completion = result.catch(() => {})
+
+  entries.forEach(entry => {
+    entry.writes = completion
+  })
+
+  return result
+}
+
+/**
+ * Applies a mutation to its collection and records it in the journal. If
+ * the journal can't be written, the mutation is rolled back, so that it
+ * isn't saved to disk with the next save either.
+ *
+ * @param {Object} mutation - as returned by `createMutation`
+ * @returns {Promise} A promise that returns the result of the mutation
+ */
+DataStore.prototype.mutate = function(mutation) {
+  const filePath = this.getDatabasePath(mutation.collection)
+
+  return this.queueWrite([filePath], () => {
+    return Promise.all([
+      this.getCollection(mutation.collection),
+      this.getIndexDefinitions(mutation.collection),
+      this.getHistory(mutation.collection)
+    ]).then(([lokiCollection, definitions, history]) => {
+      // Without a journal there's nothing to fail, and nothing to roll back.
+      const snapshots = this.load(filePath).journal
+        ? [lokiCollection]
+            .concat(history ? history.collection : [])
+            .map(Transaction.takeSnapshot)
+        : []
+
+      const {change, entry, result} = this.applyMutation(
+        mutation,
+        lokiCollection,
+        definitions,
+        history
+      )
+
+      return this.writeJournal(entry).then(
+        () => {
+          this.emitChanges([change])
+
+          return result
+        },
+        err => {
+          debug('rolling back: %o', err)
+
+          snapshots.forEach(Transaction.restoreSnapshot)
+
+          throw err
+        }
+      )
+    })
+  })
+}
+
+/**
+ * Emits a `change` event for each of the given changes, stamped with the
+ * time. Listeners that throw don't affect the operation that made the change.
+ *
+ * @param {Array} changes - the `change` objects returned by `applyMutation`,
+ *     with `false` for mutations that didn't change anything
+ */
+DataStore.prototype.emitChanges = function(changes) {
+  const timestamp = new Date()
+
+  changes.filter(Boolean).forEach(change => {
+    try {
+      this.emit('change', Object.assign({timestamp}, change))
+    } catch (err) {
+      debug('change listener failed %o', err)
+    }
+  })
+}
+
+/**
+ * Returns a stream of the changes made to a collection from now on, which
+ * can be iterated with `for await` or by calling `next`. Each change is an
+ * object with `operationType`, `collection` and `timestamp` properties, plus:
+ *
+ * - `documents`, for `insert` (including upserts)
+ * - `updates`, for `update`: an object with `_id`, `before` and `after` for
+ *   each document modified
+ * - `ids`, for `delete`: the `_id` of each document deleted
+ *
+ * `drop` changes have no other properties. Every change is also emitted as a
+ * `change` event.
+ *
+ * @param {string} collection - the name of the collection, or `undefined` to
+ *     watch every collection
+ * @param {Object|Function} filter - a query that changes must match, e.g.
+ *     `{operationType: {$in: ['update', 'delete']}}`, or a function returning
+ *     whether a change should be included
+ * @returns {ChangeStream}
+ */
+DataStore.prototype.watch = function(collection, filter) {
+  return new ChangeStream(this, collection, filter)
+}
+
+/**
+ * Applies a mutation to a LokiJS collection. This happens synchronously, so
+ * that mutations applied one after the other can't be observed (or saved to
+ * disk) half done.
+ *
+ * @param {Object} mutation - as returned by `createMutation`
+ * @param {Object} lokiCollection - the LokiJS collection
+ * @param {Array} definitions - the index definitions for the collection
+ * @param {History} history - the history of the collection, if enabled
+ * @returns {Object} an object with `result`, the value the operation returns,
+ *     `entry`, the journal entry recording it, and `change`, the change event
+ *     to emit once it's recorded (`false` if no document changed)
+ */
+DataStore.prototype.applyMutation = function(
+  mutation,
+  lokiCollection,
+  definitions,
+  history
+) {
+  switch (mutation.operation) {
+    case 'insert':
+      return this.applyInsert(mutation, lokiCollection, definitions)
+    case 'update':
+      return this.applyUpdate(mutation, lokiCollection, definitions, history)
+    case 'delete':
+      return this.applyDelete(mutation, lokiCollection, history)
+  }
+}
+
+/**
+ * Stores the previous version of the documents changed by a mutation as
+ * revisions, if the collection keeps a history. Returns the journal entry
+ * recording the mutation, which also records the revisions if there are any.
+ *
+ * @param {History} history - the history of the collection, if enabled
+ * @param {string} operation - `update` or `delete`
+ * @param {Array} documents - the documents as they were before the mutation
+ * @param {Object} entry - the journal entry recording the mutation
+ * @returns {Object}
+ */
+DataStore.prototype.recordRevisions = function(
+  history,
+  operation,
+  documents,
+  entry
+) {
+  if (!history || documents.length === 0) return entry
+
+  return {
+    operation: 'transaction',
+    collection: entry.collection,
+    entries: [history.record(operation, documents), entry]
+  }
+}
+
+DataStore.prototype.applyInsert = function(
+  {collection, data},
+  lokiCollection,
+  definitions
+) {
+  this.checkUniqueIndexes(lokiCollection, definitions, data)
+
+  let results = lokiCollection.insert(data)
+
+  results = Array.isArray(results) ? results : [results]
+
+  return {
+    change: results.length > 0 && {
+      operationType: 'insert',
+      collection,
+      documents: results.map(utils.copyDocument)
+    },
+    entry: {operation: 'insert', collection, documents: results},
+    result: results
+  }
+}
+
+/**
+ * Starts a transaction, which stages inserts, updates and deletes across
+ * collections and applies them together when committed.
+ *
+ * @returns {Transaction}
+ */
+DataStore.prototype.startTransaction = function() {
+  return new Transaction(this)
+}
+
+/**
+ * Runs `callback` with a new transaction, committing it once the callback
+ * (or the Promise it returns) completes, or aborting it if it throws.
+ *
+ * @param {Function} callback - a function that receives the transaction
+ * @returns {Promise.<Array, Error>} A promise that returns the result of
+ *     each mutation made by the transaction
+ */
+DataStore.prototype.transaction = function(callback) {
+  const transaction = this.startTransaction()
+
+  return Promise.resolve()
+    .then(() => callback(transaction))
+    .then(
+      () => transaction.commit(),
+      err => {
+        return transaction.abort().then(() => {
+          throw err
+        })
+      }
+    )
+}
+
+/**
+ * Returns the fields a query matches by equality (e.g. `{name: "Ernie"}` or
+ * `{name: {$eq: "Ernie"}}`), including those inside an `$and`. These are the
+ * fields a document created by an upsert starts with.
+ *
+ * @param {Object} query - a query, before being prepared with `prepareQuery`
+ * @returns {Object} an object of dot-notation fields and their values
+ */
+DataStore.prototype.getEqualityFields = function(query) {
+  return Object.keys(query || {}).reduce((fields, key) => {
+    const value = query[key]
+
+    if (key === '$and' && Array.isArray(value)) {
+      value.forEach(expression => {
+        Object.assign(fields, this.getEqualityFields(expression))
+      })
+    } else if (
+      key.charAt(0) === '$' ||
+      Object.prototype.toString.call(value) === '[object RegExp]'
+    ) {
+      // Other logical operators and regular expressions can't provide a value.
+    } else if (
+      value &&
+      typeof value === 'object' &&
+      !Array.isArray(value) &&
+      !(value instanceof Date) &&
+      Object.keys(value).some(operator => operator.charAt(0) === '$')
+    ) {
+      if (value.$eq !== undefined) {
+        fields[key] = value.$eq
+      }
+    } else {
+      fields[key] = value
+    }
+
+    return fields
+  }, {})
+}
+
+/**
+ * Update documents in the database
+ *
+ * @param {Object} query - the query that selects documents for update
+ * @param {string} collection - the name of the collection to update documents in
+ * @param {Object} update - the update for the documents matching the query
+ * @param {Object} options - `upsert: true` inserts a new document, built from
+ *     the equality clauses of the query and the update, if nothing matches.
+ *     `strict` turns strict schema mode on or off for this update
+ * @param {Object} schema - the JSON schema for the collection. The values of
+ *     the updated documents are converted as they are by `insert`
+ * @returns {Promise.<Object, Error>} A promise that returns an Object with the properties
+ *     `matchedCount`, `modifiedCount`, `upsertedCount` and `upsertedId`,
+ *     or an `UpdateError` if the update is invalid
+ */
+DataStore.prototype.update = function({
+  query,
+  collection,
+  update,
+  options = {},
+  schema
+}) {
+  debug('update %s where %o with %o', collection, query, update)
+
+  // `createMutation` throws if the query can't be translated.
+  return Promise.resolve()
+    .then(() => {
+      return this.createMutation('update', {
+        query,
+        collection,
+        update,
+        options,
+        schema
+      })
+    })
+    .then(mutation => this.mutate(mutation))
+}
+
+DataStore.prototype.applyUpdate = function(
+  {collection, equalityFields, options, query, schema, strict, update},
+  lokiCollection,
+  definitions,
+  history
+) {
+  const updateFn = new Update(update)
+  const results = lokiCollection
+    .chain()
+    .find(query)
+    .data()
+
+  if (results.length === 0 && options.upsert) {
+    const [seed] = new Update({$set: equalityFields}).update([{}])
+    const [document] = updateFn.update([seed], true)
+    const upserted = Object.assign({_id: uuid.v4()}, document)
+
+    if (strict) {
+      schemas.applyDefaults(upserted, schema)
+    }
+
+    schemas.coerceDocument(upserted, schema)
+
+    if (strict) {
+      this.validateDocuments([upserted], schema, ({_id}) => ({id: _id}))
+    }
+
+    const {change, entry} = this.applyInsert(
+      {collection, data: [upserted]},
+      lokiCollection,
+      definitions
+    )
+
+    return {
+      change,
+      entry: Object.assign(entry, {operation: 'update'}),
+      result: {
+        matchedCount: 0,
+        modifiedCount: 0,
+        upsertedCount: 1,
+        upsertedId: entry.documents[0]._id
+      }
+    }
+  }
+
+  // Only documents that the update actually changes are written back.
+  const updates = updateFn
+    .update(results)
+    .map((after, index) => ({
+      after: schemas.coerceDocument(after, schema),
+      before: results[index]
+    }))
+    .filter(({after, before}) => !utils.isEqual(after, before))
+  const modified = updates.map(({after}) => after)
+
+  if (strict) {
+    this.validateDocuments(modified, schema, ({_id}) => ({id: _id}))
+  }
+
+  this.checkUniqueIndexes(lokiCollection, definitions, modified)
+
+  lokiCollection.update(modified)
+
+  return {
+    change: updates.length > 0 && {
+      operationType: 'update',
+      collection,
+      updates: updates.map(({after, before}) => ({
+        _id: after._id,
+        after: utils.copyDocument(after),
+        before: utils.copyDocument(before)
+      }))
+    },
+    entry: this.recordRevisions(
+      history,
+      'update',
+      updates.map(({before}) => before),
+      {operation: 'update', collection, documents: modified}
+    ),
+    result: {
+      matchedCount: results.length,
+      modifiedCount: modified.length,
+      upsertedCount: 0,
+      upsertedId: null
+    }
+  }
+}
+
+/**
+ * Remove documents from the database
+ *
+ * @param {Object} query - the query that selects documents for deletion
+ * @param {string} collection - the name of the collection to delete from
+ * @param {Object} schema - the JSON schema for the collection
+ * @returns {Promise.<Array, Error>} A promise that returns an Object with one property `deletedCount`,
+ *     or an Error if the operation fails
+ */
+DataStore.prototype.delete = function({query, collection, schema}) {
+  debug('delete from %s where %o', collection, query)
+
+  return Promise.resolve()
+    .then(() => this.createMutation('delete', {query, collection, schema}))
+    .then(mutation => this.mutate(mutation))
+}
+
+DataStore.prototype.applyDelete = function(
+  {collection, query},
+  lokiCollection,
+  history
+) {
+  const results = lokiCollection.chain().find(query)
+  const documents = results.data()
+  const ids = documents.map(document => document._id)
+
+  results.remove()
+
+  return {
+    change: ids.length > 0 && {operationType: 'delete', collection, ids},
+    entry: this.recordRevisions(history, 'delete', documents, {
+      operation: 'delete',
+      collection,
+      ids
+    }),
+    result: {deletedCount: ids.length}
+  }
+}
+
+const historyDisabled = function(collection) {
+  return new HistoryError(
+    'HISTORY_DISABLED',
+    `Collection ${collection} does not keep a history`,
+    {collection}
+  )
+}
+
+/**
+ * Enables the history of a collection: from then on, every update and delete
+ * first stores the previous version of each document it changes as a
+ * revision (see `History`). Revisions are kept in a companion collection, in
+ * the same database file as the collection. The setting is stored in the
+ * database file, so it survives restarts.
+ *
+ * @param {string} collectionName - the name of the collection
+ * @param {Object} options - `collection`, the name of the collection holding
+ *     the revisions. Defaults to the name of the collection followed by
+ *     `History`, e.g. `articlesHistory`
+ * @returns {Promise.<Object, Error>} A promise that returns an Object with
+ *     `collection` and `history` (the name of the history collection)
+ */
+DataStore.prototype.enableHistory = function(collectionName, options) {
+  options = options || {}
+
+  const setting = {
+    collection: collectionName,
+    history: options.collection || `${collectionName}History`
+  }
+
+  return this.getDatabase(collectionName).then(database => {
+    const settings =
+      database.getCollection(HISTORY_COLLECTION) ||
+      database.addCollection(HISTORY_COLLECTION)
+    const existing = settings.findOne({collection: collectionName})
+
+    if (existing) {
+      settings.update(Object.assign(existing, setting))
+    } else {
+      settings.insert(setting)
+    }
+
+    return setting
+  })
+}
+
+/**
+ * Returns the history of a collection, or `null` if it isn't enabled (see
+ * `enableHistory`).
+ *
+ * @param {string} collectionName - the name of the collection
+ * @returns {Promise.<History>}
+ */
+DataStore.prototype.getHistory = function(collectionName) {
+  return this.getDatabase(collectionName).then(database => {
+    const settings = database.getCollection(HISTORY_COLLECTION)
+    const setting = settings && settings.findOne({collection: collectionName})
+
+    if (!setting) return null
+
+    let collection = database.getCollection(setting.history)
+
+    if (!collection) {
+      collection = database.addCollection(setting.history, {
+        indices: ['documentId']
+      })
+    }
+
+    return new History(collection)
+  })
+}
+
+/**
+ * Returns the revisions of a document, oldest first. Each revision is an
+ * Object with `documentId`, `revision`, `operation`, `timestamp` and
+ * `document` (the document as it was before the operation).
+ *
+ * @param {string} collection - the name of the collection
+ * @param {string} id - the `_id` of the document
+ * @returns {Promise.<Array, Error>} A promise that returns an Array of
+ *     revisions, or a `HistoryError` if the collection has no history
+ */
+DataStore.prototype.getRevisions = function({collection, id}) {
+  return this.getHistory(collection).then(history => {
+    if (!history) throw historyDisabled(collection)
+
+    return history.getRevisions(id)
+  })
+}
+
+/**
+ * Restores a document to a revision, recreating it if it's been deleted.
+ * This is an update (or an insert) like any other, so the version of the
+ * document it replaces is itself stored as a revision.
+ *
+ * @param {string} collection - the name of the collection
+ * @param {string} id - the `_id` of the document
+ * @param {number} revision - the number of the revision to restore
+ * @returns {Promise.<Object, Error>} A promise that returns the restored
+ *     document, or a `HistoryError` if the collection has no history or the
+ *     revision doesn't exist
+ */
+DataStore.prototype.restoreRevision = function({collection, id, revision}) {
+  debug('restore revision %s of %s in %s', revision, id, collection)
+
+  return Promise.all([
+    this.getCollection(collection),
+    this.getHistory(collection)
+  ]).then(([lokiCollection, history]) => {
+    if (!history) throw historyDisabled(collection)
+
+    const found = history.getRevision(id, revision)
+
+    if (!found) {
+      throw new HistoryError(
+        'REVISION_NOT_FOUND',
+        `Document ${id} in ${collection} has no revision ${revision}`,
+        {collection, id, revision}
+      )
+    }
+
+    const document = found.document
+    const current = lokiCollection.findOne({_id: id})
+
+    if (!current) {
+      return this.insert({data: utils.cloneValue(document), collection}).then(
+        () => document
+      )
+    }
+
+    // The document is replaced by setting the fields of the revision and
+    // removing those it didn't have.
+    const update = {}
+    const fields = Object.keys(document).filter(field => field !== '_id')
+    const removed = Object.keys(current).filter(field => {
+      return !(field in document) && field !== '$loki' && field !== 'meta'
+    })
+
+    if (fields.length > 0) {
+      update.$set = fields.reduce((result, field) => {
+        result[field] = utils.cloneValue(document[field])
+
+        return result
+      }, {})
+    }
+
+    if (removed.length > 0) {
+      update.$unset = removed.reduce((result, field) => {
+        result[field] = ''
+
+        return result
+      }, {})
+    }
+
+    return this.update({query: {_id: id}, collection, update}).then(
+      () => document
+    )
+  })
 }
 
 /**
@@ -511,126 +2163,741 @@ DataStore.prototype.delete = function({query, collection, schema}) {
  * @returns {Object} an object containing the metadata for the query, such as totalPages, totalCount
  */
 DataStore.prototype.getMetadata = function(options, count) {
-  return metadata(options, count)
+  if (options.limit) {
+    return metadata(options, count)
+  }
+
+  // Without a limit, every result is on the first page.
+  return Object.assign(
+    metadata(Object.assign({}, options, {limit: count}), count),
+    {limit: 0}
+  )
 }
 
 /**
+ * Returns statistics about a collection, computed from the documents and
+ * indexes currently held by LokiJS.
  *
- * @param {Object} options - the query options passed from API, such as page, limit, skip
+ * Index sizes are reported for each index, by the name `getIndexes` gives
+ * it: an index defined with `DataStore.index` is the size of the structures
+ * it's made of (the binary index of each of its fields, or the inverted index
+ * of a text index), and its entries those of the first. Indexes that
+ * share a field share its binary index, which `totalIndexSize` only counts
+ * once. TTL indexes don't hold a structure of their own, so they're `0`.
+ *
+ * @param {string} collectionName - the name of the collection
+ * @param {Object} options - the stats options passed from API. `scale` divides
+ *     every size by the given factor (e.g. `1024` for kilobytes)
  * @returns {Object} an object containing the metadata about the collection
  */
-DataStore.prototype.stats = function(collection, options) {
-  return new Promise((resolve, reject) => {
-    const result = {
-      count: 1,
-      size: 1,
-      averageObjectSize: 1,
-      storageSize: 1,
-      indexes: 1,
-      totalIndexSize: 1,
-      indexSizes: 1
+DataStore.prototype.stats = function(collectionName, options) {
+  options = options || {}
+
+  const scale = options.scale > 0 ? options.scale : 1
+  const scaleSize = size => Math.floor(size / scale)
+  const byteLength = value => Buffer.byteLength(JSON.stringify(value) || '')
+
+  return Promise.all([
+    this.getCollection(collectionName),
+    this.getIndexDefinitions(collectionName),
+    this.getStorageSize(collectionName)
+  ]).then(([collection, definitions, storageSize]) => {
+    const count = collection.count()
+    const size = collection.data.reduce((total, document) => {
+      return total + byteLength(document)
+    }, 0)
+    const binaryIndices = {}
+    const uniqueIndices = {}
+    const indexEntries = {}
+    const indexSizes = {}
+    let totalIndexSize = 0
+
+    // Binary indices hold an array of positions into the collection data,
+    // one for each document.
+    Object.keys(collection.binaryIndices).forEach(field => {
+      const values = collection.binaryIndices[field].values || []
+
+      binaryIndices[field] = {entries: values.length, size: byteLength(values)}
+      totalIndexSize += binaryIndices[field].size
+    })
+
+    // Unique indices map each field value to a document. Removed keys are set
+    // to `undefined` by LokiJS rather than deleted, so they're skipped.
+    Object.keys(collection.constraints.unique).forEach(field => {
+      const keyMap = collection.constraints.unique[field].keyMap
+      const keys = Object.keys(keyMap).filter(key => {
+        return keyMap[key] !== undefined
+      })
+
+      uniqueIndices[field] = {entries: keys.length, size: byteLength(keys)}
+      totalIndexSize += uniqueIndices[field].size
+    })
+
+    definitions.forEach(definition => {
+      const fields = Object.keys(definition.keys)
+
+      if (TextIndex.isTextIndex(definition)) {
+        const textIndex = this.getTextIndex(collection, [definition])
+        const postings = Array.from(textIndex.postings, ([term, ids]) => {
+          return [term, Array.from(ids)]
+        })
+
+        indexEntries[definition.name] = textIndex.documents.size
+        indexSizes[definition.name] = byteLength(postings)
+        totalIndexSize += indexSizes[definition.name]
+
+        return
+      }
+
+      const indices = ttl.isTTLIndex(definition)
+        ? []
+        : fields.map(field => binaryIndices[field]).filter(Boolean)
+
+      indexEntries[definition.name] = indices.length ? indices[0].entries : 0
+      indexSizes[definition.name] = indices.reduce((total, index) => {
+        return total + index.size
+      }, 0)
+    })
+
+    // LokiJS indexes not created through `DataStore.index` are reported by
+    // field name, as in `getIndexes`.
+    const isDefined = field => {
+      return definitions.some(definition => field in definition.keys)
+    }
+
+    ;[binaryIndices, uniqueIndices].forEach(indices => {
+      Object.keys(indices).forEach(field => {
+        if (!isDefined(field)) {
+          indexEntries[field] = indices[field].entries
+          indexSizes[field] = indices[field].size
+        }
+      })
+    })
+
+    Object.keys(indexSizes).forEach(name => {
+      indexSizes[name] = scaleSize(indexSizes[name])
+    })
+
+    return {
+      count,
+      size: scaleSize(size),
+      averageObjectSize: count ? Math.round(size / count) : 0,
+      storageSize: scaleSize(storageSize),
+      indexes: Object.keys(indexSizes).length,
+      totalIndexSize: scaleSize(totalIndexSize),
+      indexSizes,
+      indexEntries
+    }
+  })
+}
+
+/**
+ * Returns the size, in bytes, of the database file holding a collection.
+ * Resolves with `0` if the file hasn't been written yet.
+ *
+ * @param {string} collectionName
+ * @returns {Promise.<number>}
+ */
+DataStore.prototype.getStorageSize = function(collectionName) {
+  return new Promise(resolve => {
+    fs.stat(this.getDatabasePath(collectionName), (err, stats) => {
+      resolve(err ? 0 : stats.size)
+    })
+  })
+}
+
+/**
+ * Returns the name of an index given its keys. Single-field indexes are named
+ * after the field, compound indexes follow the MongoDB convention (e.g.
+ * `author_1_publishedAt_-1`).
+ *
+ * @param {Object} keys - the fields of the index and their directions
+ * @returns {string}
+ */
+DataStore.prototype.getIndexName = function(keys) {
+  const fields = Object.keys(keys)
+
+  if (fields.length === 1 && keys[fields[0]] !== 'text') {
+    return fields[0]
+  }
+
+  return fields.map(field => `${field}_${keys[field]}`).join('_')
+}
+
+/**
+ * Returns the definitions of the indexes created for a collection with
+ * `DataStore.index`.
+ *
+ * @param {string|Object} collectionName - the name of the collection, or the
+ *     LokiJS collection
+ * @returns {Promise.<Array>} an array of objects with `name`, `keys` and
+ *     `options` properties
+ */
+DataStore.prototype.getIndexDefinitions = function(collectionName) {
+  const name =
+    collectionName instanceof Loki.Collection
+      ? collectionName.name
+      : collectionName
+
+  return this.getDatabase(name).then(database => {
+    const definitions = database.getCollection(INDEXES_COLLECTION)
+
+    return definitions ? definitions.find({collection: name}) : []
+  })
+}
+
+/**
+ * Throws a `DuplicateKeyError` if writing the given documents to a collection
+ * would break any of its unique indexes, including by two of the documents
+ * sharing the same values. Documents that already exist in the collection
+ * (i.e. have a `$loki` property) are checked against the rest of the
+ * collection, as they're about to be replaced. This runs before anything is
+ * written, so that a rejected write leaves the collection untouched.
+ *
+ * @param {Object} collection - the LokiJS collection
+ * @param {Array} definitions - the index definitions for the collection
+ * @param {Array} documents - the documents being written
+ */
+DataStore.prototype.checkUniqueIndexes = function(
+  collection,
+  definitions,
+  documents
+) {
+  const replaced = new Set(documents.map(document => document.$loki))
+
+  definitions.forEach(definition => {
+    if (!definition.options.unique) return
+
+    const fields = Object.keys(definition.keys)
+    const keys = {}
+
+    // Missing fields are indexed as `null`, as in MongoDB.
+    const getValues = document => {
+      return fields.map(field => {
+        const value = utils.getValue(document, field)
+
+        return value === undefined ? null : value
+      })
+    }
+
+    // The documents that could share the values of a document are found with
+    // the binary index on the first field, rather than by scanning the
+    // collection. `$aeq` matches both `null` and missing values.
+    const getCandidates = values => {
+      const value = values[0]
+
+      if (value !== null && typeof value === 'object') {
+        return collection.data
+      }
+
+      return collection.find({
+        [fields[0]]: value === null ? {$aeq: null} : {$eq: value}
+      })
     }
 
-    return resolve(result)
+    collection.ensureIndex(fields[0])
+
+    documents.forEach(document => {
+      const values = getValues(document)
+      const key = JSON.stringify(values)
+      const isDuplicate =
+        keys[key] ||
+        getCandidates(values).some(existing => {
+          return (
+            !replaced.has(existing.$loki) &&
+            JSON.stringify(getValues(existing)) === key
+          )
+        })
+
+      if (isDuplicate) {
+        throw new DuplicateKeyError(definition.name, values)
+      }
+
+      keys[key] = true
+    })
   })
 }
 
-DataStore.prototype.index = function(collection, indexes) {
-  return new Promise((resolve, reject) => {
-    this.getCollection(collection).then(collection => {
+/**
+ * Reorders the expressions of an `$and` query so that those on indexed fields
+ * come first, following the order of the keys in the index and with equality
+ * expressions before ranges. LokiJS only uses a binary index for the first
+ * expression it evaluates, narrowing down the documents the remaining ones
+ * have to be tested against.
+ *
+ * @param {Object} query - a query prepared with `prepareQuery`
+ * @param {Array} definitions - the index definitions for the collection
+ * @returns {Object} the reordered query
+ */
+DataStore.prototype.orderExpressionsByIndex = function(query, definitions) {
+  if (!Array.isArray(query.$and) || definitions.length === 0) {
+    return query
+  }
+
+  const getRank = expression => {
+    const field = Object.keys(expression)[0]
+    const value = expression[field]
+    const isEquality =
+      !value ||
+      typeof value !== 'object' ||
+      value.$eq !== undefined ||
+      value.$in !== undefined
+
+    const position = definitions.reduce((lowest, definition) => {
+      const keyPosition = Object.keys(definition.keys).indexOf(field)
+
+      return keyPosition === -1 ? lowest : Math.min(lowest, keyPosition)
+    }, Infinity)
+
+    return position * 2 + (isEquality ? 0 : 1)
+  }
+
+  const expressions = query.$and
+    .map((expression, index) => ({
+      expression,
+      index,
+      rank: getRank(expression)
+    }))
+    .sort((a, b) => a.rank - b.rank || a.index - b.index)
+    .map(({expression}) => expression)
+
+  return Object.assign({}, query, {$and: expressions})
+}
+
+/**
+ * Creates indexes on a collection. Each index is an object with `keys`, a
+ * map of fields to directions (e.g. `{author: 1, publishedAt: -1}`), and
+ * `options`. The index definitions are persisted with the database.
+ *
+ * Every field of an index, except that of a TTL index, gets a LokiJS binary
+ * index, which `find` uses to narrow down queries. Unique indexes, on one field or several, are enforced
+ * on insert and update (see `checkUniqueIndexes`), looking up the values of
+ * each document written in the binary index of the first field.
+ *
+ * @param {string} collectionName - the name of the collection
+ * @param {Array} indexes - the indexes to create
+ * @returns {Promise.<Array, Error>} A promise that returns an Array of objects
+ *     with `collection` and `index` (the name of the index) properties
+ */
+DataStore.prototype.index = function(collectionName, indexes) {
+  return this.getCollection(collectionName)
+    .then(collection => {
+      return Promise.all([collection, this.getDatabase(collection.name)])
+    })
+    .then(([collection, database]) => {
+      const definitions =
+        database.getCollection(INDEXES_COLLECTION) ||
+        database.addCollection(INDEXES_COLLECTION)
       const results = []
 
-      indexes.forEach((index, idx) => {
-        if (
-          Object.keys(index.keys).length === 1 &&
-          Object.keys(index.keys)[0] === '_id'
-        ) {
-          // ignore _id index request, db handles this automatically
-        } else {
-          if (index.options && index.options.unique) {
-            const uniqIdx = collection.ensureUniqueIndex(
-              Object.keys(index.keys)[0]
-            )
+      indexes.forEach(index => {
+        const fields = Object.keys(index.keys)
+        const options = index.options || {}
 
-            results.push({
-              collection,
-              index: uniqIdx.field
-            })
-          } else {
-            collection.ensureIndex(Object.keys(index.keys)[0])
+        // Throws if the collation isn't valid.
+        collations.getCollator(options.collation)
 
-            results.push({
-              collection,
-              index: Object.keys(index.keys)[0]
-            })
+        // ignore _id index request, db handles this automatically
+        if (fields.length === 1 && fields[0] === '_id') return
+
+        const definition = {
+          collection: collection.name,
+          name: this.getIndexName(index.keys),
+          keys: index.keys,
+          options
+        }
+
+        if (ttl.isTTLIndex(definition)) {
+          ttl.validate(definition)
+        }
+
+        if (TextIndex.isTextIndex(definition)) {
+          TextIndex.validate(definition)
+
+          const existing = definitions
+            .find({collection: collection.name})
+            .find(TextIndex.isTextIndex)
+
+          if (existing && existing.name !== definition.name) {
+            throw new IndexError(
+              'TEXT_INDEX_EXISTS',
+              `Collection ${collection.name} already has the text index ${existing.name}`,
+              {index: definition.name}
+            )
           }
 
-          if (idx === indexes.length - 1) {
-            return resolve(results)
+          // Builds the inverted index straight away, rather than on the
+          // first search.
+          this.getTextIndex(collection, [definition])
+        } else {
+          // Throws if the index is unique and the documents already in the
+          // collection break it.
+          this.checkUniqueIndexes(collection, [definition], collection.data)
+
+          if (ttl.isTTLIndex(definition)) {
+            // LokiJS stores the dates of a field with a binary index as
+            // timestamps, which couldn't be told apart from numbers (which
+            // don't expire), so the field of a TTL index isn't indexed.
+            const isIndexed = definitions
+              .find({collection: collection.name})
+              .some(other => {
+                return (
+                  other.name !== definition.name &&
+                  !ttl.isTTLIndex(other) &&
+                  fields[0] in other.keys
+                )
+              })
+
+            if (!isIndexed) {
+              delete collection.binaryIndices[fields[0]]
+            }
+          } else {
+            fields.forEach(field => collection.ensureIndex(field))
           }
         }
+
+        const existing = definitions.findOne({
+          collection: definition.collection,
+          name: definition.name
+        })
+
+        if (existing) {
+          definitions.update(Object.assign(existing, definition))
+        } else {
+          definitions.insert(definition)
+        }
+
+        results.push({
+          collection,
+          index: definition.name
+        })
       })
+
+      return results
+    })
+}
+
+/**
+ * Starts the timer that removes expired documents every
+ * `database.ttlMonitorInterval` milliseconds, unless it's already running or
+ * the interval is `0`. The timer doesn't keep the process alive.
+ */
+DataStore.prototype.startTTLMonitor = function() {
+  if (this.ttlMonitor || !this.ttlMonitorInterval) return
+
+  this.ttlMonitor = setInterval(() => {
+    this.removeExpiredDocuments().catch(err => {
+      debug('failed to remove expired documents %o', err)
     })
+  }, this.ttlMonitorInterval)
+
+  this.ttlMonitor.unref()
+}
+
+/**
+ * Stops the timer started by `startTTLMonitor`.
+ */
+DataStore.prototype.stopTTLMonitor = function() {
+  clearInterval(this.ttlMonitor)
+
+  this.ttlMonitor = null
+}
+
+/**
+ * Deletes the documents that have expired according to the TTL indexes (see
+ * `DataStore.index`) of every collection in the loaded databases. Deletions
+ * are recorded in the journal like any other. Emits `TTL_SWEEP` with the
+ * result once done.
+ *
+ * @returns {Promise.<Object, Error>} A promise that returns an Object with
+ *     `deletedCount` and `collections`, the number of documents deleted from
+ *     each collection that had a TTL index
+ */
+DataStore.prototype.removeExpiredDocuments = function() {
+  const now = Date.now()
+  const loading = Object.keys(this.databases).map(filePath => {
+    return this.databases[filePath].database
   })
+
+  return Promise.all(loading)
+    .then(databases => {
+      const mutations = []
+
+      databases.forEach(database => {
+        const definitions = database.getCollection(INDEXES_COLLECTION)
+
+        if (!definitions) return
+
+        definitions.where(ttl.isTTLIndex).forEach(definition => {
+          mutations.push({
+            operation: 'delete',
+            collection: definition.collection,
+            query: ttl.getExpiryQuery(definition, now, true)
+          })
+        })
+      })
+
+      return Promise.all(
+        mutations.map(mutation => {
+          return this.mutate(mutation).then(({deletedCount}) => {
+            return {collection: mutation.collection, deletedCount}
+          })
+        })
+      )
+    })
+    .then(results => {
+      const sweep = {collections: {}, deletedCount: 0}
+
+      results.forEach(({collection, deletedCount}) => {
+        sweep.collections[collection] =
+          (sweep.collections[collection] || 0) + deletedCount
+        sweep.deletedCount += deletedCount
+      })
+
+      debug('removed %d expired documents', sweep.deletedCount)
+
+      this.emit('TTL_SWEEP', sweep)
+
+      return sweep
+    })
 }
 
 /**
  * Get an array of indexes
  *
  * @param {string} collectionName - the name of the collection to get indexes for
- * @returns {Array} - an array of index objects, each with a name property
+ * @returns {Array} - an array of index objects, each with a name property.
+ *     Indexes created with `DataStore.index` also have `keys` and `options`
  */
 DataStore.prototype.getIndexes = function(collectionName) {
-  return new Promise((resolve, reject) => {
-    this.getCollection(collectionName).then(collection => {
-      const indexes = []
+  return Promise.all([
+    this.getCollection(collectionName),
+    this.getIndexDefinitions(collectionName)
+  ]).then(([collection, definitions]) => {
+    const indexes = definitions.map(definition => {
+      const index = {
+        name: definition.name,
+        keys: definition.keys,
+        options: definition.options
+      }
+
+      if (definition.options.unique) {
+        index.unique = true
+      }
+
+      return index
+    })
+
+    // LokiJS indexes not created through `DataStore.index` (e.g. in databases
+    // written by earlier versions) are reported by field name.
+    const isDefined = field => {
+      return definitions.some(definition => field in definition.keys)
+    }
 
-      Object.keys(collection.binaryIndices).forEach(key => {
+    Object.keys(collection.binaryIndices).forEach(key => {
+      if (!isDefined(key)) {
         indexes.push({name: key})
-      })
+      }
+    })
 
-      Object.keys(collection.constraints.unique).forEach(key => {
+    Object.keys(collection.constraints.unique).forEach(key => {
+      if (!isDefined(key)) {
         indexes.push({name: key, unique: true})
-      })
-
-      return resolve(indexes)
+      }
     })
+
+    return indexes
   })
 }
 
+/**
+ * Drops the database. When `connectWithCollection` is enabled and a collection
+ * name is given, only the file of that collection is removed.
+ *
+ * @param {string} collectionName
+ * @returns {Promise}
+ */
 DataStore.prototype.dropDatabase = function(collectionName) {
   debug('drop %s %s', this.name, collectionName || '')
 
-  return this.database.then(database => {
-    return new Promise((resolve, reject) => {
-      if (!database.collections.length) {
-        return resolve()
-      }
+  if (this.connectWithCollection) {
+    const collectionNames = collectionName
+      ? Promise.resolve([collectionName])
+      : this.getCollectionNames()
+
+    return collectionNames.then(names => {
+      return Promise.all(
+        names.map(name => this.deleteDatabaseFile(this.getDatabasePath(name)))
+      ).then(() => {
+        this.emitChanges(
+          names.map(name => ({operationType: 'drop', collection: name}))
+        )
+      })
+    })
+  }
 
-      let idx = 0
+  return this.getDatabase().then(database => {
+    if (!database.collections.length) {
+      return
+    }
 
-      database.collections.forEach(collection => {
-        collection.clear()
-        debug('dropped collection %s', collection.name)
+    const names = database.collections.map(collection => collection.name)
 
-        if (idx++ === database.collections.length - 1) {
-          setTimeout(() => {
-            return resolve()
-          }, 500)
-        }
+    database.collections.forEach(collection => {
+      collection.clear()
+      debug('dropped collection %s', collection.name)
+    })
+
+    return Promise.all([
+      this.writeJournal({operation: 'drop', collections: names}),
+      new Promise(resolve => setTimeout(resolve, 500))
+    ]).then(() => {
+      this.emitChanges(
+        names
+          .filter(name => name !== INDEXES_COLLECTION)
+          .map(name => ({operationType: 'drop', collection: name}))
+      )
+    })
+  })
+}
+
+/**
+ * Returns the names of the collections that have a database file, when
+ * `connectWithCollection` is enabled.
+ *
+ * @returns {Promise.<Array>}
+ */
+DataStore.prototype.getCollectionNames = function() {
+  return this.directoryCreation.then(() => {
+    return new Promise((resolve, reject) => {
+      fs.readdir(this.databasePath, (err, files) => {
+        if (err) return reject(err)
+
+        resolve(
+          files
+            .filter(file => path.extname(file) === '.db')
+            .map(file => path.basename(file, '.db'))
+        )
       })
     })
   })
 }
 
-let instance
+/**
+ * Closes a database file and removes it from disk, along with its journal
+ * and snapshots.
+ *
+ * @param {string} filePath
+ * @returns {Promise}
+ */
+DataStore.prototype.deleteDatabaseFile = function(filePath) {
+  const files = [
+    filePath,
+    `${filePath}.corrupt`,
+    `${filePath}.journal`,
+    `${filePath}.journal.pending`
+  ].concat(FileAdapter.getSnapshotPaths(filePath, this.snapshots))
+
+  return this.unload(filePath).then(() => {
+    return Promise.all(
+      files.map(file => {
+        return new Promise((resolve, reject) => {
+          fs.unlink(file, err => {
+            if (err && err.code !== 'ENOENT') return reject(err)
+
+            if (!err) {
+              debug('deleted %s', file)
+            }
+
+            resolve()
+          })
+        })
+      })
+    )
+  })
+}
+
+// DataStore instances, indexed by the resolved path of their database. Each
+// distinct database path gets its own instance; calls with the path of an
+// existing instance return it, regardless of the other options.
+let instances = {}
+
+const getInstanceKey = function(options) {
+  return path.resolve((options || config.get()).database.path)
+}
+
+/**
+ * Returns the DataStore for the given options, creating it if there isn't
+ * one for the same database path yet.
+ *
+ * @param {Object} options - the adapter configuration, defaults to config.js
+ * @returns {DataStore}
+ */
+module.exports = function(options) {
+  const key = getInstanceKey(options)
+
+  instances[key] = instances[key] || new DataStore(options)
+
+  return instances[key]
+}
+
+/**
+ * Closes the DataStore for the given options, persisting it to disk, and
+ * removes it from the registry.
+ *
+ * @param {Object} options - the adapter configuration, defaults to config.js
+ * @returns {Promise}
+ */
+module.exports.close = function(options) {
+  const key = getInstanceKey(options)
+  const instance = instances[key]
+
+  if (!instance) {
+    return Promise.resolve()
+  }
+
+  delete instances[key]
+
+  return instance.close()
+}
+
+/**
+ * Closes every DataStore and empties the registry.
+ *
+ * @returns {Promise}
+ */
+module.exports.closeAll = function() {
+  const keys = Object.keys(instances)
 
-module.exports = function() {
-  instance = instance || new DataStore(...arguments)
+  return Promise.all(
+    keys.map(key => module.exports.close(instances[key].config))
+  ).then(() => {})
+}
 
-  return instance
+/**
+ * Removes the DataStore for the given options from the registry without
+ * closing it, so that the next call creates a new instance.
+ *
+ * @param {Object} options - the adapter configuration, defaults to config.js
+ */
+module.exports.evict = function(options) {
+  delete instances[getInstanceKey(options)]
 }
 
+/**
+ * Empties the registry without closing any DataStore.
+ */
 module.exports.reset = function() {
-  instance = undefined
+  instances = {}
 }
+
+module.exports.AggregationError = AggregationError
+module.exports.CorruptionError = CorruptionError
+module.exports.DuplicateKeyError = DuplicateKeyError
+module.exports.EncryptionError = EncryptionError
+module.exports.HistoryError = HistoryError
+module.exports.IndexError = IndexError
+module.exports.QueryError = QueryError
+module.exports.TransactionError = TransactionError
+module.exports.UpdateError = UpdateError
+module.exports.ValidationError = ValidationError
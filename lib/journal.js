@@ -0,0 +1,287 @@
+const debug = require('debug')('api:filestore:journal')
+const Encryption = require('./encryption')
+const CorruptionError = require('./errors').CorruptionError
+const EncryptionError = require('./errors').EncryptionError
+const fs = require('fs')
+const util = require('util')
+
+const appendFile = util.promisify(fs.appendFile)
+const close = util.promisify(fs.close)
+const fsync = util.promisify(fs.fsync)
+const open = util.promisify(fs.open)
+const readFile = util.promisify(fs.readFile)
+const rename = util.promisify(fs.rename)
+const truncate = util.promisify(fs.truncate)
+const unlink = util.promisify(fs.unlink)
+const write = util.promisify(fs.write)
+
+const DURABILITY_FSYNC = 'fsync'
+
+const ignoreMissing = err => {
+  if (err.code !== 'ENOENT') throw err
+}
+
+/**
+ * Append-only log of the mutations made to a database since it was last
+ * saved to disk. Each entry is a JSON object on its own line.
+ *
+ * When a save starts, the journal is rotated: its entries are moved to a
+ * pending file and new entries go to a fresh journal. Once the save has
+ * succeeded the pending file is removed, as its entries are now part of the
+ * snapshot. If the save fails, the pending entries are kept and replayed
+ * alongside the journal.
+ *
+ * @constructor Journal
+ * @param {string} filePath - the path of the journal file
+ * @param {Object} options
+ * @param {string} options.durability - `fsync` to flush each entry to disk
+ *     before `append` resolves, `batched` to flush every `syncInterval` ms
+ * @param {number} options.syncInterval - interval between flushes, in
+ *     milliseconds, when using batched durability
+ * @param {Encryption} options.encryption - encrypts each entry, if enabled
+ */
+const Journal = function(filePath, options) {
+  this.path = filePath
+  this.pendingPath = `${filePath}.pending`
+  this.durability = options.durability
+  this.syncInterval = options.syncInterval
+  this.encryption = options.encryption || null
+  this.fd = null
+  this.syncTimer = null
+
+  // Every file operation goes through this queue, so that entries are written
+  // in the order they were appended and never interleaved with a rotation.
+  this.queue = Promise.resolve()
+}
+
+/**
+ * Adds an operation to the queue, returning a Promise for its result.
+ *
+ * @param  {Function} operation - a function returning a Promise
+ * @return {Promise}
+ */
+Journal.prototype.enqueue = function(operation) {
+  const result = this.queue.then(operation)
+
+  this.queue = result.catch(err => {
+    debug('error: %o', err)
+  })
+
+  return result
+}
+
+/**
+ * Returns the file descriptor of the journal, opening it if needed.
+ *
+ * @return {Promise.<number>}
+ */
+Journal.prototype.getDescriptor = function() {
+  if (this.fd !== null) {
+    return Promise.resolve(this.fd)
+  }
+
+  return open(this.path, 'a').then(fd => {
+    this.fd = fd
+
+    return fd
+  })
+}
+
+/**
+ * Writes an entry to the journal. Resolves once the entry has been written
+ * and, with `fsync` durability, flushed to disk.
+ *
+ * @param  {Object} entry
+ * @return {Promise}
+ */
+Journal.prototype.append = function(entry) {
+  return this.enqueue(() => {
+    return this.getDescriptor().then(fd => {
+      const line = JSON.stringify(entry)
+      const data = this.encryption ? this.encryption.encrypt(line) : line
+
+      return write(fd, data + '\n').then(() => {
+        if (this.durability === DURABILITY_FSYNC) {
+          return fsync(fd)
+        }
+
+        this.scheduleSync()
+      })
+    })
+  })
+}
+
+/**
+ * Flushes the journal to disk after `syncInterval` milliseconds, unless a
+ * flush is already scheduled.
+ */
+Journal.prototype.scheduleSync = function() {
+  if (this.syncTimer) return
+
+  this.syncTimer = setTimeout(() => {
+    this.syncTimer = null
+    this.enqueue(() => this.sync())
+  }, this.syncInterval)
+
+  // A scheduled flush shouldn't keep the process alive.
+  this.syncTimer.unref()
+}
+
+/**
+ * Flushes and closes the journal file, if it's open. Must be called from
+ * within the queue.
+ *
+ * @return {Promise}
+ */
+Journal.prototype.release = function() {
+  if (this.fd === null) {
+    return Promise.resolve()
+  }
+
+  const fd = this.fd
+
+  this.fd = null
+
+  return fsync(fd).then(() => close(fd))
+}
+
+/**
+ * Flushes the journal to disk, if it's open. Must be called from within the
+ * queue.
+ *
+ * @return {Promise}
+ */
+Journal.prototype.sync = function() {
+  return this.fd === null ? Promise.resolve() : fsync(this.fd)
+}
+
+/**
+ * Moves the current entries to the pending file, so that entries appended
+ * from now on go to a new journal. Called when a save starts.
+ *
+ * @return {Promise}
+ */
+Journal.prototype.rotate = function() {
+  return this.enqueue(() => {
+    return this.release()
+      .then(() => readFile(this.pendingPath))
+      .then(
+        // A previous save failed, so its pending entries are still needed.
+        () => {
+          return readFile(this.path)
+            .then(data => appendFile(this.pendingPath, data))
+            .then(() => unlink(this.path))
+            .catch(ignoreMissing)
+        },
+        err => {
+          ignoreMissing(err)
+
+          return rename(this.path, this.pendingPath).catch(ignoreMissing)
+        }
+      )
+  })
+}
+
+/**
+ * Discards the pending entries. Called once a save has succeeded.
+ *
+ * @return {Promise}
+ */
+Journal.prototype.commit = function() {
+  return this.enqueue(() => {
+    return unlink(this.pendingPath).catch(ignoreMissing)
+  })
+}
+
+/**
+ * Returns every entry in the pending file and the journal, in the order they
+ * were appended. Entries are decrypted with whichever of the configured keys,
+ * current or previous, they were encrypted with.
+ *
+ * Only the last line of a file can be incomplete, when the process died while
+ * it was being written. Such a line is skipped and cut from the file, so that
+ * the entries appended after it start on a line of their own. Rejects with an
+ * `EncryptionError` if any other entry is encrypted with a key that isn't
+ * configured (`WRONG_KEY`) or can't be decrypted (`DECRYPTION_FAILED`), or
+ * with a `CorruptionError` if it isn't valid JSON.
+ *
+ * @return {Promise.<Array>}
+ */
+Journal.prototype.read = function() {
+  const readEntries = filePath => {
+    return readFile(filePath, {encoding: 'utf8'}).then(
+      data => {
+        const end = data.lastIndexOf('\n') + 1
+        const complete = data.slice(0, end)
+        const parsed = complete.split('\n').reduce((entries, line) => {
+          if (line.length === 0) return entries
+
+          let json = line
+
+          if (Encryption.isEncrypted(line)) {
+            if (!this.encryption) {
+              throw new EncryptionError(
+                'KEY_REQUIRED',
+                `${filePath} is encrypted, but no encryption key is configured`
+              )
+            }
+
+            try {
+              json = this.encryption.decrypt(line)
+            } catch (err) {
+              throw new EncryptionError(
+                err.code,
+                `Can't read an entry of ${filePath}: ${err.message}`
+              )
+            }
+          }
+
+          try {
+            entries.push(JSON.parse(json))
+          } catch (err) {
+            throw new CorruptionError(
+              `${filePath} has an entry that isn't valid JSON: ${err.message}`,
+              {file: filePath}
+            )
+          }
+
+          return entries
+        }, [])
+
+        if (end === data.length) return parsed
+
+        debug('removing incomplete entry from the end of %s', filePath)
+
+        return truncate(filePath, Buffer.byteLength(complete)).then(
+          () => parsed
+        )
+      },
+      err => {
+        ignoreMissing(err)
+
+        return []
+      }
+    )
+  }
+
+  return this.enqueue(() => {
+    return Promise.all([
+      readEntries(this.pendingPath),
+      readEntries(this.path)
+    ]).then(([pending, current]) => pending.concat(current))
+  })
+}
+
+/**
+ * Flushes and closes the journal file.
+ *
+ * @return {Promise}
+ */
+Journal.prototype.close = function() {
+  clearTimeout(this.syncTimer)
+  this.syncTimer = null
+
+  return this.enqueue(() => this.release())
+}
+
+module.exports = Journal
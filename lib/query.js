@@ -0,0 +1,602 @@
+const QueryError = require('./errors').QueryError
+const {compareValues, getTypeOrder, isDate, isEqual} = require('./utils')
+
+// Operators specific to LokiJS, which are passed on as they are.
+const LOKI_OPERATORS = [
+  '$between',
+  '$contains',
+  '$containsAny',
+  '$containsNone',
+  '$containsString'
+]
+
+/**
+ * The BSON types accepted by `$type`, by name and by number, with a function
+ * testing whether a value is of that type. JavaScript doesn't distinguish
+ * between the numeric types, so `int` and `long` match integers and the
+ * other numeric types match any number. Dates are stored as ISO 8601
+ * strings, so those match `date` as well as `string`.
+ */
+const TYPES = {
+  double: value => typeof value === 'number',
+  string: value => typeof value === 'string',
+  object: value => {
+    return (
+      Boolean(value) &&
+      typeof value === 'object' &&
+      !Array.isArray(value) &&
+      !(value instanceof Date) &&
+      !(value instanceof RegExp)
+    )
+  },
+  array: value => Array.isArray(value),
+  bool: value => typeof value === 'boolean',
+  date: isDate,
+  null: value => value === null,
+  regex: value => value instanceof RegExp,
+  int: value => Number.isInteger(value),
+  long: value => Number.isInteger(value),
+  decimal: value => typeof value === 'number',
+  number: value => typeof value === 'number'
+}
+
+const TYPE_NUMBERS = {
+  1: 'double',
+  2: 'string',
+  3: 'object',
+  4: 'array',
+  8: 'bool',
+  9: 'date',
+  10: 'null',
+  11: 'regex',
+  16: 'int',
+  18: 'long',
+  19: 'decimal'
+}
+
+const isOperatorObject = function(value) {
+  return (
+    TYPES.object(value) &&
+    Object.keys(value).length > 0 &&
+    Object.keys(value).every(key => key[0] === '$')
+  )
+}
+
+const invalidOperand = function(operator, field, message) {
+  return new QueryError('INVALID_OPERAND', `${operator} ${message}`, {
+    operator,
+    field
+  })
+}
+
+/**
+ * Returns a regular expression from the operand of `$regex`, which can be a
+ * string, a RegExp or an array with the source and flags (as produced by
+ * `prepareQuery`), and the value of `$options`, if any.
+ */
+const getRegExp = function(operand, options) {
+  if (Array.isArray(operand)) {
+    return new RegExp(operand[0], options || operand[1])
+  }
+
+  if (operand instanceof RegExp) {
+    return options ? new RegExp(operand.source, options) : operand
+  }
+
+  return new RegExp(operand, options)
+}
+
+/**
+ * Returns the values a condition on a dot-notation path is tested against.
+ * As in MongoDB, arrays along the path are traversed, and an array at the
+ * end of the path is a value in its own right as well as each of its
+ * elements. Missing values aren't included.
+ *
+ * @param  {*}     value
+ * @param  {Array} nodes - the nodes of the path
+ * @return {Array}
+ */
+const getCandidates = function(value, nodes) {
+  if (nodes.length === 0) {
+    if (value === undefined) return []
+
+    return Array.isArray(value) ? [value].concat(value) : [value]
+  }
+
+  if (Array.isArray(value)) {
+    const byPosition = /^\d+$/.test(nodes[0])
+      ? getCandidates(value[nodes[0]], nodes.slice(1))
+      : []
+
+    return value.reduce((candidates, element) => {
+      return TYPES.object(element)
+        ? candidates.concat(getCandidates(element, nodes))
+        : candidates
+    }, byPosition)
+  }
+
+  if (!TYPES.object(value)) return []
+
+  return getCandidates(value[nodes[0]], nodes.slice(1))
+}
+
+/**
+ * Whether any of the candidates is equal to the operand. When a collator is
+ * given, strings are compared with it (see `collation.getCollator`).
+ */
+const isEqualToAny = function(candidates, operand, collator) {
+  if (operand === null) {
+    // `null` matches missing values too.
+    return candidates.length === 0 || candidates.some(value => value === null)
+  }
+
+  return candidates.some(value => {
+    return collator
+      ? compareValues(value, operand, collator) === 0
+      : isEqual(value, operand)
+  })
+}
+
+/**
+ * Tests a comparison operator against the candidates. As in MongoDB, only
+ * values of the same type as the operand are compared.
+ */
+const compareAny = function(candidates, operand, collator, test) {
+  return candidates.some(value => {
+    return (
+      getTypeOrder(value) === getTypeOrder(operand) &&
+      test(compareValues(value, operand, collator))
+    )
+  })
+}
+
+/**
+ * Implementation of each operator, receiving the candidate values of the
+ * field (see `getCandidates`), the operand, the whole condition and the
+ * collator strings are compared with, if any.
+ */
+const operators = {
+  $eq: (candidates, operand, condition, collator) => {
+    return isEqualToAny(candidates, operand, collator)
+  },
+
+  $dteq: (candidates, operand) => isEqualToAny(candidates, operand),
+
+  $ne: (candidates, operand, condition, collator) => {
+    return !isEqualToAny(candidates, operand, collator)
+  },
+
+  $gt: (candidates, operand, condition, collator) => {
+    return compareAny(candidates, operand, collator, n => n > 0)
+  },
+
+  $gte: (candidates, operand, condition, collator) => {
+    return compareAny(candidates, operand, collator, n => n >= 0)
+  },
+
+  $lt: (candidates, operand, condition, collator) => {
+    return compareAny(candidates, operand, collator, n => n < 0)
+  },
+
+  $lte: (candidates, operand, condition, collator) => {
+    return compareAny(candidates, operand, collator, n => n <= 0)
+  },
+
+  $in: (candidates, operand, condition, collator) => {
+    return operand.some(value => {
+      return value instanceof RegExp
+        ? operators.$regex(candidates, value, {})
+        : isEqualToAny(candidates, value, collator)
+    })
+  },
+
+  $nin: (candidates, operand, condition, collator) => {
+    return !operators.$in(candidates, operand, condition, collator)
+  },
+
+  $exists: (candidates, operand) => candidates.length > 0 === Boolean(operand),
+
+  $type: (candidates, operand) => {
+    const types = [].concat(operand).map(type => TYPE_NUMBERS[type] || type)
+
+    return candidates.some(value => types.some(type => TYPES[type](value)))
+  },
+
+  $regex: (candidates, operand, condition) => {
+    const regExp = getRegExp(operand, condition.$options)
+
+    return candidates.some(value => {
+      return typeof value === 'string' && regExp.test(value)
+    })
+  },
+
+  // Used alongside `$regex`.
+  $options: () => true,
+
+  $size: (candidates, operand) => {
+    return candidates.some(value => {
+      return Array.isArray(value) && value.length === operand
+    })
+  },
+
+  $all: (candidates, operand, condition, collator) => {
+    return (
+      operand.length > 0 &&
+      operand.every(value => {
+        return isOperatorObject(value) && value.$elemMatch
+          ? operators.$elemMatch(candidates, value.$elemMatch, value, collator)
+          : isEqualToAny(candidates, value, collator)
+      })
+    )
+  },
+
+  $elemMatch: (candidates, operand, condition, collator) => {
+    return candidates.some(value => {
+      if (!Array.isArray(value)) return false
+
+      return value.some(element => {
+        // The operand is either a set of operators to test each element
+        // against, or a query on the fields of each element.
+        return isOperatorObject(operand)
+          ? matchesCondition(getCandidates(element, []), operand, collator)
+          : TYPES.object(element) && matchesQuery(element, operand, collator)
+      })
+    })
+  },
+
+  $not: (candidates, operand, condition, collator) => {
+    return !matchesCondition(candidates, operand, collator)
+  }
+}
+
+/**
+ * Tests the candidate values of a field against a condition, which is either
+ * an object of operators, a regular expression or a value to match.
+ *
+ * @param  {Array}         candidates
+ * @param  {*}             condition
+ * @param  {Intl.Collator} collator - compares strings, if given
+ * @return {Boolean}
+ */
+const matchesCondition = function(candidates, condition, collator) {
+  if (condition instanceof RegExp) {
+    return operators.$regex(candidates, condition, {})
+  }
+
+  if (!isOperatorObject(condition)) {
+    return isEqualToAny(candidates, condition, collator)
+  }
+
+  return Object.keys(condition).every(operator => {
+    return operators[operator](
+      candidates,
+      condition[operator],
+      condition,
+      collator
+    )
+  })
+}
+
+/**
+ * Tests whether a document matches a MongoDB query.
+ *
+ * @param  {Object}        document
+ * @param  {Object}        query
+ * @param  {Intl.Collator} collator - compares strings, if given
+ * @return {Boolean}
+ */
+const matchesQuery = function(document, query, collator) {
+  const matches = child => matchesQuery(document, child, collator)
+
+  return Object.keys(query).every(key => {
+    switch (key) {
+      case '$and':
+        return query[key].every(matches)
+      case '$or':
+        return query[key].some(matches)
+      case '$nor':
+        return !query[key].some(matches)
+      default:
+        return matchesCondition(
+          getCandidates(document, key.split('.')),
+          query[key],
+          collator
+        )
+    }
+  })
+}
+
+/**
+ * Checks the conditions of a query used by `$elemMatch` on the fields of
+ * array elements.
+ *
+ * @param {string} field - the array field
+ * @param {Object} query
+ */
+const validateQuery = function(field, query) {
+  Object.keys(query).forEach(key => {
+    if (['$and', '$or', '$nor'].indexOf(key) !== -1) {
+      if (!Array.isArray(query[key])) {
+        throw invalidOperand(key, field, 'requires an array')
+      }
+
+      query[key].forEach(child => validateQuery(field, child))
+    } else if (key[0] === '$') {
+      throw new QueryError(
+        'UNSUPPORTED_OPERATOR',
+        `Query operator '${key}' is not supported in $elemMatch`,
+        {operator: key, field}
+      )
+    } else {
+      validateCondition(`${field}.${key}`, query[key], true)
+    }
+  })
+}
+
+/**
+ * Checks the operators of a condition and their operands, throwing a
+ * `QueryError` describing the first problem found. LokiJS operators can't be
+ * used within `$not` and `$elemMatch`, as those are evaluated outside of
+ * LokiJS.
+ *
+ * @param {string}  field
+ * @param {*}       condition
+ * @param {Boolean} nested - whether the condition is within another operator
+ */
+const validateCondition = function(field, condition, nested) {
+  if (!TYPES.object(condition)) return
+
+  const keys = Object.keys(condition)
+  const operatorKeys = keys.filter(key => key[0] === '$')
+
+  if (operatorKeys.length === 0) return
+
+  if (operatorKeys.length !== keys.length) {
+    throw new QueryError(
+      'INVALID_OPERAND',
+      `The condition on '${field}' mixes operators and fields`,
+      {field}
+    )
+  }
+
+  keys.forEach(operator => {
+    const operand = condition[operator]
+
+    if (
+      !operators[operator] &&
+      (nested || LOKI_OPERATORS.indexOf(operator) === -1)
+    ) {
+      throw new QueryError(
+        'UNSUPPORTED_OPERATOR',
+        `Query operator '${operator}' is not supported`,
+        {operator, field}
+      )
+    }
+
+    switch (operator) {
+      case '$in':
+      case '$nin':
+      case '$all':
+        if (!Array.isArray(operand)) {
+          throw invalidOperand(operator, field, 'requires an array')
+        }
+
+        break
+      case '$size':
+        if (!Number.isInteger(operand) || operand < 0) {
+          throw invalidOperand(operator, field, 'requires a positive integer')
+        }
+
+        break
+      case '$type': {
+        const types = [].concat(operand)
+
+        types.forEach(type => {
+          if (!TYPES[TYPE_NUMBERS[type] || type]) {
+            throw invalidOperand(operator, field, `has unknown type '${type}'`)
+          }
+        })
+
+        break
+      }
+
+      case '$options':
+        if (condition.$regex === undefined) {
+          throw invalidOperand(operator, field, 'requires $regex')
+        }
+
+        break
+      case '$not':
+        if (!(operand instanceof RegExp) && !isOperatorObject(operand)) {
+          throw invalidOperand(
+            operator,
+            field,
+            'requires an object of operators or a regular expression'
+          )
+        }
+
+        validateCondition(field, operand, true)
+
+        break
+      case '$elemMatch':
+        if (!TYPES.object(operand)) {
+          throw invalidOperand(operator, field, 'requires an object')
+        }
+
+        if (isOperatorObject(operand)) {
+          validateCondition(field, operand, true)
+        } else {
+          validateQuery(field, operand)
+        }
+
+        break
+    }
+  })
+}
+
+/**
+ * Whether LokiJS evaluates an operator on a field the same way MongoDB does,
+ * in which case it's given to LokiJS as it is and can use a binary index.
+ * LokiJS follows dot-notation paths differently (and can't follow them
+ * through `null`), so those are only passed on for LokiJS operators. Nor
+ * can LokiJS compare strings with a collator.
+ */
+const isNative = function(field, operator, operand, collator) {
+  if (LOKI_OPERATORS.indexOf(operator) !== -1) return true
+
+  if (field.indexOf('.') !== -1) return false
+
+  // LokiJS compares objects, arrays and dates by reference.
+  const isScalar = value => {
+    return (
+      value !== null &&
+      typeof value !== 'object' &&
+      !(collator && typeof value === 'string')
+    )
+  }
+
+  switch (operator) {
+    case '$eq':
+    case '$ne':
+      return isScalar(operand)
+    case '$gt':
+    case '$gte':
+    case '$lt':
+    case '$lte':
+      return operand !== null && !(collator && typeof operand === 'string')
+    case '$in':
+    case '$nin':
+      return operand.every(isScalar)
+    case '$dteq':
+    case '$exists':
+    case '$regex':
+    case '$size':
+      return true
+    default:
+      return false
+  }
+}
+
+/**
+ * Translates the condition on a field into LokiJS expressions, one for each
+ * operator. Operators that LokiJS doesn't support, or supports differently,
+ * become a `$where` function on the top-level field that evaluates the
+ * condition as MongoDB would. Throws a `QueryError` if the condition can't be
+ * translated.
+ *
+ * @param  {string}        field - the field, which can use dot-notation
+ * @param  {*}             condition
+ * @param  {Intl.Collator} collator - compares strings, if given
+ * @return {Array} an array of LokiJS expressions
+ */
+const translateCondition = function(field, condition, collator) {
+  if (condition instanceof Date) {
+    // LokiJS compares dates by reference, unless using `$dteq`.
+    return translateCondition(field, {$dteq: condition})
+  }
+
+  if (!isOperatorObject(condition)) {
+    return isNative(field, '$eq', condition, collator)
+      ? [{[field]: condition}]
+      : translateCondition(field, {$eq: condition}, collator)
+  }
+
+  validateCondition(field, condition)
+
+  const conditions = Object.keys(condition).reduce((result, operator) => {
+    if (operator === '$regex') {
+      result.$regex = condition.$options
+        ? [getRegExp(condition.$regex).source, condition.$options]
+        : condition.$regex
+    } else if (operator !== '$options') {
+      result[operator] = condition[operator]
+    }
+
+    return result
+  }, {})
+
+  return Object.keys(conditions).map(operator => {
+    const operand = conditions[operator]
+
+    if (isNative(field, operator, operand, collator)) {
+      return {[field]: {[operator]: operand}}
+    }
+
+    const root = field.split('.')[0]
+    const nodes = field.split('.').slice(1)
+    const single = {[operator]: operand}
+
+    return {
+      [root]: {
+        $where: value => {
+          return matchesCondition(getCandidates(value, nodes), single, collator)
+        }
+      }
+    }
+  })
+}
+
+/**
+ * Checks that the operand of a logical operator is an array of queries.
+ *
+ * @param {string} operator
+ * @param {*}      operand
+ */
+const validateLogicalOperand = function(operator, operand) {
+  if (!Array.isArray(operand) || !operand.every(TYPES.object)) {
+    throw new QueryError(
+      'INVALID_OPERAND',
+      `${operator} requires an array of queries`,
+      {operator}
+    )
+  }
+}
+
+/**
+ * Returns a query matching the documents that `query` doesn't match. LokiJS
+ * has no `$nor`, so its queries are negated instead, pushing the negation
+ * down to the condition on each field, where it becomes `$not` or `$ne`.
+ *
+ * @param  {Object} query
+ * @return {Object}
+ */
+const negateQuery = function(query) {
+  const negated = Object.keys(query).map(key => {
+    switch (key) {
+      case '$and':
+        validateLogicalOperand(key, query[key])
+
+        return {$or: query[key].map(negateQuery)}
+      case '$or':
+        validateLogicalOperand(key, query[key])
+
+        return {$and: query[key].map(negateQuery)}
+      case '$nor':
+        validateLogicalOperand(key, query[key])
+
+        return {$or: query[key]}
+      default: {
+        const condition = query[key]
+
+        return {
+          [key]:
+            condition instanceof RegExp || isOperatorObject(condition)
+              ? {$not: condition}
+              : {$ne: condition}
+        }
+      }
+    }
+  })
+
+  // An empty query matches every document, so its negation (an empty `$or`)
+  // matches none.
+  return negated.length === 1 ? negated[0] : {$or: negated}
+}
+
+module.exports = {
+  matchesCondition,
+  matchesQuery,
+  negateQuery,
+  translateCondition,
+  validateLogicalOperand
+}
@@ -0,0 +1,297 @@
+const cloneValue = require('./utils').cloneValue
+
+/**
+ * Converts a value to the type of a schema field. Numbers and booleans sent
+ * as strings (e.g. `"10"` or `"true"`) are converted, and dates are stored in
+ * a canonical form: an ISO 8601 string in UTC, such as
+ * `2018-06-01T09:30:00.000Z`. That's how dates are read back from disk, and
+ * strings of this form sort in date order. Timestamps in milliseconds are
+ * converted too, so that dates given in any form compare with each other.
+ * Values that can't be converted are returned as they are, as are the values
+ * of other field types.
+ */
+const coercers = {
+  boolean(value) {
+    if (value === 'true') return true
+    if (value === 'false') return false
+
+    return value
+  },
+
+  datetime(value) {
+    let time
+
+    if (value instanceof Date) {
+      time = value.getTime()
+    } else if (typeof value === 'number') {
+      time = value
+    } else if (typeof value === 'string') {
+      time = Date.parse(value)
+    }
+
+    return isFinite(time) ? new Date(time).toISOString() : value
+  },
+
+  number(value) {
+    if (typeof value !== 'string' || value.trim().length === 0) return value
+
+    const number = Number(value)
+
+    return isFinite(number) ? number : value
+  }
+}
+
+/**
+ * Returns the coercion function for a schema field, or `undefined` if values
+ * of its type are left alone.
+ *
+ * @param  {Object} field - the schema of the field, e.g. `{type: 'Number'}`
+ * @return {Function}
+ */
+const getCoercer = function(field) {
+  const type = field && typeof field.type === 'string' && field.type
+
+  return type ? coercers[type.toLowerCase()] : undefined
+}
+
+/**
+ * Converts a value, or each element of an array, to the type of a schema
+ * field.
+ *
+ * @param  {*} value
+ * @param  {Object} field - the schema of the field
+ * @return {*}
+ */
+const coerceValue = function(value, field) {
+  const coerce = getCoercer(field)
+
+  if (!coerce) return value
+
+  return Array.isArray(value) ? value.map(coerce) : coerce(value)
+}
+
+/**
+ * Returns the schema of a field, which can be given with dot-notation. The
+ * fields of subdocuments are described either by a dot-notation key (e.g.
+ * `'author.born'`) or by the `fields` of their parent's schema (e.g.
+ * `{author: {type: 'Object', fields: {born: {type: 'DateTime'}}}}`).
+ *
+ * @param  {Object} schema - the schema of each field, by name
+ * @param  {string} path - e.g. `author.born`
+ * @return {Object} the schema of the field, or `undefined`
+ */
+const getField = function(schema, path) {
+  if (!schema) return
+  if (schema[path]) return schema[path]
+
+  const nodes = path.split('.')
+
+  for (let length = nodes.length - 1; length > 0; length--) {
+    const parent = schema[nodes.slice(0, length).join('.')]
+
+    if (parent && parent.fields) {
+      return getField(parent.fields, nodes.slice(length).join('.'))
+    }
+  }
+}
+
+/**
+ * Converts the fields of a document to the types given by a schema, in
+ * place, including the fields of subdocuments described by dot-notation keys
+ * or nested `fields` (see `getField`). Each element of an array of
+ * subdocuments is converted.
+ *
+ * @param  {Object} document
+ * @param  {Object} schema - the schema of each field, by name
+ * @return {Object} the document
+ */
+const coerceDocument = function(document, schema) {
+  if (!schema || !document || typeof document !== 'object') return document
+
+  if (Array.isArray(document)) {
+    document.forEach(element => coerceDocument(element, schema))
+
+    return document
+  }
+
+  Object.keys(schema).forEach(key => {
+    const separator = key.indexOf('.')
+    const name = separator === -1 ? key : key.slice(0, separator)
+    const value = document[name]
+
+    if (value === undefined || value === null) return
+
+    if (separator !== -1) {
+      coerceDocument(value, {[key.slice(separator + 1)]: schema[key]})
+
+      return
+    }
+
+    document[key] = coerceValue(value, schema[key])
+
+    if (schema[key].fields) {
+      coerceDocument(document[key], schema[key].fields)
+    }
+  })
+
+  return document
+}
+
+/**
+ * Converts the values a query condition compares against (e.g. `"10"` in
+ * `{$gte: "10"}`) to the type of a schema field, so they match the values
+ * stored by `coerceDocument`. Returns a new condition.
+ *
+ * @param  {*} condition - a value or an object of query operators
+ * @param  {Object} field - the schema of the field
+ * @return {*}
+ */
+const coerceCondition = function(condition, field) {
+  if (condition === null || condition === undefined) {
+    return condition
+  }
+
+  if (!getCoercer(field)) {
+    return field && field.fields && condition.$elemMatch
+      ? Object.assign({}, condition, {
+          $elemMatch: coerceQuery(condition.$elemMatch, field.fields)
+        })
+      : condition
+  }
+
+  const isOperatorObject =
+    typeof condition === 'object' &&
+    !(condition instanceof Date) &&
+    !Array.isArray(condition) &&
+    Object.keys(condition).some(key => key.charAt(0) === '$')
+
+  if (!isOperatorObject) {
+    return Object.prototype.toString.call(condition) === '[object RegExp]'
+      ? condition
+      : coerceValue(condition, field)
+  }
+
+  return Object.keys(condition).reduce((result, operator) => {
+    const operand = condition[operator]
+
+    switch (operator) {
+      case '$eq':
+      case '$ne':
+      case '$gt':
+      case '$gte':
+      case '$lt':
+      case '$lte':
+      case '$in':
+      case '$nin':
+      case '$all':
+      case '$between':
+        result[operator] = coerceValue(operand, field)
+
+        break
+      case '$not':
+      case '$elemMatch':
+        result[operator] = coerceCondition(operand, field)
+
+        break
+      default:
+        result[operator] = operand
+    }
+
+    return result
+  }, {})
+}
+
+/**
+ * Converts the values compared against in a query on subdocuments, such as
+ * the operand of `$elemMatch`, to the types given by their schema. Returns a
+ * new query.
+ *
+ * @param  {Object} query
+ * @param  {Object} schema - the schema of each field of the subdocuments
+ * @return {Object}
+ */
+const coerceQuery = function(query, schema) {
+  if (!query || typeof query !== 'object' || Array.isArray(query)) {
+    return query
+  }
+
+  return Object.keys(query).reduce((result, key) => {
+    result[key] =
+      key.charAt(0) === '$'
+        ? query[key]
+        : coerceCondition(query[key], getField(schema, key))
+
+    return result
+  }, {})
+}
+
+/**
+ * Sets the fields of a document that are missing to the `default` value of
+ * their field in a schema, if they have one, in place.
+ *
+ * @param  {Object} document
+ * @param  {Object} schema - the schema of each field, by name
+ * @return {Object} the document
+ */
+const applyDefaults = function(document, schema) {
+  Object.keys(schema).forEach(key => {
+    if (document[key] === undefined && schema[key].default !== undefined) {
+      document[key] = cloneValue(schema[key].default)
+    }
+  })
+
+  return document
+}
+
+/**
+ * Returns an object describing each field of a document that breaks a
+ * schema: fields marked as `required` that are missing (or null or empty),
+ * and fields that aren't in the schema. Fields starting with an underscore,
+ * such as `_id` or the metadata API adds, and the properties LokiJS adds
+ * are allowed.
+ *
+ * @param  {Object} document
+ * @param  {Object} schema - the schema of each field, by name
+ * @return {Array} an object with `field`, `code` and `message` for each
+ *     problem, empty if the document is valid
+ */
+const validateDocument = function(document, schema) {
+  const errors = []
+
+  Object.keys(schema).forEach(field => {
+    const value = document[field]
+
+    if (
+      schema[field].required &&
+      (value === undefined || value === null || value === '')
+    ) {
+      errors.push({field, code: 'REQUIRED', message: `${field} is required`})
+    }
+  })
+
+  Object.keys(document).forEach(field => {
+    if (
+      !schema[field] &&
+      field.charAt(0) !== '_' &&
+      field !== '$loki' &&
+      field !== 'meta'
+    ) {
+      errors.push({
+        field,
+        code: 'UNKNOWN_FIELD',
+        message: `${field} is not in the schema`
+      })
+    }
+  })
+
+  return errors
+}
+
+module.exports = {
+  applyDefaults,
+  coerceCondition,
+  coerceDocument,
+  coerceValue,
+  getField,
+  validateDocument
+}
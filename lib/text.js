@@ -0,0 +1,844 @@
+const {collectValues} = require('./utils')
+const {IndexError, QueryError} = require('./errors')
+
+const ENGLISH_STOP_WORDS = [
+  'a',
+  'about',
+  'above',
+  'after',
+  'again',
+  'against',
+  'all',
+  'am',
+  'an',
+  'and',
+  'any',
+  'are',
+  'as',
+  'at',
+  'be',
+  'because',
+  'been',
+  'before',
+  'being',
+  'below',
+  'between',
+  'both',
+  'but',
+  'by',
+  'can',
+  'could',
+  'did',
+  'do',
+  'does',
+  'doing',
+  'down',
+  'during',
+  'each',
+  'few',
+  'for',
+  'from',
+  'further',
+  'had',
+  'has',
+  'have',
+  'having',
+  'he',
+  'her',
+  'here',
+  'hers',
+  'herself',
+  'him',
+  'himself',
+  'his',
+  'how',
+  'i',
+  'if',
+  'in',
+  'into',
+  'is',
+  'it',
+  'its',
+  'itself',
+  'just',
+  'me',
+  'more',
+  'most',
+  'my',
+  'myself',
+  'no',
+  'nor',
+  'not',
+  'now',
+  'of',
+  'off',
+  'on',
+  'once',
+  'only',
+  'or',
+  'other',
+  'our',
+  'ours',
+  'ourselves',
+  'out',
+  'over',
+  'own',
+  'same',
+  'she',
+  'should',
+  'so',
+  'some',
+  'such',
+  'than',
+  'that',
+  'the',
+  'their',
+  'theirs',
+  'them',
+  'themselves',
+  'then',
+  'there',
+  'these',
+  'they',
+  'this',
+  'those',
+  'through',
+  'to',
+  'too',
+  'under',
+  'until',
+  'up',
+  'very',
+  'was',
+  'we',
+  'were',
+  'what',
+  'when',
+  'where',
+  'which',
+  'while',
+  'who',
+  'whom',
+  'why',
+  'will',
+  'with',
+  'would',
+  'you',
+  'your',
+  'yours',
+  'yourself',
+  'yourselves'
+]
+
+const isConsonant = function(word, index) {
+  const letter = word[index]
+
+  if ('aeiou'.indexOf(letter) !== -1) return false
+
+  if (letter === 'y') {
+    return index === 0 || !isConsonant(word, index - 1)
+  }
+
+  return true
+}
+
+/**
+ * The number of vowel-consonant sequences in a stem, the "measure" the
+ * Porter stemmer uses to decide whether a suffix can be removed.
+ */
+const getMeasure = function(stem) {
+  let measure = 0
+  let index = 0
+
+  while (index < stem.length && isConsonant(stem, index)) index++
+
+  while (index < stem.length) {
+    while (index < stem.length && !isConsonant(stem, index)) index++
+
+    if (index === stem.length) break
+
+    while (index < stem.length && isConsonant(stem, index)) index++
+
+    measure++
+  }
+
+  return measure
+}
+
+const hasVowel = function(stem) {
+  return stem.split('').some((letter, index) => !isConsonant(stem, index))
+}
+
+const endsWithDoubleConsonant = function(stem) {
+  const last = stem.length - 1
+
+  return last > 0 && stem[last] === stem[last - 1] && isConsonant(stem, last)
+}
+
+// Whether a stem ends consonant-vowel-consonant, where the last consonant
+// isn't w, x or y (e.g. "hop", but not "snow").
+const endsWithShortSyllable = function(stem) {
+  const last = stem.length - 1
+
+  return (
+    last > 1 &&
+    isConsonant(stem, last - 2) &&
+    !isConsonant(stem, last - 1) &&
+    isConsonant(stem, last) &&
+    'wxy'.indexOf(stem[last]) === -1
+  )
+}
+
+/**
+ * Replaces the longest of the given suffixes the word ends with, provided
+ * the rest of the word passes `test`.
+ *
+ * @param  {string}   word
+ * @param  {Object}   rules - a map of suffixes to their replacement
+ * @param  {Function} test - receives the stem left by removing the suffix
+ * @return {string}
+ */
+const replaceSuffix = function(word, rules, test) {
+  const suffix = Object.keys(rules)
+    .sort((a, b) => b.length - a.length)
+    .find(candidate => word.endsWith(candidate))
+
+  if (suffix === undefined) return word
+
+  const stem = word.slice(0, word.length - suffix.length)
+
+  return test(stem) ? stem + rules[suffix] : word
+}
+
+const STEP_2_RULES = {
+  ational: 'ate',
+  tional: 'tion',
+  enci: 'ence',
+  anci: 'ance',
+  izer: 'ize',
+  bli: 'ble',
+  alli: 'al',
+  entli: 'ent',
+  eli: 'e',
+  ousli: 'ous',
+  ization: 'ize',
+  ation: 'ate',
+  ator: 'ate',
+  alism: 'al',
+  iveness: 'ive',
+  fulness: 'ful',
+  ousness: 'ous',
+  aliti: 'al',
+  iviti: 'ive',
+  biliti: 'ble',
+  logi: 'log'
+}
+
+const STEP_3_RULES = {
+  icate: 'ic',
+  ative: '',
+  alize: 'al',
+  iciti: 'ic',
+  ical: 'ic',
+  ful: '',
+  ness: ''
+}
+
+const STEP_4_SUFFIXES = [
+  'al',
+  'ance',
+  'ence',
+  'er',
+  'ic',
+  'able',
+  'ible',
+  'ant',
+  'ement',
+  'ment',
+  'ent',
+  'ion',
+  'ou',
+  'ism',
+  'ate',
+  'iti',
+  'ous',
+  'ive',
+  'ize'
+]
+
+/**
+ * Reduces an English word to its stem (e.g. "running" to "run"), using the
+ * Porter stemming algorithm.
+ *
+ * @param  {string} word - a lowercase word
+ * @return {string}
+ */
+const stemEnglish = function(word) {
+  if (word.length <= 2) return word
+
+  // Step 1a: plurals.
+  word = replaceSuffix(word, {sses: 'ss', ies: 'i', ss: 'ss', s: ''}, () => {
+    return true
+  })
+
+  // Step 1b: past participles and gerunds.
+  if (word.endsWith('eed')) {
+    word = replaceSuffix(word, {eed: 'ee'}, stem => getMeasure(stem) > 0)
+  } else {
+    const stemmed = replaceSuffix(word, {ed: '', ing: ''}, hasVowel)
+
+    if (stemmed !== word) {
+      word = stemmed
+
+      if (/(at|bl|iz)$/.test(word)) {
+        word += 'e'
+      } else if (endsWithDoubleConsonant(word) && !/[lsz]$/.test(word)) {
+        word = word.slice(0, -1)
+      } else if (getMeasure(word) === 1 && endsWithShortSyllable(word)) {
+        word += 'e'
+      }
+    }
+  }
+
+  // Step 1c: a final "y" after a vowel becomes "i".
+  word = replaceSuffix(word, {y: 'i'}, hasVowel)
+
+  // Steps 2 to 4: derivational suffixes.
+  word = replaceSuffix(word, STEP_2_RULES, stem => getMeasure(stem) > 0)
+  word = replaceSuffix(word, STEP_3_RULES, stem => getMeasure(stem) > 0)
+  word = replaceSuffix(
+    word,
+    STEP_4_SUFFIXES.reduce((rules, suffix) => {
+      rules[suffix] = ''
+
+      return rules
+    }, {}),
+    stem => {
+      return (
+        getMeasure(stem) > 1 && (!word.endsWith('ion') || /[st]$/.test(stem))
+      )
+    }
+  )
+
+  // Step 5: a final "e" and double "l".
+  word = replaceSuffix(word, {e: ''}, stem => {
+    const measure = getMeasure(stem)
+
+    return measure > 1 || (measure === 1 && !endsWithShortSyllable(stem))
+  })
+
+  if (getMeasure(word) > 1 && word.endsWith('ll')) {
+    word = word.slice(0, -1)
+  }
+
+  return word
+}
+
+/**
+ * The languages text indexes support, each with a set of words that aren't
+ * indexed and a function reducing words to their stem. `none` indexes every
+ * word as it is.
+ */
+const LANGUAGES = {
+  english: {
+    stem: stemEnglish,
+    stopWords: new Set(ENGLISH_STOP_WORDS)
+  },
+  none: {
+    stem: word => word,
+    stopWords: new Set()
+  }
+}
+
+// Latin, Greek and Cyrillic letters, and digits.
+const WORD_PATTERN = /[0-9A-Za-z\u00C0-\u00D6\u00D8-\u00F6\u00F8-\u024F\u0370-\u03FF\u0400-\u04FF]+/g
+
+/**
+ * Folds case and diacritics in a piece of text, unless the search is
+ * sensitive to them.
+ *
+ * @param  {string} text
+ * @param  {Object} options - `caseSensitive` and `diacriticSensitive`
+ * @return {string}
+ */
+const normaliseText = function(text, options) {
+  text = options.diacriticSensitive
+    ? text.normalize('NFC')
+    : text.normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+
+  return options.caseSensitive ? text : text.toLowerCase()
+}
+
+/**
+ * Splits text into the terms that are indexed and searched for: words that
+ * aren't stop words, reduced to their stem.
+ *
+ * @param  {string} text
+ * @param  {string} language - one of `LANGUAGES`
+ * @param  {Object} options - `caseSensitive` and `diacriticSensitive`
+ * @return {Array}
+ */
+const tokenise = function(text, language, options) {
+  const {stem, stopWords} = LANGUAGES[language]
+  const words = normaliseText(text, options || {}).match(WORD_PATTERN) || []
+
+  return words
+    .filter(word => !stopWords.has(word.toLowerCase()))
+    .map(word => (word === word.toLowerCase() ? stem(word) : word))
+}
+
+/**
+ * Splits a `$search` string into terms, "quoted phrases" and negated terms
+ * and phrases (prefixed with a hyphen).
+ */
+const parseSearch = function(search) {
+  const parsed = {negatedPhrases: [], negatedWords: [], phrases: [], words: []}
+  const pattern = /(-?)"([^"]*)"|(\S+)/g
+  let match
+
+  while ((match = pattern.exec(search))) {
+    if (match[2] !== undefined) {
+      parsed[match[1] ? 'negatedPhrases' : 'phrases'].push(match[2])
+    } else if (match[3].charAt(0) === '-') {
+      parsed.negatedWords.push(match[3].slice(1))
+    } else {
+      parsed.words.push(match[3])
+    }
+  }
+
+  return parsed
+}
+
+const SEARCH_OPTIONS = [
+  '$search',
+  '$language',
+  '$caseSensitive',
+  '$diacriticSensitive'
+]
+
+/**
+ * Checks the operand of a `$text` query, throwing a `QueryError` describing
+ * the first problem found.
+ */
+const validateSearch = function(search) {
+  const invalid = message => {
+    return new QueryError('INVALID_OPERAND', `$text ${message}`, {
+      operator: '$text'
+    })
+  }
+
+  if (!search || typeof search !== 'object' || Array.isArray(search)) {
+    throw invalid('requires an object with $search')
+  }
+
+  Object.keys(search).forEach(key => {
+    if (SEARCH_OPTIONS.indexOf(key) === -1) {
+      throw invalid(`does not support the ${key} option`)
+    }
+  })
+
+  if (typeof search.$search !== 'string') {
+    throw invalid('requires $search to be a string')
+  }
+
+  if (search.$language !== undefined && !LANGUAGES[search.$language]) {
+    throw invalid(`does not support the language '${search.$language}'`)
+  }
+}
+
+/**
+ * A full-text index on the string fields of a collection, created from a
+ * text index definition (see `DataStore.index`): an inverted index mapping
+ * each term to the documents containing it, so that a search only looks at
+ * the documents containing one of its terms. The index is held in memory
+ * rather than in the database. It's built when it's attached to a collection
+ * (see `sync`) and kept up to date as documents are inserted, updated and
+ * removed, by listening to the events of the LokiJS collection.
+ *
+ * @constructor TextIndex
+ * @param {Object} definition - the index definition, whose `keys` map fields
+ *     to `"text"` (`$**` indexes every string field) and whose `options` can
+ *     have `weights`, `default_language` and `language_override`
+ */
+const TextIndex = function(definition) {
+  const options = definition.options || {}
+
+  this.fields = Object.keys(definition.keys)
+  this.weights = options.weights || {}
+  this.language = options.default_language || 'english'
+  this.languageOverride = options.language_override || 'language'
+  this.entries = new WeakMap()
+
+  // The collection the index is attached to, and the array of documents it
+  // was last checked against.
+  this.collection = null
+  this.data = null
+
+  // The indexed documents, by `$loki` identifier.
+  this.documents = new Map()
+
+  // The identifiers of the documents containing each term, mapped to the
+  // score the term contributes to each.
+  this.postings = new Map()
+
+  this.listeners = {
+    insert: documents => {
+      ;[].concat(documents).forEach(document => this.add(document))
+    },
+    update: document => {
+      this.remove(document.$loki)
+      this.add(document)
+    },
+    delete: document => this.remove(document.$loki)
+  }
+}
+
+/**
+ * Returns the strings held by each indexed field of a document.
+ *
+ * @param  {Object} document
+ * @return {Object} a map of fields to an Array of strings
+ */
+TextIndex.prototype.getStrings = function(document) {
+  const strings = {}
+  const addStrings = (field, values) => {
+    values.forEach(value => {
+      if (typeof value === 'string') {
+        strings[field] = (strings[field] || []).concat(value)
+      } else if (this.fields.indexOf('$**') !== -1 && value) {
+        // A wildcard index includes the strings in nested documents too.
+        if (Array.isArray(value)) {
+          addStrings(field, value)
+        } else if (typeof value === 'object' && !(value instanceof Date)) {
+          Object.keys(value).forEach(key => {
+            addStrings(`${field}.${key}`, [value[key]])
+          })
+        }
+      }
+    })
+  }
+
+  this.fields.forEach(field => {
+    if (field === '$**') {
+      Object.keys(document)
+        .filter(key => ['$loki', 'meta', '_id'].indexOf(key) === -1)
+        .filter(key => this.fields.indexOf(key) === -1)
+        .forEach(key => addStrings(key, [document[key]]))
+    } else {
+      addStrings(field, collectValues(document, field.split('.')))
+    }
+  })
+
+  return strings
+}
+
+/**
+ * Returns the weight of a field, i.e. how much its matching terms contribute
+ * to the score of a document.
+ *
+ * @param  {string} field
+ * @return {number}
+ */
+TextIndex.prototype.getWeight = function(field) {
+  if (this.weights[field] !== undefined) return this.weights[field]
+
+  const wildcardWeight = this.weights['$**']
+
+  return this.fields.indexOf(field) === -1 && wildcardWeight !== undefined
+    ? wildcardWeight
+    : 1
+}
+
+/**
+ * Returns the indexed terms of a document, with the score each contributes
+ * when searched for, and its indexed text.
+ *
+ * @param  {Object} document
+ * @return {Object} an object with `terms`, a Map of terms to scores, and
+ *     `text`, an Array with the strings of the indexed fields
+ */
+TextIndex.prototype.getEntry = function(document) {
+  let entry = this.entries.get(document)
+
+  if (entry) return entry
+
+  const strings = this.getStrings(document)
+  const language = LANGUAGES[document[this.languageOverride]]
+    ? document[this.languageOverride]
+    : this.language
+
+  entry = {language, terms: new Map(), text: []}
+
+  Object.keys(strings).forEach(field => {
+    const terms = tokenise(strings[field].join(' '), language)
+    const counts = terms.reduce((result, term) => {
+      result.set(term, (result.get(term) || 0) + 1)
+
+      return result
+    }, new Map())
+
+    // Terms score more the more often they appear in a field, relative to
+    // the length of the field, as in MongoDB.
+    counts.forEach((count, term) => {
+      const score = this.getWeight(field) * (0.5 + (0.5 * count) / terms.length)
+
+      entry.terms.set(term, (entry.terms.get(term) || 0) + score)
+    })
+
+    entry.text = entry.text.concat(strings[field])
+  })
+
+  this.entries.set(document, entry)
+
+  return entry
+}
+
+/**
+ * Adds a document to the inverted index.
+ *
+ * @param {Object} document
+ */
+TextIndex.prototype.add = function(document) {
+  const id = document.$loki
+
+  this.documents.set(id, document)
+  this.getEntry(document).terms.forEach((score, term) => {
+    if (!this.postings.has(term)) {
+      this.postings.set(term, new Map())
+    }
+
+    this.postings.get(term).set(id, score)
+  })
+}
+
+/**
+ * Removes a document from the inverted index.
+ *
+ * @param {number} id - the `$loki` identifier of the document
+ */
+TextIndex.prototype.remove = function(id) {
+  const document = this.documents.get(id)
+
+  if (!document) return
+
+  this.getEntry(document).terms.forEach((score, term) => {
+    const postings = this.postings.get(term)
+
+    postings.delete(id)
+
+    if (postings.size === 0) {
+      this.postings.delete(term)
+    }
+  })
+
+  this.documents.delete(id)
+}
+
+/**
+ * Attaches the index to a collection, indexing its documents, or brings the
+ * index up to date with changes LokiJS doesn't emit events for. Those replace
+ * the array of documents of the collection (e.g. removing several documents
+ * at once, clearing the collection or rolling back a transaction), so the
+ * documents are only compared with the index when that happens. Documents
+ * that are already indexed aren't tokenised again.
+ *
+ * @param {Object} collection - the LokiJS collection
+ */
+TextIndex.prototype.sync = function(collection) {
+  if (collection !== this.collection) {
+    this.detach()
+    this.collection = collection
+
+    Object.keys(this.listeners).forEach(event => {
+      collection.on(event, this.listeners[event])
+    })
+  }
+
+  if (collection.data === this.data) return
+
+  const present = new Set()
+
+  collection.data.forEach(document => {
+    present.add(document.$loki)
+
+    if (this.documents.get(document.$loki) !== document) {
+      this.remove(document.$loki)
+      this.add(document)
+    }
+  })
+
+  Array.from(this.documents.keys()).forEach(id => {
+    if (!present.has(id)) this.remove(id)
+  })
+
+  this.data = collection.data
+}
+
+/**
+ * Stops listening to the events of the collection the index is attached to,
+ * and empties the index.
+ */
+TextIndex.prototype.detach = function() {
+  if (this.collection) {
+    Object.keys(this.listeners).forEach(event => {
+      this.collection.removeListener(event, this.listeners[event])
+    })
+  }
+
+  this.collection = null
+  this.data = null
+  this.documents = new Map()
+  this.postings = new Map()
+}
+
+/**
+ * Finds the documents of a collection matching a `$text` query, such as
+ * `{$search: 'coffee -decaf "flat white"'}`. A document matches if it
+ * contains any of the terms and every phrase, and none of the negated terms
+ * or phrases. Throws a `QueryError` if the query isn't valid.
+ *
+ * @param  {Object} collection - the LokiJS collection
+ * @param  {Object} search - the operand of `$text`
+ * @return {Map} the score of each matching document, by `$loki` identifier
+ */
+TextIndex.prototype.search = function(collection, search) {
+  validateSearch(search)
+
+  const options = {
+    caseSensitive: Boolean(search.$caseSensitive),
+    diacriticSensitive: Boolean(search.$diacriticSensitive)
+  }
+  const language = search.$language || this.language
+  const parsed = parseSearch(search.$search)
+  const getTerms = text => tokenise(text, language)
+  const terms = Array.from(
+    new Set(
+      parsed.words
+        .concat(parsed.phrases)
+        .reduce((result, text) => result.concat(getTerms(text)), [])
+    )
+  )
+  const negatedTerms = parsed.negatedWords.reduce((result, text) => {
+    return result.concat(getTerms(text))
+  }, [])
+  const phrases = parsed.phrases.map(phrase => normaliseText(phrase, options))
+  const negatedPhrases = parsed.negatedPhrases.map(phrase => {
+    return normaliseText(phrase, options)
+  })
+  const sensitiveTerms =
+    options.caseSensitive || options.diacriticSensitive
+      ? parsed.words.reduce((result, text) => {
+          return result.concat(tokenise(text, language, options))
+        }, [])
+      : null
+  const scores = new Map()
+  const candidates = new Set()
+
+  this.sync(collection)
+
+  // Only documents containing one of the terms can match.
+  terms.forEach(term => {
+    const postings = this.postings.get(term)
+
+    if (postings) {
+      postings.forEach((score, id) => candidates.add(id))
+    }
+  })
+
+  candidates.forEach(id => {
+    const document = this.documents.get(id)
+    const entry = this.getEntry(document)
+    const score = terms.reduce((total, term) => {
+      return total + (entry.terms.get(term) || 0)
+    }, 0)
+
+    if (score === 0) return
+
+    if (negatedTerms.some(term => entry.terms.has(term))) return
+
+    if (phrases.length > 0 || negatedPhrases.length > 0 || sensitiveTerms) {
+      const text = normaliseText(entry.text.join('\n'), options)
+
+      if (!phrases.every(phrase => text.indexOf(phrase) !== -1)) return
+
+      if (negatedPhrases.some(phrase => text.indexOf(phrase) !== -1)) return
+
+      // Case and diacritics are folded in the index, so a sensitive search
+      // checks the text of the candidates for the exact words.
+      if (sensitiveTerms && sensitiveTerms.length > 0) {
+        const words = new Set(tokenise(text, entry.language, options))
+
+        if (!sensitiveTerms.some(term => words.has(term))) return
+      }
+    }
+
+    scores.set(document.$loki, score)
+  })
+
+  return scores
+}
+
+/**
+ * Checks the keys and options of a text index definition, throwing an
+ * `IndexError` describing the first problem found.
+ *
+ * @param {Object} definition
+ */
+TextIndex.validate = function(definition) {
+  const options = definition.options || {}
+  const invalid = message => {
+    return new IndexError('INVALID_INDEX', message, {index: definition.name})
+  }
+
+  Object.keys(definition.keys).forEach(field => {
+    if (definition.keys[field] !== 'text') {
+      throw invalid(`Text indexes can't include the non-text key '${field}'`)
+    }
+  })
+
+  if (options.unique) {
+    throw invalid("Text indexes can't be unique")
+  }
+
+  if (
+    options.default_language !== undefined &&
+    !LANGUAGES[options.default_language]
+  ) {
+    throw invalid(
+      `Text indexes don't support the language '${options.default_language}'`
+    )
+  }
+
+  Object.keys(options.weights || {}).forEach(field => {
+    const weight = options.weights[field]
+
+    if (typeof weight !== 'number' || !(weight > 0)) {
+      throw invalid(`The weight of '${field}' must be a positive number`)
+    }
+  })
+}
+
+/**
+ * Whether a value given to `sort` or `fields` refers to the text score of
+ * documents, i.e. `{$meta: 'textScore'}`.
+ *
+ * @param  {*} value
+ * @return {Boolean}
+ */
+TextIndex.isScore = function(value) {
+  return Boolean(value) && value.$meta === 'textScore'
+}
+
+/**
+ * Whether an index definition describes a text index.
+ *
+ * @param  {Object} definition
+ * @return {Boolean}
+ */
+TextIndex.isTextIndex = function(definition) {
+  return Object.keys(definition.keys).some(field => {
+    return definition.keys[field] === 'text'
+  })
+}
+
+module.exports = TextIndex
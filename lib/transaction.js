@@ -0,0 +1,330 @@
+const debug = require('debug')('api:filestore:transaction')
+const TransactionError = require('./errors').TransactionError
+const utils = require('./utils')
+
+const STATE_ACTIVE = 'active'
+const STATE_COMMITTING = 'committing'
+const STATE_COMMITTED = 'committed'
+const STATE_ABORTED = 'aborted'
+
+/**
+ * Records the state of a LokiJS collection, so that it can be restored if a
+ * transaction fails half way through, or can't be journalled. Documents aren't copied, as LokiJS
+ * replaces them (rather than modifying them) on update.
+ */
+const takeSnapshot = function(collection) {
+  return {
+    collection,
+    data: collection.data.slice(),
+    idIndex: collection.idIndex.slice(),
+    maxId: collection.maxId,
+    meta: collection.data.map(document => document.meta)
+  }
+}
+
+/**
+ * Puts a LokiJS collection back in the state recorded by `takeSnapshot`.
+ */
+const restoreSnapshot = function(snapshot) {
+  const {collection} = snapshot
+
+  // LokiJS strips these properties from the documents it removes.
+  snapshot.data.forEach((document, index) => {
+    document.$loki = snapshot.idIndex[index]
+    document.meta = snapshot.meta[index]
+  })
+
+  collection.data = snapshot.data
+  collection.idIndex = snapshot.idIndex
+  collection.maxId = snapshot.maxId
+  collection.uniqueNames.forEach(field => collection.ensureUniqueIndex(field))
+  collection.ensureAllIndexes(true)
+  collection.dirty = true
+}
+
+/**
+ * A set of inserts, updates and deletes, across any number of collections,
+ * that are applied together or not at all. Mutations are staged until the
+ * transaction is committed, at which point they're applied in the order they
+ * were made, against the latest version of each collection.
+ *
+ * Documents read with `find` are checked when committing: if any of them has
+ * been modified or deleted in the meantime, the commit fails with a
+ * `WRITE_CONFLICT` error and nothing is applied.
+ *
+ * The mutations for each database file are journalled as a single entry.
+ * When collections are stored in separate files (`connectWithCollection`),
+ * those entries are written separately, so a crash can leave a transaction
+ * spanning several files recorded in some of them only.
+ *
+ * @constructor Transaction
+ * @param {DataStore} store - the DataStore the transaction belongs to
+ */
+const Transaction = function(store) {
+  this.store = store
+  this.mutations = []
+  this.reads = []
+  this.state = STATE_ACTIVE
+}
+
+/**
+ * Throws unless mutations can still be added to the transaction.
+ */
+Transaction.prototype.checkActive = function() {
+  if (this.state !== STATE_ACTIVE) {
+    throw new TransactionError(
+      'TRANSACTION_CLOSED',
+      `Transaction has already been ${this.state}`
+    )
+  }
+}
+
+/**
+ * Stages the insertion of documents. Takes the same parameters as
+ * `DataStore.insert`.
+ *
+ * @returns {Transaction}
+ */
+Transaction.prototype.insert = function(parameters) {
+  return this.stage('insert', parameters)
+}
+
+/**
+ * Stages an update. Takes the same parameters as `DataStore.update`.
+ *
+ * @returns {Transaction}
+ */
+Transaction.prototype.update = function(parameters) {
+  return this.stage('update', parameters)
+}
+
+/**
+ * Stages the deletion of documents. Takes the same parameters as
+ * `DataStore.delete`.
+ *
+ * @returns {Transaction}
+ */
+Transaction.prototype.delete = function(parameters) {
+  return this.stage('delete', parameters)
+}
+
+/**
+ * Adds a mutation to the transaction. The documents to insert and the update
+ * are copied, so that the caller's objects are neither modified by the
+ * transaction (e.g. given an `_id`) nor able to change what it writes.
+ *
+ * @param  {string} operation - `insert`, `update` or `delete`
+ * @param  {Object} parameters - the parameters of the operation
+ * @returns {Transaction}
+ */
+Transaction.prototype.stage = function(operation, parameters) {
+  this.checkActive()
+
+  const copy = Object.assign({}, parameters)
+
+  if (copy.data !== undefined) copy.data = utils.cloneValue(copy.data)
+  if (copy.update !== undefined) copy.update = utils.cloneValue(copy.update)
+
+  this.mutations.push(this.store.createMutation(operation, copy))
+
+  return this
+}
+
+/**
+ * Queries the database, like `DataStore.find`, remembering the revision of
+ * each document returned so that the commit fails if any of them changes
+ * before then. Mutations staged in the transaction aren't visible.
+ *
+ * @returns {Promise.<Object, Error>}
+ */
+Transaction.prototype.find = function(parameters) {
+  try {
+    this.checkActive()
+  } catch (err) {
+    return Promise.reject(err)
+  }
+
+  const options = parameters.options || {}
+
+  return this.store
+    .findDocuments(Object.assign({}, parameters, {options}))
+    .then(({count, documents, fields, limit}) => {
+      // LokiJS replaces a document when it's updated and strips `$loki` and
+      // `meta` from it when it's deleted, so these are the values from the
+      // time of the query.
+      documents.forEach(document => {
+        this.reads.push({
+          collection: parameters.collection,
+          id: document.$loki,
+          revision: document.meta && document.meta.revision
+        })
+      })
+
+      return {
+        results: this.store.applyFieldsFilterToResults(fields, documents),
+        metadata: this.store.getMetadata(
+          Object.assign({}, options, {limit}),
+          count
+        )
+      }
+    })
+}
+
+/**
+ * Throws a `WRITE_CONFLICT` error if any of the documents read by the
+ * transaction has been modified or deleted since.
+ *
+ * @param {Object} collections - the LokiJS collections, indexed by name
+ */
+Transaction.prototype.checkReads = function(collections) {
+  this.reads.forEach(({collection, id, revision}) => {
+    const document = id === undefined ? null : collections[collection].get(id)
+
+    if (!document || (document.meta && document.meta.revision !== revision)) {
+      throw new TransactionError(
+        'WRITE_CONFLICT',
+        `A document in ${collection} was modified by another operation`
+      )
+    }
+  })
+}
+
+/**
+ * Applies the staged mutations. If any of them fails, the collections are
+ * left as they were before the commit.
+ *
+ * @returns {Promise.<Array, Error>} A promise that returns an Array with the
+ *     result of each mutation, in the order they were staged
+ */
+Transaction.prototype.commit = function() {
+  try {
+    this.checkActive()
+  } catch (err) {
+    return Promise.reject(err)
+  }
+
+  this.state = STATE_COMMITTING
+
+  const names = this.mutations
+    .map(mutation => mutation.collection)
+    .concat(this.reads.map(read => read.collection))
+    .filter((name, index, all) => all.indexOf(name) === index)
+
+  const filePaths = names
+    .map(name => this.store.getDatabasePath(name))
+    .filter((filePath, index, all) => all.indexOf(filePath) === index)
+
+  return this.store
+    .queueWrite(filePaths, () => this.apply(names))
+    .then(
+      results => {
+        this.state = STATE_COMMITTED
+
+        return results
+      },
+      err => {
+        this.state = STATE_ABORTED
+
+        throw err
+      }
+    )
+}
+
+/**
+ * Applies the staged mutations to the given collections and journals them,
+ * rolling every collection back if a mutation fails or the journal can't be
+ * written.
+ *
+ * @param {Array} names - the names of the collections involved
+ * @returns {Promise.<Array, Error>}
+ */
+Transaction.prototype.apply = function(names) {
+  return Promise.all(
+    names.map(name => {
+      return Promise.all([
+        this.store.getCollection(name),
+        this.store.getIndexDefinitions(name),
+        this.store.getHistory(name)
+      ])
+    })
+  ).then(loaded => {
+    const collections = {}
+    const definitions = {}
+    const histories = {}
+
+    names.forEach((name, index) => {
+      collections[name] = loaded[index][0]
+      definitions[name] = loaded[index][1]
+      histories[name] = loaded[index][2]
+    })
+
+    // From here on everything runs synchronously, so neither other
+    // operations nor an autosave can see the transaction half applied.
+    this.checkReads(collections)
+
+    const snapshots = names
+      .map(name => collections[name])
+      .concat(
+        names
+          .filter(name => histories[name])
+          .map(name => histories[name].collection)
+      )
+      .map(takeSnapshot)
+
+    let applied
+
+    try {
+      applied = this.mutations.map(mutation => {
+        return this.store.applyMutation(
+          mutation,
+          collections[mutation.collection],
+          definitions[mutation.collection],
+          histories[mutation.collection]
+        )
+      })
+    } catch (err) {
+      debug('rolling back: %o', err)
+
+      snapshots.forEach(restoreSnapshot)
+
+      throw err
+    }
+
+    return this.store
+      .writeTransactionJournal(applied.map(({entry}) => entry))
+      .then(
+        () => {
+          this.store.emitChanges(applied.map(({change}) => change))
+
+          return applied.map(({result}) => result)
+        },
+        err => {
+          debug('rolling back: %o', err)
+
+          snapshots.forEach(restoreSnapshot)
+
+          throw err
+        }
+      )
+  })
+}
+
+/**
+ * Discards the staged mutations.
+ *
+ * @returns {Promise}
+ */
+Transaction.prototype.abort = function() {
+  if (this.state === STATE_ACTIVE) {
+    this.state = STATE_ABORTED
+    this.mutations = []
+    this.reads = []
+  }
+
+  return Promise.resolve()
+}
+
+Transaction.restoreSnapshot = restoreSnapshot
+Transaction.takeSnapshot = takeSnapshot
+
+module.exports = Transaction
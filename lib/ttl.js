@@ -0,0 +1,115 @@
+const IndexError = require('./errors').IndexError
+const {getValue, isDate} = require('./utils')
+
+/**
+ * Returns the time, in milliseconds, held by a value of an indexed date
+ * field, or `undefined` if it doesn't hold a date. As in MongoDB, only dates
+ * expire: `Date` objects, and ISO 8601 strings with a time and a time zone,
+ * which is how dates are read back from disk. Other values, such as numbers
+ * or strings like `"2020"`, never expire. For arrays, the earliest date is
+ * used.
+ *
+ * @param  {*} value
+ * @return {number}
+ */
+const getTime = function(value) {
+  if (Array.isArray(value)) {
+    return value.reduce((earliest, element) => {
+      const time = Array.isArray(element) ? undefined : getTime(element)
+
+      return earliest === undefined || time < earliest ? time : earliest
+    }, undefined)
+  }
+
+  if (!isDate(value)) return
+
+  const time = value instanceof Date ? value.getTime() : Date.parse(value)
+
+  return isFinite(time) ? time : undefined
+}
+
+/**
+ * Whether an index definition is a TTL index, i.e. one created with the
+ * `expireAfterSeconds` option.
+ *
+ * @param  {Object} definition
+ * @return {Boolean}
+ */
+const isTTLIndex = function(definition) {
+  return Boolean(
+    definition.options && definition.options.expireAfterSeconds !== undefined
+  )
+}
+
+/**
+ * Whether a value of the field of a TTL index has expired, i.e. holds a date
+ * more than `expireAfterSeconds` before `now`. Values that aren't dates never
+ * expire.
+ *
+ * @param  {*} value
+ * @param  {number} expireAfterSeconds
+ * @param  {number} now - the current time, in milliseconds
+ * @return {Boolean}
+ */
+const isExpired = function(value, expireAfterSeconds, now) {
+  const time = getTime(value)
+
+  return time !== undefined && time + expireAfterSeconds * 1000 <= now
+}
+
+/**
+ * Returns a LokiJS query matching the documents that have (or, when `expired`
+ * is false, haven't) expired according to a TTL index definition.
+ *
+ * @param  {Object} definition
+ * @param  {number} now - the current time, in milliseconds
+ * @param  {Boolean} expired
+ * @return {Object}
+ */
+const getExpiryQuery = function(definition, now, expired) {
+  const nodes = Object.keys(definition.keys)[0].split('.')
+  const path = nodes.slice(1).join('.')
+  const seconds = definition.options.expireAfterSeconds
+
+  // The condition is on the top-level field, as LokiJS can't match a `$where`
+  // on a dot-notation path whose parent is missing.
+  return {
+    [nodes[0]]: {
+      $where: value => {
+        if (path) {
+          value =
+            value && typeof value === 'object'
+              ? getValue(value, path)
+              : undefined
+        }
+
+        return isExpired(value, seconds, now) === expired
+      }
+    }
+  }
+}
+
+/**
+ * Throws an `IndexError` if a TTL index definition isn't valid: TTL indexes
+ * must be on a single field, and `expireAfterSeconds` must be a number of
+ * seconds that isn't negative.
+ *
+ * @param {Object} definition
+ */
+const validate = function(definition) {
+  const fields = Object.keys(definition.keys)
+  const seconds = definition.options.expireAfterSeconds
+  const invalid = message => {
+    return new IndexError('INVALID_INDEX', message, {index: definition.name})
+  }
+
+  if (typeof seconds !== 'number' || !isFinite(seconds) || seconds < 0) {
+    throw invalid('expireAfterSeconds must be a number that is not negative')
+  }
+
+  if (fields.length !== 1 || definition.keys[fields[0]] === 'text') {
+    throw invalid('TTL indexes must have a single field that is not text')
+  }
+}
+
+module.exports = {getExpiryQuery, getTime, isExpired, isTTLIndex, validate}
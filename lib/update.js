@@ -1,61 +1,492 @@
+const {
+  cloneValue,
+  compareValues,
+  getSortFunction,
+  getValue,
+  isEqual,
+  resolvePath,
+  setValue
+} = require('./utils')
+const UpdateError = require('./errors').UpdateError
+
+const unsetValue = function(doc, path) {
+  const target = resolvePath(doc, path, false)
+
+  if (!target) return
+
+  if (Array.isArray(target.parent)) {
+    // MongoDB doesn't shift array elements on $unset, it sets them to null.
+    if (target.key in target.parent) {
+      target.parent[target.key] = null
+    }
+  } else {
+    delete target.parent[target.key]
+  }
+}
+
+/**
+ * Whether a value given to `$push` or `$addToSet` uses modifiers (e.g.
+ * `{$each: [1, 2]}`) rather than being the value to add.
+ */
+const isModifierObject = function(value) {
+  return Boolean(value) && typeof value === 'object' && '$each' in value
+}
+
+const isOperatorObject = function(value) {
+  return (
+    Boolean(value) &&
+    typeof value === 'object' &&
+    !Array.isArray(value) &&
+    Object.keys(value).length > 0 &&
+    Object.keys(value).every(key => key.charAt(0) === '$')
+  )
+}
+
 /**
+ * Tests an array element against a `$pull` condition, which is either a
+ * value to compare against, a set of query operators (e.g. `{$gte: 5}`) or,
+ * for arrays of documents, a query on the fields of each element.
+ */
+const matchesCondition = function(element, condition) {
+  if (isOperatorObject(condition)) {
+    return Object.keys(condition).every(operator => {
+      const operand = condition[operator]
+
+      switch (operator) {
+        case '$eq':
+          return isEqual(element, operand)
+        case '$ne':
+          return !isEqual(element, operand)
+        case '$gt':
+          return element > operand
+        case '$gte':
+          return element >= operand
+        case '$lt':
+          return element < operand
+        case '$lte':
+          return element <= operand
+        case '$in':
+          return operand.some(value => isEqual(element, value))
+        case '$nin':
+          return !operand.some(value => isEqual(element, value))
+        default:
+          return false
+      }
+    })
+  }
+
+  if (
+    condition &&
+    typeof condition === 'object' &&
+    !Array.isArray(condition) &&
+    element &&
+    typeof element === 'object'
+  ) {
+    return Object.keys(condition).every(field => {
+      return matchesCondition(getValue(element, field), condition[field])
+    })
+  }
+
+  return isEqual(element, condition)
+}
+
+const isNumber = function(value) {
+  return typeof value === 'number' && isFinite(value)
+}
+
+const isSortDirection = function(value) {
+  return value === 1 || value === -1
+}
+
+const typeMismatch = function(operator, path, message) {
+  return new UpdateError(
+    'TYPE_MISMATCH',
+    `${operator} on '${path}' ${message}`,
+    {
+      operator,
+      path
+    }
+  )
+}
+
+/**
+ * Returns the number at the given path, or `undefined` if the path doesn't
+ * exist. Throws if the path holds a value that isn't a number.
+ */
+const getNumber = function(doc, path, operator) {
+  const value = getValue(doc, path)
+
+  if (value !== undefined && !isNumber(value)) {
+    throw typeMismatch(
+      operator,
+      path,
+      'cannot be applied to a non-numeric field'
+    )
+  }
+
+  return value
+}
+
+/**
+ * Returns the array at the given path, or `undefined` if the path doesn't
+ * exist. When `create` is truthy, a missing array is created. Throws if the
+ * path holds a value that isn't an array.
+ */
+const getArray = function(doc, path, operator, create) {
+  const value = getValue(doc, path)
+
+  if (value === undefined || value === null) {
+    if (!create) return
+
+    const array = []
+
+    setValue(doc, path, array)
+
+    return array
+  }
+
+  if (!Array.isArray(value)) {
+    throw typeMismatch(operator, path, 'cannot be applied to a non-array field')
+  }
+
+  return value
+}
+
+/**
+ * Checks the operand given to each update operator, returning a description
+ * of the problem if it isn't valid. Operators without an entry accept any
+ * operand.
+ */
+const validators = {
+  $inc(value) {
+    if (!isNumber(value)) return 'requires a numeric operand'
+  },
+
+  $mul(value) {
+    if (!isNumber(value)) return 'requires a numeric operand'
+  },
+
+  $rename(value, path) {
+    if (typeof value !== 'string' || value.length === 0) {
+      return 'requires a field name as its operand'
+    }
+
+    if (value === path) return 'cannot rename a field to itself'
+  },
+
+  $addToSet(value) {
+    if (isModifierObject(value) && !Array.isArray(value.$each)) {
+      return 'requires $each to be an array'
+    }
+  },
+
+  $push(value) {
+    if (!isModifierObject(value)) return
+
+    const unknown = Object.keys(value).find(key => {
+      return ['$each', '$position', '$slice', '$sort'].indexOf(key) === -1
+    })
+
+    if (unknown) return `does not support the ${unknown} modifier`
+
+    if (!Array.isArray(value.$each)) return 'requires $each to be an array'
+
+    if (value.$slice !== undefined && !Number.isInteger(value.$slice)) {
+      return 'requires $slice to be an integer'
+    }
+
+    if (value.$position !== undefined && !Number.isInteger(value.$position)) {
+      return 'requires $position to be an integer'
+    }
+
+    if (
+      value.$sort !== undefined &&
+      !isSortDirection(value.$sort) &&
+      !(
+        value.$sort &&
+        typeof value.$sort === 'object' &&
+        Object.keys(value.$sort).length > 0 &&
+        Object.keys(value.$sort).every(key => isSortDirection(value.$sort[key]))
+      )
+    ) {
+      return 'requires $sort to be 1, -1 or an object of fields and directions'
+    }
+  },
+
+  $pullAll(value) {
+    if (!Array.isArray(value)) return 'requires an array operand'
+  },
+
+  $pop(value) {
+    if (!isSortDirection(value)) return 'requires an operand of 1 or -1'
+  },
+
+  $currentDate(value) {
+    if (
+      typeof value !== 'boolean' &&
+      !(
+        value &&
+        typeof value === 'object' &&
+        ['date', 'timestamp'].indexOf(value.$type) !== -1
+      )
+    ) {
+      return "requires true or {$type: 'date' | 'timestamp'} as its operand"
+    }
+  }
+}
+
+/**
+ * Implementation of each update operator. Each function receives the
+ * document, the dot-notation path and the operand specified for that path.
+ */
+const operators = {
+  $set(doc, path, value) {
+    setValue(doc, path, value)
+  },
+
+  // Only applied when the update results in an upsert (see `Update.update`).
+  $setOnInsert(doc, path, value) {
+    setValue(doc, path, value)
+  },
+
+  $unset(doc, path) {
+    unsetValue(doc, path)
+  },
+
+  $inc(doc, path, value) {
+    const current = getNumber(doc, path, '$inc')
+
+    setValue(doc, path, current === undefined ? value : current + value)
+  },
+
+  $mul(doc, path, value) {
+    const current = getNumber(doc, path, '$mul')
+
+    setValue(doc, path, current === undefined ? 0 : current * value)
+  },
+
+  $min(doc, path, value) {
+    const current = getValue(doc, path)
+
+    if (current === undefined || compareValues(value, current) < 0) {
+      setValue(doc, path, value)
+    }
+  },
+
+  $max(doc, path, value) {
+    const current = getValue(doc, path)
+
+    if (current === undefined || compareValues(value, current) > 0) {
+      setValue(doc, path, value)
+    }
+  },
+
+  $rename(doc, path, newPath) {
+    const target = resolvePath(doc, path, false)
+
+    if (!target || !(target.key in target.parent)) return
+
+    const value = target.parent[target.key]
+
+    unsetValue(doc, path)
+    setValue(doc, newPath, value)
+  },
+
+  $addToSet(doc, path, value) {
+    const array = getArray(doc, path, '$addToSet', true)
+    const values = isModifierObject(value) ? value.$each : [value]
+
+    values.forEach(item => {
+      if (!array.some(element => isEqual(element, item))) {
+        array.push(item)
+      }
+    })
+  },
+
+  $push(doc, path, value) {
+    const array = getArray(doc, path, '$push', true)
+
+    if (!isModifierObject(value)) {
+      array.push(value)
+
+      return
+    }
+
+    const position =
+      value.$position === undefined ? array.length : value.$position
+
+    array.splice(position, 0, ...value.$each)
+
+    if (value.$sort !== undefined) {
+      array.sort(getSortFunction(value.$sort))
+    }
+
+    if (value.$slice !== undefined) {
+      const sliced =
+        value.$slice < 0
+          ? array.slice(value.$slice)
+          : array.slice(0, value.$slice)
+
+      array.splice(0, array.length, ...sliced)
+    }
+  },
+
+  $pull(doc, path, condition) {
+    const array = getArray(doc, path, '$pull')
+
+    if (!array) return
+
+    const kept = array.filter(element => !matchesCondition(element, condition))
+
+    array.splice(0, array.length, ...kept)
+  },
+
+  $pullAll(doc, path, values) {
+    const array = getArray(doc, path, '$pullAll')
+
+    if (!array) return
+
+    const kept = array.filter(element => {
+      return !values.some(value => isEqual(element, value))
+    })
+
+    array.splice(0, array.length, ...kept)
+  },
+
+  $pop(doc, path, value) {
+    const array = getArray(doc, path, '$pop')
+
+    if (!array) return
+
+    if (value === -1) {
+      array.shift()
+    } else {
+      array.pop()
+    }
+  },
+
+  $currentDate(doc, path, value) {
+    const isTimestamp = Boolean(value) && value.$type === 'timestamp'
+
+    setValue(doc, path, isTimestamp ? Date.now() : new Date())
+  }
+}
+
+/**
+ * Applies a MongoDB-style update query (e.g. `{$set: {"author.name": "Ed"}}`)
+ * to documents.
+ *
  * @constructor Update
  */
 const Update = function Update(updateQuery) {
   this.updateQuery = updateQuery
 }
 
-Update.prototype.update = function(docs) {
-  for (let i = 0; i < docs.length; i++) {
-    const doc = docs[i]
-    const updates = Object.keys(this.updateQuery)
-
-    for (let k = 0; k < updates.length; k++) {
-      const key = updates[k]
-      const properties = Object.keys(this.updateQuery[key])
-      let p
-      let prop
-
-      switch (key) {
-        case '$set':
-          for (p = 0; p < properties.length; p++) {
-            prop = properties[p]
-            doc[prop] = this.updateQuery[key][prop]
-          }
-
-          break
-        case '$inc':
-          for (p = 0; p < properties.length; p++) {
-            prop = properties[p]
-
-            if (isFinite(doc[prop]) && isFinite(this.updateQuery[key][prop])) {
-              doc[prop] =
-                parseInt(doc[prop]) + parseInt(this.updateQuery[key][prop])
-            }
-          }
-
-          break
-        case '$push':
-          for (p = 0; p < properties.length; p++) {
-            prop = properties[p]
-
-            if (!doc[prop]) {
-              doc[prop] = []
-            }
-
-            if (Array.isArray(doc[prop])) {
-              doc[prop].push(this.updateQuery[key][prop])
-            }
-          }
-
-          break
-        default:
-          break
-      }
+/**
+ * Checks that the update query only uses known operators with operands of
+ * the right type, and that no two operators target the same path (or a path
+ * and one of its parents). Throws an `UpdateError` describing the first
+ * problem found.
+ */
+Update.prototype.validate = function() {
+  if (!this.updateQuery || typeof this.updateQuery !== 'object') {
+    throw new UpdateError('INVALID_UPDATE', 'Update must be an object')
+  }
+
+  const paths = []
+  const addPath = (operator, path) => {
+    if (path.split('.').some(node => node.length === 0)) {
+      throw new UpdateError('INVALID_PATH', `Invalid field name '${path}'`, {
+        operator,
+        path
+      })
     }
+
+    const conflict = paths.find(existing => {
+      return (
+        existing === path ||
+        existing.indexOf(`${path}.`) === 0 ||
+        path.indexOf(`${existing}.`) === 0
+      )
+    })
+
+    if (conflict !== undefined) {
+      throw new UpdateError(
+        'CONFLICTING_PATHS',
+        `Updating the path '${path}' would create a conflict at '${conflict}'`,
+        {operator, path}
+      )
+    }
+
+    paths.push(path)
   }
 
-  return docs
+  Object.keys(this.updateQuery).forEach(operator => {
+    const fields = this.updateQuery[operator]
+
+    if (!operators[operator]) {
+      throw new UpdateError(
+        'UNKNOWN_OPERATOR',
+        `Unknown update operator '${operator}'`,
+        {operator}
+      )
+    }
+
+    if (!fields || typeof fields !== 'object' || Array.isArray(fields)) {
+      throw new UpdateError(
+        'TYPE_MISMATCH',
+        `${operator} requires an object of fields and values`,
+        {operator}
+      )
+    }
+
+    Object.keys(fields).forEach(path => {
+      const message =
+        validators[operator] && validators[operator](fields[path], path)
+
+      if (message) {
+        throw typeMismatch(operator, path, message)
+      }
+
+      addPath(operator, path)
+
+      if (operator === '$rename') {
+        addPath(operator, fields[path])
+      }
+    })
+  })
+}
+
+/**
+ * Applies the update query to copies of the given documents, leaving the
+ * originals untouched if any of them can't be updated. Operators are applied
+ * in the order they are specified.
+ *
+ * @param  {Array}   docs
+ * @param  {Boolean} isInsert - whether the documents are being created by an
+ *     upsert, in which case `$setOnInsert` is also applied
+ * @return {Array} the updated copies of the documents
+ */
+Update.prototype.update = function(docs, isInsert) {
+  this.validate()
+
+  const updates = Object.keys(this.updateQuery).filter(operator => {
+    return isInsert || operator !== '$setOnInsert'
+  })
+
+  return docs.map(original => {
+    const doc = cloneValue(original)
+
+    updates.forEach(operator => {
+      const fields = this.updateQuery[operator]
+
+      Object.keys(fields).forEach(path => {
+        operators[operator](doc, path, fields[path])
+      })
+    })
+
+    return doc
+  })
 }
 
 module.exports = Update
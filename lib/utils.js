@@ -0,0 +1,331 @@
+/**
+ * Returns the object holding the last node of a dot-notation path, along with
+ * the name of that node. When `create` is truthy, any missing intermediate
+ * objects are created along the way; otherwise `undefined` is returned if the
+ * path can't be followed.
+ *
+ * @param  {Object}  doc
+ * @param  {string}  path - e.g. "author.address.city"
+ * @param  {Boolean} create
+ * @return {Object} an object with `parent` and `key` properties
+ */
+const resolvePath = function(doc, path, create) {
+  const nodes = path.split('.')
+  let parent = doc
+
+  for (let i = 0; i < nodes.length - 1; i++) {
+    const node = nodes[i]
+
+    if (parent[node] === undefined || parent[node] === null) {
+      if (!create) return
+
+      parent[node] = {}
+    }
+
+    if (typeof parent[node] !== 'object') return
+
+    parent = parent[node]
+  }
+
+  return {
+    parent,
+    key: nodes[nodes.length - 1]
+  }
+}
+
+/**
+ * Returns the value at a dot-notation path of a document, or `undefined` if
+ * the path doesn't exist.
+ *
+ * @param  {Object} doc
+ * @param  {string} path
+ * @return {*}
+ */
+const getValue = function(doc, path) {
+  const target = resolvePath(doc, path, false)
+
+  return target ? target.parent[target.key] : undefined
+}
+
+/**
+ * Sets the value at a dot-notation path of a document, creating any missing
+ * intermediate objects.
+ *
+ * @param  {Object} doc
+ * @param  {string} path
+ * @param  {*}      value
+ */
+const setValue = function(doc, path, value) {
+  const target = resolvePath(doc, path, true)
+
+  if (target) {
+    target.parent[target.key] = value
+  }
+}
+
+/**
+ * Deep copies a value, so that it can be modified without touching the
+ * objects held by LokiJS.
+ */
+const cloneValue = function(value) {
+  if (value instanceof Date) return new Date(value.getTime())
+
+  if (Array.isArray(value)) return value.map(cloneValue)
+
+  if (value && typeof value === 'object') {
+    return Object.keys(value).reduce((result, key) => {
+      result[key] = cloneValue(value[key])
+
+      return result
+    }, {})
+  }
+
+  return value
+}
+
+/**
+ * Returns a deep copy of a document without the properties LokiJS adds to
+ * it, for handing to code that shouldn't modify the stored document.
+ */
+const copyDocument = function(document) {
+  return Object.keys(document).reduce((result, key) => {
+    if (key !== '$loki' && key !== 'meta') {
+      result[key] = cloneValue(document[key])
+    }
+
+    return result
+  }, {})
+}
+
+// ISO 8601 dates with a time and a time zone, as dates are stored and read
+// back from disk (e.g. `2018-06-01T09:30:00.000Z`).
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})$/
+
+/**
+ * Whether a value is a date: a `Date` object, or an ISO 8601 string with a
+ * time and a time zone. Other strings that `Date.parse` accepts, such as
+ * `"2020"`, aren't dates.
+ *
+ * @param  {*} value
+ * @return {Boolean}
+ */
+const isDate = function(value) {
+  return (
+    value instanceof Date ||
+    (typeof value === 'string' &&
+      ISO_DATE.test(value) &&
+      isFinite(Date.parse(value)))
+  )
+}
+
+/**
+ * Deep equality check, comparing objects and arrays by value rather than by
+ * reference.
+ */
+const isEqual = function(a, b) {
+  if (a === b) return true
+
+  if (a instanceof Date && b instanceof Date) {
+    return a.getTime() === b.getTime()
+  }
+
+  if (!a || !b || typeof a !== 'object' || typeof b !== 'object') {
+    return false
+  }
+
+  if (Array.isArray(a) !== Array.isArray(b)) return false
+
+  const keysA = Object.keys(a)
+  const keysB = Object.keys(b)
+
+  return (
+    keysA.length === keysB.length && keysA.every(key => isEqual(a[key], b[key]))
+  )
+}
+
+/**
+ * Returns the position of a value's type in the MongoDB comparison order:
+ * null (and missing values) < numbers < strings < objects < arrays <
+ * booleans < dates < regular expressions.
+ */
+const getTypeOrder = function(value) {
+  if (value === undefined || value === null) return 1
+  if (typeof value === 'number') return 2
+  if (typeof value === 'string') return 3
+  if (Array.isArray(value)) return 5
+  if (typeof value === 'boolean') return 6
+  if (value instanceof Date) return 7
+  if (value instanceof RegExp) return 8
+  if (typeof value === 'object') return 4
+
+  return 9
+}
+
+const compareScalars = function(a, b) {
+  return a < b ? -1 : a > b ? 1 : 0
+}
+
+/**
+ * Compares two values following the MongoDB comparison order, returning a
+ * negative number, zero or a positive number. Values of different types are
+ * ordered by type (see `getTypeOrder`); strings are compared with the
+ * collator if one is given, and by code point otherwise.
+ *
+ * @param  {*}             a
+ * @param  {*}             b
+ * @param  {Intl.Collator} collator
+ * @return {number}
+ */
+const compareValues = function(a, b, collator) {
+  const typeOrder = getTypeOrder(a) - getTypeOrder(b)
+
+  if (typeOrder !== 0) return typeOrder
+
+  switch (getTypeOrder(a)) {
+    case 1:
+      return 0
+    case 4: {
+      const keysA = Object.keys(a)
+      const keysB = Object.keys(b)
+
+      for (let i = 0; i < Math.min(keysA.length, keysB.length); i++) {
+        const result =
+          compareScalars(keysA[i], keysB[i]) ||
+          compareValues(a[keysA[i]], b[keysB[i]], collator)
+
+        if (result !== 0) return result
+      }
+
+      return keysA.length - keysB.length
+    }
+
+    case 5: {
+      for (let i = 0; i < Math.min(a.length, b.length); i++) {
+        const result = compareValues(a[i], b[i], collator)
+
+        if (result !== 0) return result
+      }
+
+      return a.length - b.length
+    }
+
+    case 3:
+      return collator ? collator.compare(a, b) : compareScalars(a, b)
+    case 7:
+      return compareScalars(a.getTime(), b.getTime())
+    case 8:
+      return compareScalars(a.toString(), b.toString())
+    default:
+      return compareScalars(a, b)
+  }
+}
+
+/**
+ * Returns the values at a dot-notation path of a document, following the
+ * path into the elements of any array along the way (e.g. "comments.author"
+ * gives the author of every comment).
+ *
+ * @param  {*}      value
+ * @param  {Array}  nodes - the nodes of the path
+ * @return {Array}
+ */
+const collectValues = function(value, nodes) {
+  if (nodes.length === 0) {
+    return Array.isArray(value) ? value : [value]
+  }
+
+  if (Array.isArray(value) && !/^\d+$/.test(nodes[0])) {
+    return value.reduce((values, element) => {
+      return values.concat(collectValues(element, nodes))
+    }, [])
+  }
+
+  if (value === undefined || value === null || typeof value !== 'object') {
+    return [undefined]
+  }
+
+  return collectValues(value[nodes[0]], nodes.slice(1))
+}
+
+// Stands in for empty arrays, which MongoDB sorts before null and missing
+// values.
+const EMPTY_ARRAY = {}
+
+/**
+ * Returns the value a document is sorted by for a field. As in MongoDB, a
+ * field holding an array (or a path through arrays) sorts by its lowest
+ * element in ascending sorts and by its highest element in descending sorts.
+ *
+ * @param  {Object}        doc
+ * @param  {string}        path
+ * @param  {Boolean}       descending
+ * @param  {Intl.Collator} collator
+ * @return {*}
+ */
+const getSortValue = function(doc, path, descending, collator) {
+  const values = collectValues(doc, path.split('.'))
+
+  if (values.length === 0) return EMPTY_ARRAY
+
+  return values.reduce((result, value) => {
+    const comparison = compareValues(value, result, collator)
+
+    return (descending ? comparison > 0 : comparison < 0) ? value : result
+  })
+}
+
+/**
+ * Builds a comparison function from a MongoDB sort specification, which is
+ * either `1`/`-1` to sort values themselves, or an object mapping fields
+ * (possibly in dot-notation) to a direction, e.g. `{category: 1, date: -1}`.
+ * Fields are compared in the order they're given, following the MongoDB
+ * comparison order: null and missing values come first in ascending sorts,
+ * and last in descending sorts. Strings are compared with the collator, if
+ * one is given.
+ *
+ * @param  {number|Object} sort
+ * @param  {Intl.Collator} collator
+ * @return {Function}
+ */
+const getSortFunction = function(sort, collator) {
+  if (typeof sort === 'number') {
+    return (a, b) => compareValues(a, b, collator) * sort
+  }
+
+  const fields = Object.keys(sort).map(path => {
+    return {path, descending: Number(sort[path]) === -1}
+  })
+
+  return (a, b) => {
+    for (let i = 0; i < fields.length; i++) {
+      const {path, descending} = fields[i]
+      const valueA = getSortValue(a, path, descending, collator)
+      const valueB = getSortValue(b, path, descending, collator)
+      let result
+
+      if (valueA === EMPTY_ARRAY || valueB === EMPTY_ARRAY) {
+        result = (valueB === EMPTY_ARRAY) - (valueA === EMPTY_ARRAY)
+      } else {
+        result = compareValues(valueA, valueB, collator)
+      }
+
+      if (result !== 0) return descending ? -result : result
+    }
+
+    return 0
+  }
+}
+
+module.exports = {
+  cloneValue,
+  collectValues,
+  compareValues,
+  copyDocument,
+  getSortFunction,
+  getTypeOrder,
+  getValue,
+  isDate,
+  isEqual,
+  resolvePath,
+  setValue
+}
@@ -1,5 +1,6 @@
 /* eslint-disable no-unused-expressions */
 
+const crypto = require('crypto')
 const EventEmitter = require('events').EventEmitter
 const FileStoreAdapter = require('../lib')
 const fs = require('fs')
@@ -8,6 +9,7 @@ const path = require('path')
 const promiseQueue = require('js-promise-queue')
 const should = require('should')
 const uuid = require('uuid')
+const zlib = require('zlib')
 
 const config = require(__dirname + '/../config')
 
@@ -35,6 +37,16 @@ describe('FileStore', function() {
         console.log(err)
       }
 
+      // The journal only exists if there were changes after the last save,
+      // and the snapshots if the database was saved more than once.
+      ;['.journal', '.1', '.2'].forEach(suffix => {
+        try {
+          fs.unlinkSync(path.resolve(config.get('database.path') + suffix))
+        } catch (err) {
+          // Nothing to clean up.
+        }
+      })
+
       done()
     }, 7000)
   })
@@ -71,6 +83,46 @@ describe('FileStore', function() {
       done()
     })
 
+    it('should return the same instance for the same database path', function(done) {
+      const fileStore = new FileStoreAdapter()
+      const sameStore = new FileStoreAdapter({
+        database: {path: config.get('database.path')}
+      })
+
+      sameStore.should.equal(fileStore)
+      done()
+    })
+
+    it('should return a different instance for each database path', function(done) {
+      const contentStore = new FileStoreAdapter({
+        database: {path: 'test/workspace2'}
+      })
+      const authStore = new FileStoreAdapter({
+        database: {path: 'test/workspace3'}
+      })
+
+      contentStore.should.not.equal(authStore)
+      contentStore.config.database.path.should.eql('test/workspace2')
+      authStore.config.database.path.should.eql('test/workspace3')
+      done()
+    })
+
+    it('should create a new instance after closing one', function(done) {
+      const options = {database: {path: 'test/workspace2'}}
+      const fileStore = new FileStoreAdapter(options)
+
+      FileStoreAdapter.close(options)
+        .then(() => {
+          const newStore = new FileStoreAdapter(options)
+
+          newStore.should.not.equal(fileStore)
+          FileStoreAdapter.evict(options)
+          new FileStoreAdapter(options).should.not.equal(newStore)
+          done()
+        })
+        .catch(done)
+    })
+
     it('should have readyState == 0 when initialised', function(done) {
       const fileStore = new FileStoreAdapter()
 
@@ -148,6 +200,61 @@ describe('FileStore', function() {
 
       done()
     })
+
+    it('should prepare the queries inside logical operators', function(done) {
+      const fileStore = new FileStoreAdapter()
+      const query = {
+        $or: [{title: /foo/}, {author: null}, {$or: [{views: {$ne: null}}]}],
+        $and: [{published: true}, {$and: [{score: {$gt: 1, $lt: 10}}]}]
+      }
+      const prepared = fileStore.prepareQuery(query, {})
+
+      prepared.should.eql({
+        $and: [
+          {
+            $or: [
+              {title: {$regex: ['foo', '']}},
+              {author: {$exists: false}},
+              {views: {$ne: undefined}}
+            ]
+          },
+          {published: true},
+          {score: {$gt: 1}},
+          {score: {$lt: 10}}
+        ]
+      })
+
+      done()
+    })
+
+    it('should negate the queries inside `$nor`', function(done) {
+      const fileStore = new FileStoreAdapter()
+      const query = {$nor: [{name: 'Thor'}, {age: {$gt: 30}, title: /god/}]}
+      const prepared = fileStore.prepareQuery(query, {})
+
+      prepared.$and.length.should.eql(2)
+      prepared.$and[0].should.eql({name: {$ne: 'Thor'}})
+      prepared.$and[1].$or.length.should.eql(2)
+      prepared.$and[1].$or[0].age.should.have.property('$where')
+      prepared.$and[1].$or[1].title.should.have.property('$where')
+
+      done()
+    })
+
+    it('should reject invalid logical operators', function(done) {
+      const fileStore = new FileStoreAdapter()
+
+      should.throws(
+        () => fileStore.prepareQuery({$or: {name: 'Thor'}}, {}),
+        err => err.code === 'INVALID_OPERAND' && err.operator === '$or'
+      )
+      should.throws(
+        () => fileStore.prepareQuery({$not: {name: 'Thor'}}, {}),
+        err => err.code === 'UNSUPPORTED_OPERATOR' && err.operator === '$not'
+      )
+
+      done()
+    })
   })
 
   describe('applyFieldsFilterToResults', function() {
@@ -418,6 +525,115 @@ describe('FileStore', function() {
       })
     })
 
+    it('should apply the configured default limit when `limit` is not specified', function(done) {
+      const fileStore = new FileStoreAdapter()
+      const defaultLimit = fileStore.defaultLimit
+
+      fileStore.connect({database: 'content', collection: 'users'}).then(() => {
+        fileStore.getCollection('users').then(collection => {
+          collection.clear()
+
+          const users = [{name: 'BigBird'}, {name: 'Ernie'}, {name: 'Oscar'}]
+
+          fileStore.defaultLimit = 2
+
+          fileStore
+            .insert({data: users, collection: 'users', schema: {}})
+            .then(() => {
+              return fileStore.find({query: {}, collection: 'users'})
+            })
+            .then(results => {
+              fileStore.defaultLimit = defaultLimit
+
+              results.results.length.should.eql(2)
+              results.metadata.limit.should.eql(2)
+              results.metadata.totalPages.should.eql(2)
+              done()
+            })
+            .catch(err => {
+              fileStore.defaultLimit = defaultLimit
+              done(err)
+            })
+        })
+      })
+    })
+
+    it('should return every matching record when `limit` is 0', function(done) {
+      const fileStore = new FileStoreAdapter()
+
+      fileStore.connect({database: 'content', collection: 'users'}).then(() => {
+        fileStore.getCollection('users').then(collection => {
+          collection.clear()
+
+          const users = []
+
+          for (let i = 0; i < 150; i++) {
+            users.push({name: `User ${i}`})
+          }
+
+          fileStore
+            .insert({data: users, collection: 'users', schema: {}})
+            .then(() => {
+              return fileStore.find({
+                query: {},
+                collection: 'users',
+                options: {limit: 0}
+              })
+            })
+            .then(results => {
+              results.results.length.should.eql(150)
+              results.metadata.limit.should.eql(0)
+              results.metadata.totalPages.should.eql(1)
+              done()
+            })
+            .catch(done)
+        })
+      })
+    })
+
+    it('should reject a `limit` that is negative or not an integer', function(done) {
+      const fileStore = new FileStoreAdapter()
+      const find = limit => {
+        return fileStore
+          .find({query: {}, collection: 'users', options: {limit}})
+          .then(
+            () => {
+              throw new Error(`A limit of ${limit} should have been rejected`)
+            },
+            err => {
+              err.should.be.instanceOf(FileStoreAdapter.QueryError)
+              err.code.should.eql('INVALID_OPTION')
+            }
+          )
+      }
+
+      fileStore
+        .connect({database: 'content', collection: 'users'})
+        .then(() => Promise.all([-5, 1.5, '5abc', '-5'].map(find)))
+        .then(() => {
+          return fileStore.find({
+            query: {},
+            collection: 'users',
+            options: {limit: '2'}
+          })
+        })
+        .then(({metadata}) => {
+          metadata.limit.should.eql(2)
+
+          return fileStore
+            .cursor({query: {}, collection: 'users', options: {limit: -5}})
+            .next()
+        })
+        .then(() => {
+          throw new Error('The cursor should have been rejected')
+        })
+        .catch(err => {
+          err.code.should.eql('INVALID_OPTION')
+          done()
+        })
+        .catch(done)
+    })
+
     it('should sort records in ascending order by the `$loki` property when no query or sort are provided', function(done) {
       const fileStore = new FileStoreAdapter()
 
@@ -566,6 +782,145 @@ describe('FileStore', function() {
       })
     })
 
+    it('should sort records by multiple properties with mixed directions', function(done) {
+      const fileStore = new FileStoreAdapter()
+
+      fileStore.connect({database: 'content', collection: 'posts'}).then(() => {
+        fileStore.getCollection('posts').then(collection => {
+          collection.clear()
+
+          const posts = [
+            {title: 'A', category: 'news', meta: {published: 2}},
+            {title: 'B', category: 'sport', meta: {published: 1}},
+            {title: 'C', category: 'news', meta: {published: 3}},
+            {title: 'D', category: 'sport', meta: {published: 1}},
+            {title: 'E', category: 'news'}
+          ]
+
+          fileStore
+            .insert({data: posts, collection: 'posts', schema: {}})
+            .then(() => {
+              return fileStore.find({
+                query: {},
+                collection: 'posts',
+                options: {sort: {category: 1, 'meta.published': -1}}
+              })
+            })
+            .then(results => {
+              // Missing values sort last in descending order, and documents
+              // with equal values keep their insertion order.
+              results.results
+                .map(post => post.title)
+                .should.eql(['C', 'A', 'E', 'B', 'D'])
+              done()
+            })
+            .catch(done)
+        })
+      })
+    })
+
+    it('should sort null and missing values first in ascending order, followed by numbers and strings', function(done) {
+      const fileStore = new FileStoreAdapter()
+
+      fileStore.connect({database: 'content', collection: 'posts'}).then(() => {
+        fileStore.getCollection('posts').then(collection => {
+          collection.clear()
+
+          const posts = [
+            {title: 'A', rank: 'ten'},
+            {title: 'B', rank: 2},
+            {title: 'C'},
+            {title: 'D', rank: null},
+            {title: 'E', rank: 10}
+          ]
+
+          fileStore
+            .insert({data: posts, collection: 'posts', schema: {}})
+            .then(() => {
+              return fileStore.find({
+                query: {},
+                collection: 'posts',
+                options: {sort: {rank: 1}}
+              })
+            })
+            .then(results => {
+              results.results
+                .map(post => post.title)
+                .should.eql(['C', 'D', 'B', 'E', 'A'])
+              done()
+            })
+            .catch(done)
+        })
+      })
+    })
+
+    it('should sort and match strings using the `collation` option', function(done) {
+      const fileStore = new FileStoreAdapter()
+      const words = [
+        {word: 'Zebra'},
+        {word: 'apple'},
+        {word: 'Émile'},
+        {word: 'eagle'},
+        {word: 'item10'},
+        {word: 'item2'}
+      ]
+      const getWords = (query, options) => {
+        return fileStore
+          .find({query, collection: 'words', options})
+          .then(({results}) => results.map(({word}) => word))
+      }
+
+      fileStore
+        .connect({database: 'content', collection: 'words'})
+        .then(() => fileStore.getCollection('words'))
+        .then(collection => {
+          collection.clear()
+
+          return fileStore.insert({data: words, collection: 'words'})
+        })
+        .then(() => {
+          return Promise.all([
+            getWords({}, {sort: {word: 1}}),
+            getWords({}, {sort: {word: 1}, collation: {locale: 'en'}}),
+            getWords(
+              {word: {$gte: 'item1'}},
+              {
+                sort: {word: -1},
+                collation: {locale: 'en', numericOrdering: true}
+              }
+            ),
+            getWords({word: 'EMILE'}, {collation: {locale: 'fr', strength: 1}}),
+            getWords(
+              {word: {$in: ['APPLE', 'emile']}},
+              {sort: {word: 1}, collation: {locale: 'en', strength: 2}}
+            )
+          ])
+        })
+        .then(results => {
+          results.should.eql([
+            ['Zebra', 'apple', 'eagle', 'item10', 'item2', 'Émile'],
+            ['apple', 'eagle', 'Émile', 'item10', 'item2', 'Zebra'],
+            ['Zebra', 'item10', 'item2'],
+            ['Émile'],
+            ['apple']
+          ])
+
+          return fileStore.find({
+            query: {},
+            collection: 'words',
+            options: {collation: {strength: 2}}
+          })
+        })
+        .then(() => done(new Error('Expected an error')))
+        .catch(err => {
+          if (err.message === 'Expected an error') return done(err)
+
+          err.should.be.instanceOf(FileStoreAdapter.QueryError)
+          err.code.should.eql('INVALID_COLLATION')
+          done()
+        })
+    })
+
     it('should return only the fields specified by the `fields` property (projection of type "includes")', function(done) {
       const fileStore = new FileStoreAdapter()
 
@@ -772,89 +1127,607 @@ describe('FileStore', function() {
   // '$lt'
   // '$gte'
   // '$gt'
-  describe('query operators', function() {
-    it('should handle all query operators', done => {
+  describe('cursor', function() {
+    const users = []
+
+    for (let i = 0; i < 250; i++) {
+      users.push({name: `User ${i}`, rank: i % 10})
+    }
+
+    beforeEach(function(done) {
+      const fileStore = new FileStoreAdapter()
+
+      fileStore.connect({database: 'content', collection: 'users'}).then(() => {
+        fileStore.getCollection('users').then(collection => {
+          collection.clear()
+
+          fileStore
+            .insert({
+              data: users.map(user => Object.assign({}, user)),
+              collection: 'users',
+              schema: {}
+            })
+            .then(() => done())
+            .catch(done)
+        })
+      })
+    })
+
+    it('should return every matching document in batches', function(done) {
       const fileStore = new FileStoreAdapter()
+      const batches = []
 
       fileStore
-        .connect({database: 'content', collection: 'users'})
+        .cursor({
+          query: {rank: {$lt: 5}},
+          collection: 'users',
+          options: {batchSize: 50, fields: {name: 1}}
+        })
+        .forEach(documents => {
+          batches.push(documents)
+        })
         .then(() => {
-          fileStore.getCollection('users').then(collection => {
-            collection.clear()
+          batches.map(batch => batch.length).should.eql([50, 50, 25])
+          batches[0][0].name.should.eql('User 0')
+          should.not.exist(batches[0][0].rank)
+          done()
+        })
+        .catch(done)
+    })
 
-            const users = [
-              {name: 'Ernie', age: 7, colour: 'yellow'},
-              {name: 'BigBird', age: 17, colour: 'yellow'},
-              {name: 'Bert', age: 9, colour: 'orange'}
-            ]
+    it('should honour the sort, skip and limit options', function(done) {
+      const fileStore = new FileStoreAdapter()
+      const cursor = fileStore.cursor({
+        query: {},
+        collection: 'users',
+        options: {sort: {rank: -1}, skip: 10, limit: 30, batchSize: 20}
+      })
 
-            fileStore
-              .insert({data: users, collection: 'users', schema: {}})
-              .then(results => {
-                const queue = []
+      cursor
+        .next()
+        .then(documents => {
+          documents.length.should.eql(20)
+          documents[0].rank.should.eql(9)
+          documents[0].name.should.eql('User 109')
 
-                queue.push({name: 'Ernie'})
-                queue.push({colour: {$eq: 'yellow'}})
-                queue.push({age: {$in: [7, 9]}})
-                queue.push({age: {$lt: 9}})
-                queue.push({age: {$lte: 9}})
-                queue.push({age: {$gt: 9}})
-                queue.push({age: {$gte: 7}})
+          return cursor.next()
+        })
+        .then(documents => {
+          documents.length.should.eql(10)
+          documents[9].rank.should.eql(8)
 
-                function testFn(query) {
-                  return fileStore.find({
-                    query,
-                    collection: 'users',
-                    options: {},
-                    schema: {},
-                    settings: {}
-                  })
-                }
+          return cursor.next()
+        })
+        .then(documents => {
+          should.not.exist(documents)
+          done()
+        })
+        .catch(done)
+    })
 
-                promiseQueue(queue, testFn, {
-                  interval: 300
-                }).then(results => {
-                  let result = results[0].results[0]
+    it('should reject a batch size that is not a positive integer', function(done) {
+      const fileStore = new FileStoreAdapter()
 
-                  if (result && result.name === 'Ernie') {
-                    console.log(' = OK')
-                  } else {
-                    done(
-                      new Error(
-                        'Implicit equality query failed with ' +
-                          JSON.stringify(result)
-                      )
-                    )
-                  }
+      Promise.all(
+        [-5, 0, 2.5, 'ten'].map(batchSize => {
+          return fileStore
+            .cursor({query: {}, collection: 'users', options: {batchSize}})
+            .forEach(() => {})
+            .then(
+              () => {
+                throw new Error(`A batch size of ${batchSize} was accepted`)
+              },
+              err => {
+                err.should.be.instanceOf(FileStoreAdapter.QueryError)
+                err.code.should.eql('INVALID_OPTION')
+              }
+            )
+        })
+      )
+        .then(() => done())
+        .catch(done)
+    })
 
-                  result = results[1].results[0]
-                  if (result && result.colour === 'yellow') {
-                    console.log(' $eq OK')
-                  } else {
-                    done(
-                      new Error(
-                        '$eq query failed with ' + JSON.stringify(result)
-                      )
-                    )
-                  }
+    it('should only run the query for the first batch', function(done) {
+      const fileStore = new FileStoreAdapter()
+      const cursor = fileStore.cursor({
+        query: {rank: 0},
+        collection: 'users',
+        options: {batchSize: 10, sort: {name: -1}}
+      })
 
-                  result = results[2].results
-                  if (
-                    result &&
-                    result.length === 2 &&
-                    (result[0].age === 7 || result[1].age === 9)
-                  ) {
-                    console.log(' $in OK')
-                  } else {
-                    done(
-                      new Error(
-                        '$in query failed with ' + JSON.stringify(result)
-                      )
-                    )
-                  }
+      cursor
+        .next()
+        .then(documents => {
+          documents.length.should.eql(10)
+          documents[0].name.should.eql('User 90')
 
-                  result = results[3].results
-                  if (result && result.length === 1 && result[0].age === 7) {
+          return fileStore.insert({
+            data: {name: 'User 999', rank: 0},
+            collection: 'users'
+          })
+        })
+        .then(() => {
+          return fileStore.delete({
+            query: {name: 'User 200'},
+            collection: 'users'
+          })
+        })
+        .then(() => cursor.next())
+        .then(documents => {
+          documents
+            .map(user => user.name)
+            .should.eql([
+              'User 210',
+              'User 20',
+              'User 190',
+              'User 180',
+              'User 170',
+              'User 160',
+              'User 150',
+              'User 140',
+              'User 130'
+            ])
+
+          return cursor.next()
+        })
+        .then(documents => {
+          documents
+            .map(user => user.name)
+            .should.eql([
+              'User 120',
+              'User 110',
+              'User 100',
+              'User 10',
+              'User 0'
+            ])
+
+          return cursor.next()
+        })
+        .then(documents => {
+          should.not.exist(documents)
+          done()
+        })
+        .catch(done)
+    })
+
+    it('should stream the documents', function(done) {
+      const fileStore = new FileStoreAdapter()
+      const names = []
+
+      fileStore
+        .cursor({query: {}, collection: 'users', options: {batchSize: 100}})
+        .stream()
+        .on('data', document => names.push(document.name))
+        .on('error', done)
+        .on('end', () => {
+          names.length.should.eql(250)
+          names[249].should.eql('User 249')
+          done()
+        })
+    })
+  })
+
+  describe('aggregate', function() {
+    const books = [
+      {
+        title: 'Dune',
+        author: 'Herbert',
+        genre: 'sci-fi',
+        price: 10,
+        tags: ['desert', 'classic']
+      },
+      {
+        title: 'Emma',
+        author: 'Austen',
+        genre: 'romance',
+        price: 8,
+        tags: ['classic']
+      },
+      {title: 'Persuasion', author: 'Austen', genre: 'romance', price: 6},
+      {
+        title: 'Neuromancer',
+        author: 'Gibson',
+        genre: 'sci-fi',
+        price: 12,
+        tags: ['cyberpunk']
+      },
+      {
+        title: 'Hyperion',
+        author: 'Simmons',
+        genre: 'sci-fi',
+        price: 9,
+        tags: []
+      }
+    ]
+
+    beforeEach(function(done) {
+      const fileStore = new FileStoreAdapter()
+
+      fileStore.connect({database: 'content', collection: 'books'}).then(() => {
+        fileStore.getCollection('books').then(collection => {
+          collection.clear()
+
+          fileStore
+            .insert({
+              data: books.map(book => Object.assign({}, book)),
+              collection: 'books'
+            })
+            .then(() => done())
+            .catch(done)
+        })
+      })
+    })
+
+    it('should group documents and compute accumulators', function(done) {
+      const fileStore = new FileStoreAdapter()
+
+      fileStore
+        .aggregate({
+          collection: 'books',
+          pipeline: [
+            {
+              $group: {
+                _id: '$genre',
+                count: {$sum: 1},
+                total: {$sum: '$price'},
+                average: {$avg: '$price'},
+                cheapest: {$min: '$price'},
+                dearest: {$max: '$price'},
+                titles: {$push: '$title'},
+                first: {$first: '$title'},
+                last: {$last: '$title'}
+              }
+            },
+            {$sort: {_id: 1}}
+          ]
+        })
+        .then(results => {
+          results.should.eql([
+            {
+              _id: 'romance',
+              count: 2,
+              total: 14,
+              average: 7,
+              cheapest: 6,
+              dearest: 8,
+              titles: ['Emma', 'Persuasion'],
+              first: 'Emma',
+              last: 'Persuasion'
+            },
+            {
+              _id: 'sci-fi',
+              count: 3,
+              total: 31,
+              average: 31 / 3,
+              cheapest: 9,
+              dearest: 12,
+              titles: ['Dune', 'Neuromancer', 'Hyperion'],
+              first: 'Dune',
+              last: 'Hyperion'
+            }
+          ])
+          done()
+        })
+        .catch(done)
+    })
+
+    it('should filter, sort, skip, limit and project documents', function(done) {
+      const fileStore = new FileStoreAdapter()
+
+      fileStore
+        .aggregate({
+          collection: 'books',
+          pipeline: [
+            {$match: {genre: 'sci-fi', price: {$gte: 9}}},
+            {$sort: {price: -1}},
+            {$skip: 1},
+            {$limit: 2},
+            {$project: {_id: 0, title: 1, 'details.by': '$author'}}
+          ]
+        })
+        .then(results => {
+          results.should.eql([
+            {title: 'Dune', details: {by: 'Herbert'}},
+            {title: 'Hyperion', details: {by: 'Simmons'}}
+          ])
+          done()
+        })
+        .catch(done)
+    })
+
+    it('should unwind arrays and match on the resulting documents', function(done) {
+      const fileStore = new FileStoreAdapter()
+
+      fileStore
+        .aggregate({
+          collection: 'books',
+          pipeline: [
+            {$unwind: {path: '$tags', includeArrayIndex: 'position'}},
+            {$match: {tags: 'classic'}},
+            {$project: {_id: 0, title: 1, tags: 1, position: 1}}
+          ]
+        })
+        .then(results => {
+          results.should.eql([
+            {title: 'Dune', tags: 'classic', position: 1},
+            {title: 'Emma', tags: 'classic', position: 0}
+          ])
+
+          return fileStore.aggregate({
+            collection: 'books',
+            pipeline: [
+              {$unwind: {path: '$tags', preserveNullAndEmptyArrays: true}},
+              {$count: 'total'}
+            ]
+          })
+        })
+        .then(results => {
+          // Dune has two tags, and Persuasion and Hyperion are preserved.
+          results.should.eql([{total: 6}])
+          done()
+        })
+        .catch(done)
+    })
+
+    it('should not modify the documents in the collection', function(done) {
+      const fileStore = new FileStoreAdapter()
+
+      fileStore
+        .aggregate({
+          collection: 'books',
+          pipeline: [{$match: {title: 'Dune'}}, {$unwind: '$tags'}]
+        })
+        .then(results => {
+          results.length.should.eql(2)
+          should.not.exist(results[0].$loki)
+
+          return fileStore.find({query: {title: 'Dune'}, collection: 'books'})
+        })
+        .then(({results}) => {
+          results[0].tags.should.eql(['desert', 'classic'])
+          done()
+        })
+        .catch(done)
+    })
+
+    it('should reject invalid pipelines with an AggregationError', function(done) {
+      const fileStore = new FileStoreAdapter()
+      const getCode = pipeline => {
+        return fileStore.aggregate({collection: 'books', pipeline}).then(
+          () => null,
+          err => {
+            err.should.be.instanceOf(FileStoreAdapter.AggregationError)
+
+            return err.code
+          }
+        )
+      }
+
+      Promise.all([
+        getCode({$match: {}}),
+        getCode([{$lookup: {}}]),
+        getCode([{$group: {_id: null, total: {$median: '$price'}}}]),
+        getCode([{$project: {title: 1, price: 0}}]),
+        getCode([{$limit: -1}])
+      ])
+        .then(codes => {
+          codes.should.eql([
+            'INVALID_PIPELINE',
+            'UNKNOWN_STAGE',
+            'UNKNOWN_ACCUMULATOR',
+            'INVALID_STAGE',
+            'INVALID_STAGE'
+          ])
+          done()
+        })
+        .catch(done)
+    })
+  })
+
+  describe('distinct', function() {
+    const products = [
+      {
+        name: 'Lamp',
+        colour: 'red',
+        tags: ['home', 'light'],
+        maker: {country: 'UK'}
+      },
+      {
+        name: 'Chair',
+        colour: 'blue',
+        tags: ['home', 'home'],
+        maker: {country: 'FR'}
+      },
+      {name: 'Torch', colour: 'red', tags: ['light', 'outdoor']},
+      {name: 'Tent', colour: null, tags: ['outdoor'], maker: {country: 'UK'}},
+      {name: 'Rug', tags: [], maker: {country: 'UK'}}
+    ]
+
+    beforeEach(function(done) {
+      const fileStore = new FileStoreAdapter()
+
+      fileStore
+        .connect({database: 'content', collection: 'products'})
+        .then(() => fileStore.getCollection('products'))
+        .then(collection => {
+          collection.clear()
+
+          return fileStore.insert({
+            data: products.map(product => Object.assign({}, product)),
+            collection: 'products'
+          })
+        })
+        .then(() => done())
+        .catch(done)
+    })
+
+    it('should return the distinct values of a field in ascending order', function(done) {
+      const fileStore = new FileStoreAdapter()
+
+      fileStore
+        .distinct({collection: 'products', field: 'colour'})
+        .then(values => {
+          // Missing values are ignored, but null is a value.
+          values.should.eql([null, 'blue', 'red'])
+
+          return fileStore.distinct({
+            collection: 'products',
+            field: 'maker.country',
+            query: {colour: 'red'}
+          })
+        })
+        .then(values => {
+          values.should.eql(['UK'])
+          done()
+        })
+        .catch(done)
+    })
+
+    it('should count each element of array fields once per document', function(done) {
+      const fileStore = new FileStoreAdapter()
+
+      fileStore
+        .distinct({
+          collection: 'products',
+          field: 'tags',
+          options: {counts: true}
+        })
+        .then(values => {
+          values.should.eql([
+            {value: 'home', count: 2},
+            {value: 'light', count: 2},
+            {value: 'outdoor', count: 2}
+          ])
+          done()
+        })
+        .catch(done)
+    })
+
+    it('should give the same results when using a binary index', function(done) {
+      const fileStore = new FileStoreAdapter()
+
+      fileStore
+        .getCollection('products')
+        .then(collection => {
+          collection.ensureIndex('colour')
+          collection.ensureIndex('tags')
+
+          return Promise.all([
+            fileStore.distinct({
+              collection: 'products',
+              field: 'colour',
+              options: {counts: true}
+            }),
+            fileStore.distinct({
+              collection: 'products',
+              field: 'tags',
+              query: {name: {$ne: 'Lamp'}},
+              options: {counts: true}
+            })
+          ]).then(([colours, tags]) => {
+            colours.should.eql([
+              {value: null, count: 1},
+              {value: 'blue', count: 1},
+              {value: 'red', count: 2}
+            ])
+            tags.should.eql([
+              {value: 'home', count: 1},
+              {value: 'light', count: 1},
+              {value: 'outdoor', count: 2}
+            ])
+
+            collection.binaryIndices = {}
+            done()
+          })
+        })
+        .catch(done)
+    })
+  })
+
+  describe('query operators', function() {
+    it('should handle all query operators', done => {
+      const fileStore = new FileStoreAdapter()
+
+      fileStore
+        .connect({database: 'content', collection: 'users'})
+        .then(() => {
+          fileStore.getCollection('users').then(collection => {
+            collection.clear()
+
+            const users = [
+              {name: 'Ernie', age: 7, colour: 'yellow'},
+              {name: 'BigBird', age: 17, colour: 'yellow'},
+              {name: 'Bert', age: 9, colour: 'orange'}
+            ]
+
+            fileStore
+              .insert({data: users, collection: 'users', schema: {}})
+              .then(results => {
+                const queue = []
+
+                queue.push({name: 'Ernie'})
+                queue.push({colour: {$eq: 'yellow'}})
+                queue.push({age: {$in: [7, 9]}})
+                queue.push({age: {$lt: 9}})
+                queue.push({age: {$lte: 9}})
+                queue.push({age: {$gt: 9}})
+                queue.push({age: {$gte: 7}})
+
+                function testFn(query) {
+                  return fileStore.find({
+                    query,
+                    collection: 'users',
+                    options: {},
+                    schema: {},
+                    settings: {}
+                  })
+                }
+
+                promiseQueue(queue, testFn, {
+                  interval: 300
+                }).then(results => {
+                  let result = results[0].results[0]
+
+                  if (result && result.name === 'Ernie') {
+                    console.log(' = OK')
+                  } else {
+                    done(
+                      new Error(
+                        'Implicit equality query failed with ' +
+                          JSON.stringify(result)
+                      )
+                    )
+                  }
+
+                  result = results[1].results[0]
+                  if (result && result.colour === 'yellow') {
+                    console.log(' $eq OK')
+                  } else {
+                    done(
+                      new Error(
+                        '$eq query failed with ' + JSON.stringify(result)
+                      )
+                    )
+                  }
+
+                  result = results[2].results
+                  if (
+                    result &&
+                    result.length === 2 &&
+                    (result[0].age === 7 || result[1].age === 9)
+                  ) {
+                    console.log(' $in OK')
+                  } else {
+                    done(
+                      new Error(
+                        '$in query failed with ' + JSON.stringify(result)
+                      )
+                    )
+                  }
+
+                  result = results[3].results
+                  if (result && result.length === 1 && result[0].age === 7) {
                     console.log(' $lt OK')
                   } else {
                     done(
@@ -912,245 +1785,3564 @@ describe('FileStore', function() {
     })
   })
 
-  describe('update', function() {
-    describe('$set', function() {
-      it('should update documents matching the query', function(done) {
-        const fileStore = new FileStoreAdapter()
+  describe('field query operators', function() {
+    const items = [
+      {
+        name: 'a',
+        value: 1,
+        tags: ['x', 'y'],
+        sizes: [2, 8],
+        parts: [{n: 1, c: 'red'}]
+      },
+      {
+        name: 'b',
+        value: 'one',
+        tags: ['x'],
+        sizes: [5],
+        parts: [{n: 2, c: 'blue'}, {n: 5, c: 'red'}]
+      },
+      {name: 'c', value: null, tags: [], sizes: [], owner: null},
+      {name: 'd', value: [3, 'three'], owner: {name: 'Ed'}},
+      {name: 'e', value: new Date(2020, 0, 1), tags: ['y', 'z'], label: 'Apple'}
+    ]
 
-        fileStore
-          .connect({database: 'content', collection: 'users'})
-          .then(() => {
-            fileStore.getCollection('users').then(collection => {
-              collection.clear()
+    const getNames = query => {
+      const fileStore = new FileStoreAdapter()
 
-              const users = [
-                {name: 'Ernie', age: 7, colour: 'yellow'},
-                {name: 'Oscar', age: 9, colour: 'green'},
-                {name: 'BigBird', age: 13, colour: 'yellow'}
-              ]
+      return fileStore
+        .find({query, collection: 'items', options: {}, schema: {}})
+        .then(({results}) => results.map(item => item.name).sort())
+    }
 
-              fileStore
-                .insert({data: users, collection: 'users', schema: {}})
-                .then(results => {
-                  fileStore
-                    .update({
-                      query: {colour: 'green'},
-                      collection: 'users',
-                      update: {$set: {colour: 'yellow'}}
-                    })
-                    .then(results => {
-                      fileStore
-                        .find({
-                          query: {colour: 'yellow'},
-                          collection: 'users',
-                          options: {}
-                        })
-                        .then(results => {
-                          results.results.constructor.name.should.eql('Array')
-                          results.results.length.should.eql(3)
-                          done()
-                        })
-                        .catch(err => {
-                          done(err)
-                        })
-                    })
+    beforeEach(function(done) {
+      const fileStore = new FileStoreAdapter()
+
+      fileStore
+        .connect({database: 'content', collection: 'items'})
+        .then(() => fileStore.getCollection('items'))
+        .then(collection => {
+          collection.clear()
+
+          return fileStore.insert({
+            data: items.map(item => Object.assign({}, item)),
+            collection: 'items'
+          })
+        })
+        .then(() => done())
+        .catch(done)
+    })
+
+    it('should match fields by BSON type', function(done) {
+      Promise.all([
+        getNames({value: {$type: 'number'}}),
+        getNames({value: {$type: 2}}),
+        getNames({value: {$type: ['null', 'date']}}),
+        getNames({value: {$type: 'array'}}),
+        getNames({owner: {$type: 'object'}})
+      ])
+        .then(results => {
+          // Like in MongoDB, the elements of an array are matched too.
+          results.should.eql([['a', 'd'], ['b', 'd'], ['c', 'e'], ['d'], ['d']])
+          done()
+        })
+        .catch(done)
+    })
+
+    it('should support $exists on nested fields with null parents', function(done) {
+      Promise.all([
+        getNames({'owner.name': {$exists: true}}),
+        getNames({'owner.name': {$exists: false}}),
+        getNames({owner: {$exists: true}})
+      ])
+        .then(results => {
+          results.should.eql([['d'], ['a', 'b', 'c', 'e'], ['c', 'd']])
+          done()
+        })
+        .catch(done)
+    })
+
+    it('should support $not', function(done) {
+      Promise.all([
+        getNames({value: {$not: {$type: 'number'}}}),
+        getNames({label: {$not: /^a/i}}),
+        getNames({sizes: {$not: {$gt: 4}}})
+      ])
+        .then(results => {
+          results.should.eql([
+            ['b', 'c', 'e'],
+            ['a', 'b', 'c', 'd'],
+            ['c', 'd', 'e']
+          ])
+          done()
+        })
+        .catch(done)
+    })
+
+    it('should support array operators', function(done) {
+      Promise.all([
+        getNames({tags: {$all: ['x', 'y']}}),
+        getNames({tags: {$size: 1}}),
+        getNames({sizes: {$elemMatch: {$gt: 4, $lt: 6}}}),
+        getNames({parts: {$elemMatch: {n: {$gte: 2}, c: 'red'}}}),
+        getNames({'parts.c': 'blue'})
+      ])
+        .then(results => {
+          results.should.eql([['a'], ['b'], ['b'], ['b'], ['b']])
+          done()
+        })
+        .catch(done)
+    })
+
+    it('should match null against missing fields in $in and $nin', function(done) {
+      Promise.all([
+        getNames({owner: {$in: [null]}}),
+        getNames({owner: {$nin: [null]}}),
+        getNames({label: {$in: [/^app/i, 'Pear']}})
+      ])
+        .then(results => {
+          results.should.eql([['a', 'b', 'c', 'e'], ['d'], ['e']])
+          done()
+        })
+        .catch(done)
+    })
+
+    it('should combine $regex with $options', function(done) {
+      getNames({label: {$regex: '^apple$', $options: 'i'}})
+        .then(names => {
+          names.should.eql(['e'])
+          done()
+        })
+        .catch(done)
+    })
+
+    it('should match dates by value', function(done) {
+      getNames({value: new Date(2020, 0, 1)})
+        .then(names => {
+          names.should.eql(['e'])
+          done()
+        })
+        .catch(done)
+    })
+
+    it('should reject unsupported operators with a QueryError', function(done) {
+      getNames({value: {$near: [0, 0]}})
+        .then(() => done(new Error('Expected an error')))
+        .catch(err => {
+          err.should.be.instanceOf(FileStoreAdapter.QueryError)
+          err.code.should.eql('UNSUPPORTED_OPERATOR')
+          err.operator.should.eql('$near')
+          err.field.should.eql('value')
+
+          return getNames({value: {$in: 'x'}})
+        })
+        .then(() => done(new Error('Expected an error')))
+        .catch(err => {
+          if (err.message === 'Expected an error') return done(err)
+
+          err.code.should.eql('INVALID_OPERAND')
+          done()
+        })
+        .catch(done)
+    })
+  })
+
+  describe('text search', function() {
+    const articles = [
+      {title: 'Running shoes', body: 'The best shoes for runners.'},
+      {title: 'Coffee', body: 'Where to run for a flat white.'},
+      {title: 'Flat white', body: 'A coffee with steamed milk.'},
+      {title: 'Decaf', body: 'Coffee without the caffeine.', tags: ['coffee']},
+      {title: 'Café culture', body: 'Drinking coffee in Paris.'},
+      {title: 'Runs', body: 'Counted as is.', language: 'none'}
+    ]
+
+    const search = (query, options) => {
+      const fileStore = new FileStoreAdapter()
+
+      return fileStore
+        .find({query, collection: 'articles', options: options || {}})
+        .then(({results}) => results)
+    }
+
+    beforeEach(function(done) {
+      const fileStore = new FileStoreAdapter()
+
+      fileStore
+        .connect({database: 'content', collection: 'articles'})
+        .then(() => fileStore.getCollection('articles'))
+        .then(collection => {
+          collection.clear()
+
+          return fileStore.insert({
+            data: articles.map(article => Object.assign({}, article)),
+            collection: 'articles'
+          })
+        })
+        .then(() => {
+          return fileStore.index('articles', [
+            {
+              keys: {title: 'text', body: 'text'},
+              options: {weights: {title: 10}}
+            }
+          ])
+        })
+        .then(() => done())
+        .catch(done)
+    })
+
+    it('should create a text index named after its keys', function(done) {
+      const fileStore = new FileStoreAdapter()
+
+      fileStore
+        .getIndexes('articles')
+        .then(indexes => {
+          const index = indexes.find(
+            ({name}) => name === 'title_text_body_text'
+          )
+
+          index.keys.should.eql({title: 'text', body: 'text'})
+          done()
+        })
+        .catch(done)
+    })
+
+    it('should match stemmed terms, ignoring stop words', function(done) {
+      Promise.all([
+        search({$text: {$search: 'running'}}),
+        search({$text: {$search: 'the for'}}),
+        search({$text: {$search: 'cafe'}}),
+        search({$text: {$search: 'COFFEE'}, title: {$ne: 'Decaf'}})
+      ])
+        .then(results => {
+          const titles = results.map(documents => {
+            return documents.map(({title}) => title).sort()
+          })
+
+          // The last article isn't stemmed, as its language is `none`.
+          titles.should.eql([
+            ['Coffee', 'Running shoes'],
+            [],
+            ['Café culture'],
+            ['Café culture', 'Coffee', 'Flat white']
+          ])
+          done()
+        })
+        .catch(done)
+    })
+
+    it('should support phrases and negated terms', function(done) {
+      Promise.all([
+        search({$text: {$search: '"flat white"'}}),
+        search({$text: {$search: 'coffee -milk -"in paris"'}}),
+        search({$text: {$search: 'café', $diacriticSensitive: true}}),
+        search({
+          $text: {$search: 'Runs', $language: 'none', $caseSensitive: true}
+        })
+      ])
+        .then(results => {
+          results
+            .map(documents => documents.map(({title}) => title).sort())
+            .should.eql([
+              ['Coffee', 'Flat white'],
+              ['Coffee', 'Decaf'],
+              ['Café culture'],
+              ['Runs']
+            ])
+          done()
+        })
+        .catch(done)
+    })
+
+    it('should project and sort on the text score', function(done) {
+      search(
+        {$text: {$search: 'coffee'}},
+        {
+          fields: {title: 1, score: {$meta: 'textScore'}},
+          sort: {score: {$meta: 'textScore'}}
+        }
+      )
+        .then(results => {
+          // Matches in the title weigh more, and equal scores are returned in
+          // insertion order.
+          results
+            .map(({title}) => title)
+            .should.eql(['Coffee', 'Flat white', 'Decaf', 'Café culture'])
+          Object.keys(results[0])
+            .sort()
+            .should.eql(['_id', 'score', 'title'])
+          results[0].score.should.be.above(results[1].score)
+          results[1].score.should.eql(results[3].score)
+          done()
+        })
+        .catch(done)
+    })
+
+    it('should search and sort on the text score with a cursor', function(done) {
+      const fileStore = new FileStoreAdapter()
+      const batches = []
+
+      fileStore
+        .cursor({
+          query: {$text: {$search: 'coffee'}},
+          collection: 'articles',
+          options: {
+            batchSize: 3,
+            fields: {title: 1, score: {$meta: 'textScore'}},
+            sort: {score: {$meta: 'textScore'}}
+          }
+        })
+        .forEach(documents => {
+          batches.push(documents)
+        })
+        .then(() => {
+          batches.map(batch => batch.length).should.eql([3, 1])
+          batches[0]
+            .concat(batches[1])
+            .map(({title}) => title)
+            .should.eql(['Coffee', 'Flat white', 'Decaf', 'Café culture'])
+          batches[0][0].score.should.be.above(batches[0][1].score)
+          done()
+        })
+        .catch(done)
+    })
+
+    it('should keep the index up to date as documents change', function(done) {
+      const fileStore = new FileStoreAdapter()
+
+      fileStore
+        .update({
+          query: {title: 'Decaf'},
+          collection: 'articles',
+          update: {$set: {body: 'Tea without the caffeine.'}}
+        })
+        .then(() => {
+          return fileStore.delete({
+            query: {title: {$in: ['Flat white', 'Runs']}},
+            collection: 'articles'
+          })
+        })
+        .then(() => {
+          return fileStore.insert({
+            data: {title: 'Cold brew', body: 'Coffee brewed cold.'},
+            collection: 'articles'
+          })
+        })
+        .then(() => search({$text: {$search: 'coffee'}}, {sort: {title: 1}}))
+        .then(results => {
+          results
+            .map(({title}) => title)
+            .should.eql(['Café culture', 'Coffee', 'Cold brew'])
+
+          const index = fileStore.textIndexes.articles.index
+
+          index.documents.size.should.eql(5)
+          Array.from(index.postings.get('coffe').keys()).length.should.eql(3)
+          done()
+        })
+        .catch(done)
+    })
+
+    it('should reject invalid text queries and indexes', function(done) {
+      const fileStore = new FileStoreAdapter()
+      const expectError = (promise, code) => {
+        return promise.then(
+          () => {
+            throw new Error(`Expected ${code}`)
+          },
+          err => err.code.should.eql(code)
+        )
+      }
+
+      Promise.all([
+        expectError(
+          search({$or: [{$text: {$search: 'coffee'}}]}),
+          'UNSUPPORTED_OPERATOR'
+        ),
+        expectError(search({$text: 'coffee'}), 'INVALID_OPERAND'),
+        expectError(
+          search({title: 'Coffee'}, {sort: {score: {$meta: 'textScore'}}}),
+          'INVALID_OPERAND'
+        ),
+        expectError(
+          fileStore.find({
+            query: {$text: {$search: 'coffee'}},
+            collection: 'users'
+          }),
+          'TEXT_INDEX_REQUIRED'
+        ),
+        expectError(
+          fileStore.index('articles', [{keys: {body: 'text'}}]),
+          'TEXT_INDEX_EXISTS'
+        ),
+        expectError(
+          fileStore.index('users', [
+            {keys: {name: 'text'}, options: {default_language: 'klingon'}}
+          ]),
+          'INVALID_INDEX'
+        )
+      ])
+        .then(() => done())
+        .catch(done)
+    })
+  })
+
+  describe('nested queries', function() {
+    const gods = [
+      {Name: 'Thor', Age: 35, weapons: ['mjolnir']},
+      {Name: 'Odin', Age: 50, weapons: ['gungnir', 'draupnir']},
+      {Name: 'Loki', Age: 30, title: 'Trickster'},
+      {Name: 'Freya', Age: 25, title: null},
+      {Name: 'Baldr', Age: '40'}
+    ]
+
+    const getNames = query => {
+      const fileStore = new FileStoreAdapter()
+
+      return fileStore
+        .find({query, collection: 'gods', options: {}, schema: {}})
+        .then(({results}) => results.map(god => god.Name).sort())
+    }
+
+    beforeEach(function(done) {
+      const fileStore = new FileStoreAdapter()
+
+      fileStore
+        .connect({database: 'content', collection: 'gods'})
+        .then(() => fileStore.getCollection('gods'))
+        .then(collection => {
+          collection.clear()
+
+          return fileStore.insert({
+            data: gods.map(god => Object.assign({}, god)),
+            collection: 'gods'
+          })
+        })
+        .then(() => done())
+        .catch(done)
+    })
+
+    it('should support the examples in the README', function(done) {
+      Promise.all([
+        getNames({$and: [{Age: {$gt: 30}}, {Name: 'Thor'}]}),
+        getNames({$or: [{Age: {$gte: '40'}}, {Name: 'Thor'}]})
+      ])
+        .then(results => {
+          results.should.eql([['Thor'], ['Baldr', 'Odin', 'Thor']])
+          done()
+        })
+        .catch(done)
+    })
+
+    it('should prepare regular expressions and null at any depth', function(done) {
+      Promise.all([
+        getNames({$or: [{Name: /^o/i}, {title: null}]}),
+        getNames({
+          Age: {$lt: 40},
+          $or: [
+            {$and: [{Name: /r/}, {weapons: {$exists: true}}]},
+            {title: /^t/i}
+          ]
+        })
+      ])
+        .then(results => {
+          // As at the top level, `null` only matches documents without the field.
+          results.should.eql([['Baldr', 'Odin', 'Thor'], ['Loki', 'Thor']])
+          done()
+        })
+        .catch(done)
+    })
+
+    it('should support $nor', function(done) {
+      Promise.all([
+        getNames({$nor: [{Name: 'Thor'}, {Age: {$gte: 35}}]}),
+        getNames({$nor: [{$or: [{Name: /^[A-L]/}, {Name: 'Odin'}]}]}),
+        getNames({$nor: [{Age: {$lt: 40}, title: {$exists: true}}]}),
+        getNames({$nor: [{}]})
+      ])
+        .then(results => {
+          // Comparisons only match values of the same type, so Baldr's age
+          // (a string) isn't greater than 35.
+          results.should.eql([
+            ['Baldr', 'Freya', 'Loki'],
+            ['Thor'],
+            ['Baldr', 'Odin', 'Thor'],
+            []
+          ])
+          done()
+        })
+        .catch(done)
+    })
+  })
+
+  describe('schema coercion', function() {
+    const schema = {
+      title: {type: 'String'},
+      price: {type: 'Number'},
+      available: {type: 'Boolean'},
+      publishedAt: {type: 'DateTime'}
+    }
+
+    it('should convert query operands to the type of their field', function(done) {
+      const fileStore = new FileStoreAdapter()
+      const query = fileStore.prepareQuery(
+        {
+          title: '10',
+          price: {$gte: '10', $in: ['10', 20, 'ten']},
+          available: 'true',
+          publishedAt: {$lt: new Date(Date.UTC(2018, 0, 1))}
+        },
+        schema
+      )
+
+      query.should.eql({
+        $and: [
+          {title: '10'},
+          {price: {$gte: 10}},
+          {price: {$in: [10, 20, 'ten']}},
+          {available: true},
+          {publishedAt: {$lt: '2018-01-01T00:00:00.000Z'}}
+        ]
+      })
+
+      done()
+    })
+
+    it('should convert values on insert and update and compare them by type', function(done) {
+      const fileStore = new FileStoreAdapter()
+
+      fileStore
+        .connect({database: 'content', collection: 'products'})
+        .then(() => fileStore.getCollection('products'))
+        .then(collection => {
+          collection.clear()
+
+          return fileStore.insert({
+            data: [
+              {
+                title: 'Lamp',
+                price: '9.5',
+                available: 'false',
+                publishedAt: new Date(Date.UTC(2017, 11, 31))
+              },
+              {
+                title: 'Desk',
+                price: 120,
+                available: true,
+                publishedAt: '2018-03-01T12:00:00+01:00'
+              }
+            ],
+            collection: 'products',
+            schema
+          })
+        })
+        .then(results => {
+          results[0].price.should.eql(9.5)
+          results[0].available.should.eql(false)
+          results[0].publishedAt.should.eql('2017-12-31T00:00:00.000Z')
+          results[1].publishedAt.should.eql('2018-03-01T11:00:00.000Z')
+
+          return fileStore.update({
+            query: {title: 'Lamp'},
+            collection: 'products',
+            update: {$set: {price: '11'}, $currentDate: {publishedAt: true}},
+            schema
+          })
+        })
+        .then(() => {
+          return fileStore.find({
+            query: {
+              price: {$gt: '10', $lt: '100'},
+              publishedAt: {$gte: '2018-01-01'}
+            },
+            collection: 'products',
+            schema
+          })
+        })
+        .then(({results}) => {
+          results.length.should.eql(1)
+          results[0].title.should.eql('Lamp')
+          results[0].price.should.eql(11)
+          results[0].publishedAt.should.match(/^\d{4}-\d\d-\d\dT[\d:.]+Z$/)
+          Date.parse(results[0].publishedAt).should.be.above(Date.UTC(2018))
+
+          done()
+        })
+        .catch(done)
+    })
+
+    it('should compare dates given as timestamps, strings and Date objects', function(done) {
+      const fileStore = new FileStoreAdapter()
+
+      fileStore
+        .connect({database: 'content', collection: 'products'})
+        .then(() => fileStore.getCollection('products'))
+        .then(collection => {
+          collection.clear()
+
+          return fileStore.insert({
+            data: [
+              {title: 'Chair', publishedAt: Date.UTC(2018, 0, 1)},
+              {title: 'Lamp', publishedAt: '2017-06-01T00:00:00.000Z'},
+              {title: 'Desk', publishedAt: new Date(Date.UTC(2016, 0, 1))}
+            ],
+            collection: 'products',
+            schema
+          })
+        })
+        .then(results => {
+          results[0].publishedAt.should.eql('2018-01-01T00:00:00.000Z')
+
+          return fileStore.find({
+            query: {
+              publishedAt: {
+                $gte: new Date(Date.UTC(2017, 0, 1)),
+                $lt: Date.UTC(2019, 0, 1),
+                $ne: '2017-06-01'
+              }
+            },
+            collection: 'products',
+            options: {sort: {publishedAt: 1}},
+            schema
+          })
+        })
+        .then(({results}) => {
+          results.map(result => result.title).should.eql(['Chair'])
+
+          return fileStore.find({
+            query: {publishedAt: {$gte: '2017-01-01', $lt: Date.UTC(2019)}},
+            collection: 'products',
+            options: {sort: {publishedAt: 1}},
+            schema
+          })
+        })
+        .then(({results}) => {
+          results.map(result => result.title).should.eql(['Lamp', 'Chair'])
+
+          done()
+        })
+        .catch(done)
+    })
+
+    it('should match dates with $type after they are saved and reloaded', function(done) {
+      const datesConfig = {
+        database: {
+          path: 'test/dates-db',
+          autosaveInterval: 60000,
+          serializationMethod: 'normal',
+          journal: {enabled: false}
+        }
+      }
+      const databasePath = path.resolve(datesConfig.database.path)
+      const cleanUp = () => {
+        ;[databasePath, `${databasePath}.1`, `${databasePath}.2`].forEach(
+          file => {
+            try {
+              fs.unlinkSync(file)
+            } catch (err) {
+              // The file wasn't created by the test.
+            }
+          }
+        )
+      }
+
+      const getTitles = store => {
+        return store
+          .connect({database: 'content'})
+          .then(() => {
+            return store.find({
+              query: {publishedAt: {$type: 'date'}},
+              collection: 'products'
+            })
+          })
+          .then(({results}) => results.map(result => result.title))
+      }
+
+      const fileStore = new FileStoreAdapter(datesConfig)
+
+      fileStore
+        .connect({database: 'content'})
+        .then(() => {
+          return fileStore.insert({
+            data: [
+              {title: 'Chair', publishedAt: new Date(Date.UTC(2018, 0, 1))},
+              {title: 'Lamp', publishedAt: '2018'},
+              {title: 'Desk', publishedAt: Date.UTC(2018, 0, 1)}
+            ],
+            collection: 'products',
+            schema: {title: {type: 'String'}}
+          })
+        })
+        .then(() => FileStoreAdapter.close(datesConfig))
+        .then(() => getTitles(new FileStoreAdapter(datesConfig)))
+        .then(titles => {
+          fs.readFileSync(databasePath, 'utf8').should.match(
+            /"publishedAt":"2018-01-01T00:00:00.000Z"/
+          )
+          titles.should.eql(['Chair'])
+
+          return FileStoreAdapter.close(datesConfig)
+        })
+        .then(() => {
+          cleanUp()
+          done()
+        })
+        .catch(err => {
+          cleanUp()
+          done(err)
+        })
+    })
+
+    it('should convert the fields of subdocuments', function(done) {
+      const fileStore = new FileStoreAdapter()
+      const nestedSchema = {
+        title: {type: 'String'},
+        author: {
+          type: 'Object',
+          fields: {born: {type: 'DateTime'}, books: {type: 'Number'}}
+        },
+        'edition.price': {type: 'Number'},
+        reviews: {type: 'Object', fields: {stars: {type: 'Number'}}}
+      }
+
+      fileStore
+        .connect({database: 'content', collection: 'products'})
+        .then(() => fileStore.getCollection('products'))
+        .then(collection => {
+          collection.clear()
+
+          return fileStore.insert({
+            data: {
+              title: 'Emma',
+              author: {born: new Date(Date.UTC(1775, 11, 16)), books: '6'},
+              edition: {price: '8.5'},
+              reviews: [{stars: '5'}, {stars: 3}]
+            },
+            collection: 'products',
+            schema: nestedSchema
+          })
+        })
+        .then(results => {
+          results[0].author.should.eql({
+            born: '1775-12-16T00:00:00.000Z',
+            books: 6
+          })
+          results[0].edition.price.should.eql(8.5)
+          results[0].reviews.should.eql([{stars: 5}, {stars: 3}])
+
+          return fileStore.insert({
+            data: {title: 'Dune', author: {born: '1920-10-08'}, reviews: []},
+            collection: 'products',
+            schema: nestedSchema
+          })
+        })
+        .then(() => {
+          return fileStore.find({
+            query: {
+              'author.born': {$lt: new Date(Date.UTC(1900, 0, 1))},
+              'edition.price': '8.5',
+              reviews: {$elemMatch: {stars: {$gte: '4'}}}
+            },
+            collection: 'products',
+            schema: nestedSchema
+          })
+        })
+        .then(({results}) => {
+          results.map(result => result.title).should.eql(['Emma'])
+
+          done()
+        })
+        .catch(done)
+    })
+  })
+
+  describe('strict schema mode', function() {
+    const schema = {
+      title: {type: 'String', required: true},
+      status: {type: 'String', default: 'draft'},
+      tags: {type: 'String', default: ['new']},
+      price: {type: 'Number'}
+    }
+
+    beforeEach(function(done) {
+      const fileStore = new FileStoreAdapter()
+
+      fileStore
+        .connect({database: 'content', collection: 'listings'})
+        .then(() => fileStore.getCollection('listings'))
+        .then(collection => {
+          collection.clear()
+          done()
+        })
+        .catch(done)
+    })
+
+    it('should fill in default values on insert', function(done) {
+      const fileStore = new FileStoreAdapter()
+
+      fileStore
+        .insert({
+          data: {title: 'Lamp', price: '10'},
+          collection: 'listings',
+          options: {strict: true},
+          schema
+        })
+        .then(results => {
+          results[0].status.should.eql('draft')
+          results[0].tags.should.eql(['new'])
+          results[0].price.should.eql(10)
+
+          done()
+        })
+        .catch(done)
+    })
+
+    it('should reject documents listing every field that fails validation', function(done) {
+      const fileStore = new FileStoreAdapter()
+
+      fileStore
+        .insert({
+          data: [{title: 'Lamp'}, {colour: 'red', title: ''}],
+          collection: 'listings',
+          options: {strict: true},
+          schema
+        })
+        .then(() => {
+          throw new Error('The insert should have been rejected')
+        })
+        .catch(err => {
+          err.should.be.instanceOf(FileStoreAdapter.ValidationError)
+          err.code.should.eql('VALIDATION_FAILED')
+          err.statusCode.should.eql(400)
+          err.errors
+            .map(({index, field, code}) => ({index, field, code}))
+            .should.eql([
+              {index: 1, field: 'title', code: 'REQUIRED'},
+              {index: 1, field: 'colour', code: 'UNKNOWN_FIELD'}
+            ])
+
+          return fileStore.find({query: {}, collection: 'listings'})
+        })
+        .then(({results}) => {
+          results.length.should.eql(0)
+
+          done()
+        })
+        .catch(done)
+    })
+
+    it('should reject updates that leave documents invalid', function(done) {
+      const fileStore = new FileStoreAdapter()
+
+      fileStore
+        .insert({
+          data: {_id: 'lamp', title: 'Lamp'},
+          collection: 'listings',
+          options: {strict: true},
+          schema
+        })
+        .then(() => {
+          return fileStore.update({
+            query: {_id: 'lamp'},
+            collection: 'listings',
+            update: {$unset: {title: ''}, $set: {colour: 'red'}},
+            options: {strict: true},
+            schema
+          })
+        })
+        .then(() => {
+          throw new Error('The update should have been rejected')
+        })
+        .catch(err => {
+          err.code.should.eql('VALIDATION_FAILED')
+          err.errors
+            .map(({id, field, code}) => ({id, field, code}))
+            .should.eql([
+              {id: 'lamp', field: 'title', code: 'REQUIRED'},
+              {id: 'lamp', field: 'colour', code: 'UNKNOWN_FIELD'}
+            ])
+
+          // Strict mode is off by default.
+          return fileStore.update({
+            query: {_id: 'lamp'},
+            collection: 'listings',
+            update: {$set: {colour: 'red'}},
+            schema
+          })
+        })
+        .then(result => {
+          result.modifiedCount.should.eql(1)
+
+          done()
+        })
+        .catch(done)
+    })
+  })
+
+  describe('update', function() {
+    describe('$set', function() {
+      it('should update documents matching the query', function(done) {
+        const fileStore = new FileStoreAdapter()
+
+        fileStore
+          .connect({database: 'content', collection: 'users'})
+          .then(() => {
+            fileStore.getCollection('users').then(collection => {
+              collection.clear()
+
+              const users = [
+                {name: 'Ernie', age: 7, colour: 'yellow'},
+                {name: 'Oscar', age: 9, colour: 'green'},
+                {name: 'BigBird', age: 13, colour: 'yellow'}
+              ]
+
+              fileStore
+                .insert({data: users, collection: 'users', schema: {}})
+                .then(results => {
+                  fileStore
+                    .update({
+                      query: {colour: 'green'},
+                      collection: 'users',
+                      update: {$set: {colour: 'yellow'}}
+                    })
+                    .then(results => {
+                      fileStore
+                        .find({
+                          query: {colour: 'yellow'},
+                          collection: 'users',
+                          options: {}
+                        })
+                        .then(results => {
+                          results.results.constructor.name.should.eql('Array')
+                          results.results.length.should.eql(3)
+                          done()
+                        })
+                        .catch(err => {
+                          done(err)
+                        })
+                    })
+                    .catch(err => {
+                      done(err)
+                    })
+                })
+                .catch(err => {
+                  done(err)
+                })
+            })
+          })
+      })
+    })
+
+    describe('$inc', function() {
+      it('should update documents matching the query', function(done) {
+        const fileStore = new FileStoreAdapter()
+
+        fileStore
+          .connect({database: 'content', collection: 'users'})
+          .then(() => {
+            fileStore.getCollection('users').then(collection => {
+              collection.clear()
+
+              const users = [
+                {name: 'Ernie', age: 7, colour: 'yellow'},
+                {name: 'Oscar', age: 9, colour: 'green'},
+                {name: 'BigBird', age: 13, colour: 'yellow'}
+              ]
+
+              fileStore
+                .insert({data: users, collection: 'users', schema: {}})
+                .then(results => {
+                  fileStore
+                    .update({
+                      query: {colour: 'green'},
+                      collection: 'users',
+                      update: {$inc: {age: 10}}
+                    })
+                    .then(results => {
+                      fileStore
+                        .find({
+                          query: {colour: 'green'},
+                          collection: 'users',
+                          options: {}
+                        })
+                        .then(results => {
+                          results.results.constructor.name.should.eql('Array')
+                          results.results.length.should.eql(1)
+                          results.results[0].age.should.eql(19)
+                          done()
+                        })
+                        .catch(err => {
+                          done(err)
+                        })
+                    })
+                    .catch(err => {
+                      done(err)
+                    })
+                })
+                .catch(err => {
+                  done(err)
+                })
+            })
+          })
+      })
+    })
+
+    describe('$push', function() {
+      it('should update documents matching the query', function(done) {
+        const fileStore = new FileStoreAdapter()
+
+        fileStore
+          .connect({database: 'content', collection: 'users'})
+          .then(() => {
+            fileStore.getCollection('users').then(collection => {
+              collection.clear()
+
+              const users = [
+                {name: 'Ernie', colours: ['yellow']},
+                {name: 'Oscar', colours: ['green']},
+                {name: 'BigBird', colours: ['yellow']}
+              ]
+
+              fileStore
+                .insert({data: users, collection: 'users', schema: {}})
+                .then(results => {
+                  fileStore
+                    .update({
+                      query: {name: 'Ernie'},
+                      collection: 'users',
+                      update: {$push: {colours: 'red'}}
+                    })
+                    .then(results => {
+                      fileStore
+                        .find({
+                          query: {name: 'Ernie'},
+                          collection: 'users',
+                          options: {}
+                        })
+                        .then(results => {
+                          results.results.constructor.name.should.eql('Array')
+                          results.results.length.should.eql(1)
+                          results.results[0].colours.should.be.Array
+                          results.results[0].colours[0].should.eql('yellow')
+                          results.results[0].colours[1].should.eql('red')
+                          done()
+                        })
+                        .catch(err => {
+                          done(err)
+                        })
+                    })
+                    .catch(err => {
+                      done(err)
+                    })
+                })
+                .catch(err => {
+                  done(err)
+                })
+            })
+          })
+      })
+    })
+
+    describe('dot-notation paths', function() {
+      it('should $set, $unset and $rename nested fields', function(done) {
+        const fileStore = new FileStoreAdapter()
+
+        fileStore
+          .connect({database: 'content', collection: 'users'})
+          .then(() => {
+            fileStore.getCollection('users').then(collection => {
+              collection.clear()
+
+              const users = [
+                {name: 'Ernie', details: {age: 7, colour: 'yellow'}}
+              ]
+
+              fileStore
+                .insert({data: users, collection: 'users', schema: {}})
+                .then(() => {
+                  return fileStore.update({
+                    query: {name: 'Ernie'},
+                    collection: 'users',
+                    update: {
+                      $set: {'details.address.street': 'Sesame Street'},
+                      $unset: {'details.age': ''},
+                      $rename: {'details.colour': 'colour'}
+                    }
+                  })
+                })
+                .then(() => {
+                  return fileStore.find({
+                    query: {name: 'Ernie'},
+                    collection: 'users'
+                  })
+                })
+                .then(results => {
+                  const ernie = results.results[0]
+
+                  ernie.details.address.street.should.eql('Sesame Street')
+                  ernie.colour.should.eql('yellow')
+                  should.not.exist(ernie.details.age)
+                  should.not.exist(ernie.details.colour)
+                  done()
+                })
+                .catch(err => {
+                  done(err)
+                })
+            })
+          })
+      })
+    })
+
+    describe('$mul, $min and $max', function() {
+      it('should update documents matching the query', function(done) {
+        const fileStore = new FileStoreAdapter()
+
+        fileStore
+          .connect({database: 'content', collection: 'users'})
+          .then(() => {
+            fileStore.getCollection('users').then(collection => {
+              collection.clear()
+
+              const users = [
+                {name: 'Ernie', stats: {age: 7, height: 90, weight: 30}}
+              ]
+
+              fileStore
+                .insert({data: users, collection: 'users', schema: {}})
+                .then(() => {
+                  return fileStore.update({
+                    query: {name: 'Ernie'},
+                    collection: 'users',
+                    update: {
+                      $mul: {'stats.age': 2},
+                      $min: {'stats.height': 80},
+                      $max: {'stats.weight': 20}
+                    }
+                  })
+                })
+                .then(() => {
+                  return fileStore.find({
+                    query: {name: 'Ernie'},
+                    collection: 'users'
+                  })
+                })
+                .then(results => {
+                  results.results[0].stats.should.eql({
+                    age: 14,
+                    height: 80,
+                    weight: 30
+                  })
+                  done()
+                })
+                .catch(err => {
+                  done(err)
+                })
+            })
+          })
+      })
+    })
+
+    describe('array operators', function() {
+      it('should apply $addToSet, $pull, $pullAll and $pop', function(done) {
+        const fileStore = new FileStoreAdapter()
+
+        fileStore
+          .connect({database: 'content', collection: 'users'})
+          .then(() => {
+            fileStore.getCollection('users').then(collection => {
+              collection.clear()
+
+              const users = [
+                {
+                  name: 'Ernie',
+                  colours: ['yellow', 'red'],
+                  scores: [1, 5, 8, 10],
+                  tags: ['a', 'b', 'c'],
+                  friends: {names: ['Bert', 'Elmo', 'Oscar']}
+                }
+              ]
+
+              fileStore
+                .insert({data: users, collection: 'users', schema: {}})
+                .then(() => {
+                  return fileStore.update({
+                    query: {name: 'Ernie'},
+                    collection: 'users',
+                    update: {
+                      $addToSet: {colours: {$each: ['red', 'blue']}},
+                      $pull: {scores: {$gte: 8}},
+                      $pullAll: {tags: ['a', 'c']},
+                      $pop: {'friends.names': -1}
+                    }
+                  })
+                })
+                .then(() => {
+                  return fileStore.find({
+                    query: {name: 'Ernie'},
+                    collection: 'users'
+                  })
+                })
+                .then(results => {
+                  const ernie = results.results[0]
+
+                  ernie.colours.should.eql(['yellow', 'red', 'blue'])
+                  ernie.scores.should.eql([1, 5])
+                  ernie.tags.should.eql(['b'])
+                  ernie.friends.names.should.eql(['Elmo', 'Oscar'])
+                  done()
+                })
+                .catch(err => {
+                  done(err)
+                })
+            })
+          })
+      })
+
+      it('should apply $push with the $each, $sort and $slice modifiers', function(done) {
+        const fileStore = new FileStoreAdapter()
+
+        fileStore
+          .connect({database: 'content', collection: 'users'})
+          .then(() => {
+            fileStore.getCollection('users').then(collection => {
+              collection.clear()
+
+              const users = [
+                {name: 'Ernie', quizzes: [{score: 6}, {score: 9}, {score: 3}]}
+              ]
+
+              fileStore
+                .insert({data: users, collection: 'users', schema: {}})
+                .then(() => {
+                  return fileStore.update({
+                    query: {name: 'Ernie'},
+                    collection: 'users',
+                    update: {
+                      $push: {
+                        quizzes: {
+                          $each: [{score: 7}, {score: 1}],
+                          $sort: {score: -1},
+                          $slice: 3
+                        }
+                      }
+                    }
+                  })
+                })
+                .then(() => {
+                  return fileStore.find({
+                    query: {name: 'Ernie'},
+                    collection: 'users'
+                  })
+                })
+                .then(results => {
+                  results.results[0].quizzes.should.eql([
+                    {score: 9},
+                    {score: 7},
+                    {score: 6}
+                  ])
+                  done()
+                })
+                .catch(err => {
+                  done(err)
+                })
+            })
+          })
+      })
+    })
+
+    describe('$currentDate', function() {
+      it('should set the field to the current date', function(done) {
+        const fileStore = new FileStoreAdapter()
+        const before = Date.now()
+
+        fileStore
+          .connect({database: 'content', collection: 'users'})
+          .then(() => {
+            fileStore.getCollection('users').then(collection => {
+              collection.clear()
+
+              fileStore
+                .insert({
+                  data: {name: 'Ernie'},
+                  collection: 'users',
+                  schema: {}
+                })
+                .then(() => {
+                  return fileStore.update({
+                    query: {name: 'Ernie'},
+                    collection: 'users',
+                    update: {
+                      $currentDate: {
+                        'meta.modified': true,
+                        'meta.stamp': {$type: 'timestamp'}
+                      }
+                    }
+                  })
+                })
+                .then(() => {
+                  return fileStore.find({
+                    query: {name: 'Ernie'},
+                    collection: 'users'
+                  })
+                })
+                .then(results => {
+                  const ernie = results.results[0]
+
+                  ernie.meta.modified.should.be.instanceOf(Date)
+                  ernie.meta.stamp.should.be.within(before, Date.now())
+                  done()
+                })
+                .catch(err => {
+                  done(err)
+                })
+            })
+          })
+      })
+    })
+
+    describe('validation', function() {
+      it('should reject unknown operators with an UpdateError', function(done) {
+        const fileStore = new FileStoreAdapter()
+
+        fileStore
+          .connect({database: 'content', collection: 'users'})
+          .then(() => {
+            fileStore
+              .update({
+                query: {name: 'Ernie'},
+                collection: 'users',
+                update: {$explode: {name: 'Bert'}}
+              })
+              .then(() => {
+                done(new Error('Update should have been rejected'))
+              })
+              .catch(err => {
+                err.should.be.instanceOf(FileStoreAdapter.UpdateError)
+                err.code.should.eql('UNKNOWN_OPERATOR')
+                err.operator.should.eql('$explode')
+                err.statusCode.should.eql(400)
+                done()
+              })
+              .catch(done)
+          })
+      })
+
+      it('should reject operands of the wrong type', function(done) {
+        const fileStore = new FileStoreAdapter()
+
+        fileStore
+          .connect({database: 'content', collection: 'users'})
+          .then(() => {
+            fileStore
+              .update({
+                query: {name: 'Ernie'},
+                collection: 'users',
+                update: {$inc: {age: 'ten'}}
+              })
+              .then(() => {
+                done(new Error('Update should have been rejected'))
+              })
+              .catch(err => {
+                err.code.should.eql('TYPE_MISMATCH')
+                err.operator.should.eql('$inc')
+                err.path.should.eql('age')
+                done()
+              })
+              .catch(done)
+          })
+      })
+
+      it('should reject operators targeting conflicting paths', function(done) {
+        const fileStore = new FileStoreAdapter()
+
+        fileStore
+          .connect({database: 'content', collection: 'users'})
+          .then(() => {
+            fileStore
+              .update({
+                query: {name: 'Ernie'},
+                collection: 'users',
+                update: {$set: {details: {}}, $unset: {'details.age': ''}}
+              })
+              .then(() => {
+                done(new Error('Update should have been rejected'))
+              })
+              .catch(err => {
+                err.code.should.eql('CONFLICTING_PATHS')
+                err.operator.should.eql('$unset')
+                err.path.should.eql('details.age')
+                done()
+              })
+              .catch(done)
+          })
+      })
+
+      it('should leave every document untouched if one of them cannot be updated', function(done) {
+        const fileStore = new FileStoreAdapter()
+
+        fileStore
+          .connect({database: 'content', collection: 'users'})
+          .then(() => {
+            fileStore.getCollection('users').then(collection => {
+              collection.clear()
+
+              const users = [
+                {name: 'Ernie', colour: 'yellow', age: 7},
+                {name: 'BigBird', colour: 'yellow', age: 'unknown'}
+              ]
+
+              fileStore
+                .insert({data: users, collection: 'users', schema: {}})
+                .then(() => {
+                  return fileStore.update({
+                    query: {colour: 'yellow'},
+                    collection: 'users',
+                    update: {$inc: {age: 1}}
+                  })
+                })
+                .then(() => {
+                  done(new Error('Update should have been rejected'))
+                })
+                .catch(err => {
+                  err.code.should.eql('TYPE_MISMATCH')
+
+                  return fileStore.find({
+                    query: {name: 'Ernie'},
+                    collection: 'users'
+                  })
+                })
+                .then(results => {
+                  results.results[0].age.should.eql(7)
+                  done()
+                })
+                .catch(done)
+            })
+          })
+      })
+    })
+
+    describe('$inc with floats', function() {
+      it('should not truncate fractional values', function(done) {
+        const fileStore = new FileStoreAdapter()
+
+        fileStore
+          .connect({database: 'content', collection: 'users'})
+          .then(() => {
+            fileStore.getCollection('users').then(collection => {
+              collection.clear()
+
+              fileStore
+                .insert({
+                  data: {name: 'Ernie', balance: 1.5},
+                  collection: 'users',
+                  schema: {}
+                })
+                .then(() => {
+                  return fileStore.update({
+                    query: {name: 'Ernie'},
+                    collection: 'users',
+                    update: {$inc: {balance: 0.25, visits: 1}}
+                  })
+                })
+                .then(() => {
+                  return fileStore.find({
+                    query: {name: 'Ernie'},
+                    collection: 'users'
+                  })
+                })
+                .then(results => {
+                  results.results[0].balance.should.eql(1.75)
+                  results.results[0].visits.should.eql(1)
+                  done()
+                })
+                .catch(done)
+            })
+          })
+      })
+    })
+
+    describe('upsert', function() {
+      it('should insert a document built from the query and update when nothing matches', function(done) {
+        const fileStore = new FileStoreAdapter()
+
+        fileStore
+          .connect({database: 'content', collection: 'users'})
+          .then(() => {
+            fileStore.getCollection('users').then(collection => {
+              collection.clear()
+
+              fileStore
+                .update({
+                  query: {
+                    name: 'Elmo',
+                    'details.colour': {$eq: 'red'},
+                    age: {$gt: 2}
+                  },
+                  collection: 'users',
+                  update: {$set: {age: 3}, $setOnInsert: {visits: 0}},
+                  options: {upsert: true}
+                })
+                .then(result => {
+                  result.matchedCount.should.eql(0)
+                  result.modifiedCount.should.eql(0)
+                  result.upsertedCount.should.eql(1)
+                  should.exist(result.upsertedId)
+
+                  return fileStore
+                    .find({
+                      query: {_id: result.upsertedId},
+                      collection: 'users'
+                    })
+                    .then(results => {
+                      const elmo = results.results[0]
+
+                      elmo.name.should.eql('Elmo')
+                      elmo.details.colour.should.eql('red')
+                      elmo.age.should.eql(3)
+                      elmo.visits.should.eql(0)
+                      done()
+                    })
+                })
+                .catch(done)
+            })
+          })
+      })
+
+      it('should update matching documents without applying $setOnInsert', function(done) {
+        const fileStore = new FileStoreAdapter()
+
+        fileStore
+          .connect({database: 'content', collection: 'users'})
+          .then(() => {
+            fileStore.getCollection('users').then(collection => {
+              collection.clear()
+
+              const users = [
+                {name: 'Ernie', colour: 'yellow'},
+                {name: 'BigBird', colour: 'yellow', age: 13}
+              ]
+
+              fileStore
+                .insert({data: users, collection: 'users', schema: {}})
+                .then(() => {
+                  return fileStore.update({
+                    query: {colour: 'yellow'},
+                    collection: 'users',
+                    update: {$set: {age: 13}, $setOnInsert: {visits: 0}},
+                    options: {upsert: true}
+                  })
+                })
+                .then(result => {
+                  result.matchedCount.should.eql(2)
+                  result.modifiedCount.should.eql(1)
+                  result.upsertedCount.should.eql(0)
+                  should.not.exist(result.upsertedId)
+
+                  return fileStore.find({
+                    query: {colour: 'yellow'},
+                    collection: 'users'
+                  })
+                })
+                .then(results => {
+                  results.results.length.should.eql(2)
+                  results.results.forEach(user => {
+                    user.age.should.eql(13)
+                    should.not.exist(user.visits)
+                  })
+                  done()
+                })
+                .catch(done)
+            })
+          })
+      })
+    })
+  })
+
+  describe('transaction', function() {
+    const accounts = [
+      {_id: 'ernie', balance: 100, owner: 'Ernie'},
+      {_id: 'bert', balance: 50, owner: 'Bert'}
+    ]
+
+    beforeEach(function(done) {
+      const fileStore = new FileStoreAdapter()
+
+      fileStore
+        .connect({database: 'content', collection: 'accounts'})
+        .then(() => {
+          return Promise.all([
+            fileStore.getCollection('accounts'),
+            fileStore.getCollection('transfers')
+          ])
+        })
+        .then(collections => {
+          collections.forEach(collection => collection.clear())
+
+          return fileStore.insert({
+            data: accounts.map(account => Object.assign({}, account)),
+            collection: 'accounts'
+          })
+        })
+        .then(() => done())
+        .catch(done)
+    })
+
+    const getBalances = fileStore => {
+      return fileStore
+        .find({query: {}, collection: 'accounts', options: {sort: {_id: 1}}})
+        .then(({results}) => results.map(account => account.balance))
+    }
+
+    it('should apply mutations across collections when committed', function(done) {
+      const fileStore = new FileStoreAdapter()
+      const transaction = fileStore.startTransaction()
+
+      transaction
+        .update({
+          query: {_id: 'ernie'},
+          collection: 'accounts',
+          update: {$inc: {balance: -30}}
+        })
+        .update({
+          query: {_id: 'bert'},
+          collection: 'accounts',
+          update: {$inc: {balance: 30}}
+        })
+        .insert({
+          data: {from: 'ernie', to: 'bert', amount: 30},
+          collection: 'transfers'
+        })
+
+      // Nothing is applied until the transaction is committed.
+      getBalances(fileStore)
+        .then(balances => {
+          balances.should.eql([50, 100])
+
+          return transaction.commit()
+        })
+        .then(results => {
+          results.length.should.eql(3)
+          results[0].modifiedCount.should.eql(1)
+          results[2][0].amount.should.eql(30)
+
+          return Promise.all([
+            getBalances(fileStore),
+            fileStore.find({query: {}, collection: 'transfers'})
+          ])
+        })
+        .then(([balances, transfers]) => {
+          balances.should.eql([80, 70])
+          transfers.results.length.should.eql(1)
+          done()
+        })
+        .catch(done)
+    })
+
+    it('should leave every collection untouched if a mutation fails', function(done) {
+      const fileStore = new FileStoreAdapter()
+      const transfer = {from: 'ernie', to: 'bert', amount: 30}
+
+      fileStore
+        .transaction(transaction => {
+          transaction
+            .insert({data: transfer, collection: 'transfers'})
+            .delete({query: {_id: 'bert'}, collection: 'accounts'})
+            .update({
+              query: {_id: 'ernie'},
+              collection: 'accounts',
+              update: {$inc: {owner: 1}}
+            })
+        })
+        .then(() => {
+          done(new Error('The transaction should have failed'))
+        })
+        .catch(err => {
+          err.should.be.instanceOf(FileStoreAdapter.UpdateError)
+
+          return Promise.all([
+            getBalances(fileStore),
+            fileStore.find({query: {_id: 'bert'}, collection: 'accounts'}),
+            fileStore.find({query: {}, collection: 'transfers'})
+          ])
+            .then(([balances, bert, transfers]) => {
+              balances.should.eql([50, 100])
+              bert.results[0].owner.should.eql('Bert')
+              transfers.results.length.should.eql(0)
+
+              // The document given to the transaction is left as it was.
+              transfer.should.eql({from: 'ernie', to: 'bert', amount: 30})
+
+              return fileStore.insert({data: transfer, collection: 'transfers'})
+            })
+            .then(() => done())
+        })
+        .catch(done)
+    })
+
+    it('should apply documents as they were when staged', function(done) {
+      const fileStore = new FileStoreAdapter()
+      const transfer = {from: 'ernie', to: 'bert', amount: 30}
+      const update = {$set: {balance: 0}}
+      const transaction = fileStore.startTransaction()
+
+      transaction
+        .insert({data: transfer, collection: 'transfers'})
+        .update({query: {_id: 'ernie'}, collection: 'accounts', update})
+
+      transfer.amount = 1000
+      update.$set.balance = 1000
+
+      transaction
+        .commit()
+        .then(() => {
+          Object.keys(transfer).should.eql(['from', 'to', 'amount'])
+
+          return Promise.all([
+            getBalances(fileStore),
+            fileStore.find({query: {}, collection: 'transfers'})
+          ])
+        })
+        .then(([balances, transfers]) => {
+          balances.should.eql([50, 0])
+          transfers.results[0].amount.should.eql(30)
+          done()
+        })
+        .catch(done)
+    })
+
+    it('should roll back a transaction whose journal entry cannot be written', function(done) {
+      const fileStore = new FileStoreAdapter()
+      const {journal} = fileStore.databases[
+        fileStore.getDatabasePath('accounts')
+      ]
+      const append = journal.append
+
+      journal.append = () => Promise.reject(new Error('ENOSPC'))
+
+      fileStore
+        .transaction(transaction => {
+          transaction
+            .update({
+              query: {_id: 'ernie'},
+              collection: 'accounts',
+              update: {$inc: {balance: -30}}
+            })
+            .insert({data: {amount: 30}, collection: 'transfers'})
+        })
+        .then(
+          () => {
+            throw new Error('The transaction should have failed')
+          },
+          err => {
+            err.message.should.eql('ENOSPC')
+            journal.append = append
+
+            return Promise.all([
+              getBalances(fileStore),
+              fileStore.find({query: {}, collection: 'transfers'})
+            ])
+          }
+        )
+        .then(([balances, transfers]) => {
+          balances.should.eql([50, 100])
+          transfers.results.length.should.eql(0)
+          done()
+        })
+        .catch(err => {
+          journal.append = append
+          done(err)
+        })
+    })
+
+    it('should roll back a write whose journal entry cannot be written', function(done) {
+      const fileStore = new FileStoreAdapter()
+      const {journal} = fileStore.databases[
+        fileStore.getDatabasePath('accounts')
+      ]
+      const append = journal.append
+
+      journal.append = () => Promise.reject(new Error('ENOSPC'))
+
+      Promise.all(
+        [
+          fileStore.update({
+            query: {_id: 'ernie'},
+            collection: 'accounts',
+            update: {$set: {balance: 0}}
+          }),
+          fileStore.insert({
+            data: {_id: 'oscar', balance: 10, owner: 'Oscar'},
+            collection: 'accounts'
+          }),
+          fileStore.delete({query: {_id: 'bert'}, collection: 'accounts'})
+        ].map(write => write.then(() => null, err => err.message))
+      )
+        .then(errors => {
+          errors.should.eql(['ENOSPC', 'ENOSPC', 'ENOSPC'])
+          journal.append = append
+
+          return getBalances(fileStore)
+        })
+        .then(balances => {
+          balances.should.eql([50, 100])
+          done()
+        })
+        .catch(err => {
+          journal.append = append
+          done(err)
+        })
+    })
+
+    it('should not apply anything if the callback throws', function(done) {
+      const fileStore = new FileStoreAdapter()
+
+      fileStore
+        .transaction(transaction => {
+          transaction.update({
+            query: {_id: 'ernie'},
+            collection: 'accounts',
+            update: {$set: {balance: 0}}
+          })
+
+          throw new Error('Insufficient funds')
+        })
+        .catch(err => {
+          err.message.should.eql('Insufficient funds')
+
+          return getBalances(fileStore)
+        })
+        .then(balances => {
+          balances.should.eql([50, 100])
+          done()
+        })
+        .catch(done)
+    })
+
+    it('should apply concurrent transactions updating the same documents one after the other', function(done) {
+      const fileStore = new FileStoreAdapter()
+      const transfer = amount => {
+        return fileStore.transaction(transaction => {
+          transaction
+            .update({
+              query: {_id: 'ernie'},
+              collection: 'accounts',
+              update: {$inc: {balance: -amount}}
+            })
+            .update({
+              query: {_id: 'bert'},
+              collection: 'accounts',
+              update: {$inc: {balance: amount}}
+            })
+        })
+      }
+
+      Promise.all([transfer(10), transfer(20), transfer(5)])
+        .then(() => getBalances(fileStore))
+        .then(balances => {
+          balances.should.eql([85, 65])
+          done()
+        })
+        .catch(done)
+    })
+
+    it('should fail with a write conflict if a document read by the transaction has changed', function(done) {
+      const fileStore = new FileStoreAdapter()
+      const withdraw = amount => {
+        return fileStore.transaction(transaction => {
+          return transaction
+            .find({query: {_id: 'ernie'}, collection: 'accounts'})
+            .then(({results}) => {
+              transaction.update({
+                query: {_id: 'ernie'},
+                collection: 'accounts',
+                update: {$set: {balance: results[0].balance - amount}}
+              })
+            })
+        })
+      }
+
+      Promise.all([
+        withdraw(30).then(() => 'committed', err => err.code),
+        withdraw(60).then(() => 'committed', err => err.code)
+      ])
+        .then(outcomes => {
+          outcomes.should.eql(['committed', 'WRITE_CONFLICT'])
+
+          return getBalances(fileStore)
+        })
+        .then(balances => {
+          balances.should.eql([50, 70])
+          done()
+        })
+        .catch(done)
+    })
+
+    it('should not allow a transaction to be used once committed', function(done) {
+      const fileStore = new FileStoreAdapter()
+      const transaction = fileStore.startTransaction()
+
+      transaction
+        .commit()
+        .then(results => {
+          results.should.eql([])
+
+          should.throws(() => {
+            transaction.delete({query: {}, collection: 'accounts'})
+          }, FileStoreAdapter.TransactionError)
+
+          return transaction.commit()
+        })
+        .catch(err => {
+          err.code.should.eql('TRANSACTION_CLOSED')
+          done()
+        })
+        .catch(done)
+    })
+  })
+
+  describe('watch', function() {
+    it('should emit a change event for each mutation', function(done) {
+      const fileStore = new FileStoreAdapter()
+      const changes = []
+      const listener = change => {
+        if (change.collection === 'watched') changes.push(change)
+      }
+
+      fileStore
+        .connect({database: 'content', collection: 'watched'})
+        .then(() => fileStore.getCollection('watched'))
+        .then(collection => {
+          collection.clear()
+          fileStore.on('change', listener)
+
+          return fileStore.insert({
+            data: [{_id: 'a', name: 'Ernie'}, {_id: 'b', name: 'Bert'}],
+            collection: 'watched'
+          })
+        })
+        .then(() => {
+          return fileStore.update({
+            query: {name: 'Ernie'},
+            collection: 'watched',
+            update: {$set: {colour: 'yellow'}}
+          })
+        })
+        .then(() => {
+          // Doesn't change anything, so there's no event.
+          return fileStore.update({
+            query: {name: 'Ernie'},
+            collection: 'watched',
+            update: {$set: {colour: 'yellow'}}
+          })
+        })
+        .then(() => {
+          return fileStore.delete({
+            query: {name: 'Bert'},
+            collection: 'watched'
+          })
+        })
+        .then(() => {
+          fileStore.removeListener('change', listener)
+
+          changes
+            .map(change => change.operationType)
+            .should.eql(['insert', 'update', 'delete'])
+          changes.forEach(change => change.timestamp.should.be.instanceOf(Date))
+
+          changes[0].documents.should.eql([
+            {_id: 'a', name: 'Ernie'},
+            {_id: 'b', name: 'Bert'}
+          ])
+          changes[1].updates.should.eql([
+            {
+              _id: 'a',
+              after: {_id: 'a', name: 'Ernie', colour: 'yellow'},
+              before: {_id: 'a', name: 'Ernie'}
+            }
+          ])
+          changes[2].ids.should.eql(['b'])
+
+          done()
+        })
+        .catch(done)
+    })
+
+    it('should return a stream of the matching changes to a collection', function(done) {
+      const fileStore = new FileStoreAdapter()
+      let stream
+
+      fileStore
+        .connect({database: 'content', collection: 'watched'})
+        .then(() => fileStore.getCollection('watched'))
+        .then(collection => {
+          collection.clear()
+
+          stream = fileStore.watch('watched', {
+            operationType: {$in: ['insert', 'delete']}
+          })
+
+          return fileStore.transaction(transaction => {
+            transaction
+              .insert({data: {_id: 'c', name: 'Oscar'}, collection: 'watched'})
+              .insert({data: {name: 'Elmo'}, collection: 'users'})
+              .update({
+                query: {name: 'Oscar'},
+                collection: 'watched',
+                update: {$set: {colour: 'green'}}
+              })
+              .delete({query: {name: 'Oscar'}, collection: 'watched'})
+          })
+        })
+        .then(() => stream.next())
+        .then(result => {
+          result.done.should.eql(false)
+          result.value.operationType.should.eql('insert')
+          result.value.documents[0]._id.should.eql('c')
+
+          return stream.next()
+        })
+        .then(({value}) => {
+          value.operationType.should.eql('delete')
+          value.ids.should.eql(['c'])
+
+          const waiting = stream.next()
+
+          stream.close()
+
+          return waiting
+        })
+        .then(result => {
+          result.done.should.eql(true)
+          fileStore.listenerCount('change').should.eql(0)
+          done()
+        })
+        .catch(done)
+    })
+  })
+
+  describe('history', function() {
+    const connect = fileStore => {
+      return fileStore
+        .connect({database: 'content', collection: 'pages'})
+        .then(() => fileStore.enableHistory('pages'))
+        .then(() => {
+          return Promise.all([
+            fileStore.getCollection('pages'),
+            fileStore.getCollection('pagesHistory')
+          ])
+        })
+        .then(collections => {
+          collections.forEach(collection => collection.clear())
+
+          return fileStore.insert({
+            data: {_id: 'home', title: 'Home', draft: true},
+            collection: 'pages'
+          })
+        })
+    }
+
+    it('should store a revision of each document updated or deleted', function(done) {
+      const fileStore = new FileStoreAdapter()
+
+      connect(fileStore)
+        .then(() => {
+          return fileStore.update({
+            query: {_id: 'home'},
+            collection: 'pages',
+            update: {$set: {title: 'Welcome'}, $unset: {draft: ''}}
+          })
+        })
+        .then(() => {
+          return fileStore.delete({query: {_id: 'home'}, collection: 'pages'})
+        })
+        .then(() => fileStore.getRevisions({collection: 'pages', id: 'home'}))
+        .then(revisions => {
+          revisions.map(revision => revision.revision).should.eql([1, 2])
+          revisions
+            .map(revision => revision.operation)
+            .should.eql(['update', 'delete'])
+          revisions[0].documentId.should.eql('home')
+          revisions[0].timestamp.should.be.instanceOf(Date)
+          revisions[0].document.should.eql({
+            _id: 'home',
+            title: 'Home',
+            draft: true
+          })
+          revisions[1].document.should.eql({_id: 'home', title: 'Welcome'})
+
+          done()
+        })
+        .catch(done)
+    })
+
+    it('should restore a revision of a document', function(done) {
+      const fileStore = new FileStoreAdapter()
+
+      connect(fileStore)
+        .then(() => {
+          return fileStore.update({
+            query: {_id: 'home'},
+            collection: 'pages',
+            update: {$set: {title: 'Welcome', author: 'Ernie'}}
+          })
+        })
+        .then(() => {
+          return fileStore.restoreRevision({
+            collection: 'pages',
+            id: 'home',
+            revision: 1
+          })
+        })
+        .then(document => {
+          document.should.eql({_id: 'home', title: 'Home', draft: true})
+
+          return fileStore.delete({query: {_id: 'home'}, collection: 'pages'})
+        })
+        .then(() => {
+          return fileStore.restoreRevision({
+            collection: 'pages',
+            id: 'home',
+            revision: 2
+          })
+        })
+        .then(() => {
+          return Promise.all([
+            fileStore.find({query: {_id: 'home'}, collection: 'pages'}),
+            fileStore.getRevisions({collection: 'pages', id: 'home'})
+          ])
+        })
+        .then(([{results}, revisions]) => {
+          results.length.should.eql(1)
+          results[0].title.should.eql('Welcome')
+          results[0].author.should.eql('Ernie')
+          revisions.length.should.eql(3)
+
+          done()
+        })
+        .catch(done)
+    })
+
+    it('should record revisions made by a transaction', function(done) {
+      const fileStore = new FileStoreAdapter()
+
+      connect(fileStore)
+        .then(() => {
+          return fileStore.transaction(transaction => {
+            transaction.update({
+              query: {_id: 'home'},
+              collection: 'pages',
+              update: {$set: {title: 'Welcome'}}
+            })
+          })
+        })
+        .then(() => fileStore.getRevisions({collection: 'pages', id: 'home'}))
+        .then(revisions => {
+          revisions.length.should.eql(1)
+          revisions[0].document.title.should.eql('Home')
+
+          done()
+        })
+        .catch(done)
+    })
+
+    it('should reject requests for missing revisions or histories', function(done) {
+      const fileStore = new FileStoreAdapter()
+
+      connect(fileStore)
+        .then(() => {
+          return fileStore
+            .restoreRevision({collection: 'pages', id: 'home', revision: 4})
+            .then(() => {
+              throw new Error('The restore should have been rejected')
+            })
+            .catch(err => {
+              err.should.be.instanceOf(FileStoreAdapter.HistoryError)
+              err.code.should.eql('REVISION_NOT_FOUND')
+              err.statusCode.should.eql(404)
+            })
+        })
+        .then(() => {
+          return fileStore
+            .getRevisions({collection: 'users', id: 'home'})
+            .then(() => {
+              throw new Error('The request should have been rejected')
+            })
+            .catch(err => {
+              err.code.should.eql('HISTORY_DISABLED')
+            })
+        })
+        .then(() => done())
+        .catch(done)
+    })
+  })
+
+  describe('delete', function() {
+    it('should delete documents matching the query', function(done) {
+      const fileStore = new FileStoreAdapter()
+
+      fileStore.connect({database: 'content', collection: 'users'}).then(() => {
+        fileStore.getCollection('users').then(collection => {
+          collection.clear()
+
+          const users = [
+            {name: 'Ernie', age: 7, colour: 'yellow'},
+            {name: 'Oscar', age: 9, colour: 'green'},
+            {name: 'BigBird', age: 13, colour: 'yellow'}
+          ]
+
+          fileStore
+            .insert({data: users, collection: 'users', schema: {}})
+            .then(results => {
+              fileStore
+                .delete({query: {colour: 'green'}, collection: 'users'})
+                .then(results => {
+                  fileStore
+                    .find({query: {}, collection: 'users', options: {}})
+                    .then(results => {
+                      results.results.constructor.name.should.eql('Array')
+                      results.results.length.should.eql(2)
+                      done()
+                    })
                     .catch(err => {
                       done(err)
                     })
                 })
                 .catch(err => {
-                  done(err)
+                  done(err)
+                })
+            })
+            .catch(err => {
+              done(err)
+            })
+        })
+      })
+    })
+  })
+
+  describe('stats', function() {
+    it('should return statistics computed from the collection', function(done) {
+      const fileStore = new FileStoreAdapter()
+
+      fileStore.connect({database: 'content', collection: 'users'}).then(() => {
+        fileStore.getCollection('users').then(collection => {
+          collection.clear()
+
+          const users = [{name: 'Ernie'}, {name: 'Oscar'}, {name: 'BigBird'}]
+
+          fileStore
+            .insert({data: users, collection: 'users', schema: {}})
+            .then(() => {
+              return fileStore.index('users', [{keys: {name: 1}}])
+            })
+            .then(() => {
+              return fileStore.stats('users', {})
+            })
+            .then(stats => {
+              stats.count.should.eql(3)
+              stats.size.should.be.above(0)
+              stats.averageObjectSize.should.eql(
+                Math.round(stats.size / stats.count)
+              )
+              stats.indexes.should.eql(1)
+              stats.indexEntries.name.should.eql(3)
+              stats.indexSizes.name.should.be.above(0)
+              stats.totalIndexSize.should.eql(stats.indexSizes.name)
+
+              return fileStore.stats('users', {scale: 1024}).then(scaled => {
+                scaled.size.should.eql(Math.floor(stats.size / 1024))
+                done()
+              })
+            })
+            .catch(err => {
+              done(err)
+            })
+        })
+      })
+    })
+    it('should report the size of each index by name', function(done) {
+      const fileStore = new FileStoreAdapter()
+
+      fileStore.connect({database: 'content', collection: 'users'}).then(() => {
+        fileStore.getCollection('users').then(collection => {
+          collection.clear()
+
+          const users = [
+            {name: 'Ernie', age: 6, bio: 'Likes rubber ducks'},
+            {name: 'Oscar', age: 9, bio: 'Lives in a trash can'}
+          ]
+
+          fileStore
+            .insert({data: users, collection: 'users', schema: {}})
+            .then(() => {
+              return fileStore.index('users', [
+                {keys: {name: 1}},
+                {keys: {name: 1, age: -1}, options: {unique: true}},
+                {keys: {bio: 'text'}}
+              ])
+            })
+            .then(() => {
+              return Promise.all([
+                fileStore.stats('users', {}),
+                fileStore.getIndexes('users')
+              ])
+            })
+            .then(([stats, indexes]) => {
+              Object.keys(stats.indexSizes)
+                .sort()
+                .should.eql(indexes.map(index => index.name).sort())
+              Object.keys(stats.indexSizes)
+                .sort()
+                .should.eql(['bio_text', 'name', 'name_1_age_-1'])
+              stats.indexes.should.eql(3)
+              stats.indexEntries['name_1_age_-1'].should.eql(2)
+              stats.indexEntries.bio_text.should.eql(2)
+              stats.indexSizes['name_1_age_-1'].should.be.above(
+                stats.indexSizes.name
+              )
+              stats.indexSizes.bio_text.should.be.above(0)
+
+              // The binary index of `name` is shared, and only counted once.
+              stats.totalIndexSize.should.be.below(
+                stats.indexSizes.name +
+                  stats.indexSizes['name_1_age_-1'] +
+                  stats.indexSizes.bio_text
+              )
+
+              done()
+            })
+            .catch(done)
+        })
+      })
+    })
+  })
+
+  describe('index', function() {
+    it('should add indexes to the collection specified and return index names', function(done) {
+      const fileStore = new FileStoreAdapter()
+
+      fileStore.connect({database: 'content', collection: 'users'}).then(() => {
+        fileStore.getCollection('users').then(collection => {
+          collection.clear()
+
+          const indexes = [
+            {
+              keys: {
+                name: 1
+              }
+            }
+          ]
+
+          fileStore
+            .index(collection, indexes)
+            .then(results => {
+              results[0].index.should.eql('name')
+
+              fileStore.getIndexes(collection).then(results => {
+                results[0].name.should.eql('name')
+                done()
+              })
+            })
+            .catch(err => {
+              done(err)
+            })
+        })
+      })
+    })
+
+    it('should use the collation of an index when a query has none', function(done) {
+      const fileStore = new FileStoreAdapter()
+
+      fileStore
+        .connect({database: 'content', collection: 'glossary'})
+        .then(() => fileStore.getCollection('glossary'))
+        .then(collection => {
+          collection.clear()
+
+          return fileStore.insert({
+            data: [{term: 'banana'}, {term: 'Cherry'}, {term: 'apple'}],
+            collection: 'glossary'
+          })
+        })
+        .then(() => {
+          return fileStore.index('glossary', [
+            {
+              keys: {term: 1},
+              options: {collation: {locale: 'en', strength: 2}}
+            }
+          ])
+        })
+        .then(() => {
+          return Promise.all([
+            fileStore.find({
+              query: {},
+              collection: 'glossary',
+              options: {sort: {term: 1}}
+            }),
+            fileStore.find({
+              query: {term: 'CHERRY'},
+              collection: 'glossary',
+              options: {}
+            }),
+            fileStore.find({
+              query: {},
+              collection: 'glossary',
+              options: {sort: {term: 1}, collation: {locale: 'simple'}}
+            })
+          ])
+        })
+        .then(results => {
+          results
+            .map(result => result.results.map(({term}) => term))
+            .should.eql([
+              ['apple', 'banana', 'Cherry'],
+              ['Cherry'],
+              ['Cherry', 'apple', 'banana']
+            ])
+
+          return fileStore.index('glossary', [
+            {keys: {term: 1}, options: {collation: {locale: 'en', strength: 9}}}
+          ])
+        })
+        .then(() => done(new Error('Expected an error')))
+        .catch(err => {
+          if (err.message === 'Expected an error') return done(err)
+
+          err.code.should.eql('INVALID_COLLATION')
+          done()
+        })
+    })
+
+    it('should create compound indexes and report their keys and options', function(done) {
+      const fileStore = new FileStoreAdapter()
+
+      fileStore.connect({database: 'content', collection: 'posts'}).then(() => {
+        fileStore.getCollection('posts').then(collection => {
+          collection.clear()
+
+          const indexes = [
+            {keys: {author: 1, publishedAt: -1}, options: {unique: true}}
+          ]
+
+          fileStore
+            .index('posts', indexes)
+            .then(results => {
+              results[0].index.should.eql('author_1_publishedAt_-1')
+
+              return fileStore.getIndexes('posts')
+            })
+            .then(results => {
+              const index = results.find(index => {
+                return index.name === 'author_1_publishedAt_-1'
+              })
+
+              index.keys.should.eql({author: 1, publishedAt: -1})
+              index.options.should.eql({unique: true})
+              index.unique.should.eql(true)
+              should.exist(collection.binaryIndices.author)
+              should.exist(collection.binaryIndices.publishedAt)
+              done()
+            })
+            .catch(done)
+        })
+      })
+    })
+
+    it('should persist compound index definitions with the database', function(done) {
+      const fileStore = new FileStoreAdapter()
+
+      fileStore
+        .connect({database: 'content', collection: 'posts'})
+        .then(() => {
+          return fileStore.index('posts', [
+            {keys: {category: 1, title: 1}, options: {}}
+          ])
+        })
+        .then(() => fileStore.close())
+        .then(() => {
+          FileStoreAdapter.reset()
+
+          const reconnected = new FileStoreAdapter()
+
+          return reconnected
+            .connect({database: 'content', collection: 'posts'})
+            .then(() => reconnected.getIndexes('posts'))
+        })
+        .then(results => {
+          results
+            .map(index => index.name)
+            .should.containEql('category_1_title_1')
+          done()
+        })
+        .catch(done)
+    })
+
+    it('should enforce compound unique indexes across all keys', function(done) {
+      const fileStore = new FileStoreAdapter()
+
+      fileStore.connect({database: 'content', collection: 'posts'}).then(() => {
+        fileStore.getCollection('posts').then(collection => {
+          collection.clear()
+
+          const posts = [
+            {author: 'Ernie', publishedAt: 1, title: 'One'},
+            {author: 'Ernie', publishedAt: 2, title: 'Two'},
+            {author: 'Bert', publishedAt: 1, title: 'Three'}
+          ]
+
+          fileStore
+            .index('posts', [
+              {keys: {author: 1, publishedAt: -1}, options: {unique: true}}
+            ])
+            .then(() => {
+              return fileStore.insert({data: posts, collection: 'posts'})
+            })
+            .then(() => {
+              return fileStore
+                .insert({
+                  data: {author: 'Bert', publishedAt: 1, title: 'Four'},
+                  collection: 'posts'
+                })
+                .then(() => {
+                  throw new Error('Insert should have been rejected')
+                })
+                .catch(err => {
+                  err.should.be.instanceOf(FileStoreAdapter.DuplicateKeyError)
+                  err.index.should.eql('author_1_publishedAt_-1')
+                })
+            })
+            .then(() => {
+              return fileStore
+                .update({
+                  query: {title: 'Two'},
+                  collection: 'posts',
+                  update: {$set: {publishedAt: 1}}
                 })
+                .then(() => {
+                  throw new Error('Update should have been rejected')
+                })
+                .catch(err => {
+                  err.code.should.eql('DUPLICATE_KEY')
+                })
+            })
+            .then(() => {
+              return fileStore.find({
+                query: {author: 'Ernie', publishedAt: {$gte: 2}},
+                collection: 'posts'
+              })
+            })
+            .then(results => {
+              results.results.length.should.eql(1)
+              results.results[0].title.should.eql('Two')
+              done()
+            })
+            .catch(done)
+        })
+      })
+    })
+
+    it('should reject writes breaking a single-field unique index without applying any of them', function(done) {
+      const fileStore = new FileStoreAdapter()
+
+      fileStore
+        .connect({database: 'content', collection: 'accounts'})
+        .then(() => fileStore.getCollection('accounts'))
+        .then(collection => {
+          collection.clear()
+
+          return fileStore.index('accounts', [
+            {keys: {email: 1}, options: {unique: true}}
+          ])
+        })
+        .then(() => {
+          return fileStore.insert({
+            data: [{email: 'ernie@example.com'}, {email: 'bert@example.com'}],
+            collection: 'accounts'
+          })
+        })
+        .then(() => {
+          return fileStore
+            .insert({
+              data: [
+                {email: 'elmo@example.com'},
+                {email: 'grover@example.com'},
+                {email: 'elmo@example.com'}
+              ],
+              collection: 'accounts'
+            })
+            .then(() => {
+              throw new Error('Insert should have been rejected')
+            })
+            .catch(err => {
+              err.should.be.instanceOf(FileStoreAdapter.DuplicateKeyError)
+              err.statusCode.should.eql(409)
+              err.index.should.eql('email')
+              err.values.should.eql(['elmo@example.com'])
+            })
+        })
+        .then(() => {
+          return fileStore
+            .update({
+              query: {},
+              collection: 'accounts',
+              update: {$set: {email: 'ernie@example.com'}}
+            })
+            .then(() => {
+              throw new Error('Update should have been rejected')
+            })
+            .catch(err => {
+              err.should.be.instanceOf(FileStoreAdapter.DuplicateKeyError)
+            })
+        })
+        .then(() => {
+          return fileStore.find({
+            query: {},
+            collection: 'accounts',
+            options: {sort: {email: 1}}
+          })
+        })
+        .then(({results}) => {
+          results
+            .map(account => account.email)
+            .should.eql(['bert@example.com', 'ernie@example.com'])
+          done()
+        })
+        .catch(done)
+    })
+
+    it('should evaluate expressions on indexed fields first, in index key order', function(done) {
+      const fileStore = new FileStoreAdapter()
+      const query = {
+        $and: [{title: 'One'}, {publishedAt: {$gt: 1}}, {author: 'Ernie'}]
+      }
+      const definitions = [{keys: {author: 1, publishedAt: -1}, options: {}}]
+
+      fileStore.orderExpressionsByIndex(query, definitions).should.eql({
+        $and: [{author: 'Ernie'}, {publishedAt: {$gt: 1}}, {title: 'One'}]
+      })
+
+      done()
+    })
+
+    it('should leave out and then remove documents expired by a TTL index', function(done) {
+      const fileStore = new FileStoreAdapter()
+      const now = Date.now()
+      const sweeps = []
+
+      fileStore.on('TTL_SWEEP', sweep => sweeps.push(sweep))
+
+      fileStore
+        .connect({database: 'content', collection: 'sessions'})
+        .then(() => fileStore.getCollection('sessions'))
+        .then(collection => {
+          collection.clear()
+
+          return fileStore.index('sessions', [
+            {keys: {createdAt: 1}, options: {expireAfterSeconds: 60}}
+          ])
+        })
+        .then(() => {
+          return fileStore.insert({
+            data: [
+              {user: 'Ernie', createdAt: new Date(now - 120000)},
+              {user: 'Bert', createdAt: new Date(now).toISOString()},
+              {
+                user: 'Oscar',
+                createdAt: [new Date(now), new Date(now - 90000)]
+              },
+              {user: 'Elmo'}
+            ],
+            collection: 'sessions'
+          })
+        })
+        .then(() => {
+          return fileStore.find({
+            query: {},
+            collection: 'sessions',
+            options: {sort: {user: 1}}
+          })
+        })
+        .then(({results}) => {
+          results.map(result => result.user).should.eql(['Bert', 'Elmo'])
+
+          return Promise.all([
+            fileStore.aggregate({
+              collection: 'sessions',
+              pipeline: [{$sort: {user: 1}}]
+            }),
+            fileStore.aggregate({
+              collection: 'sessions',
+              pipeline: [{$match: {user: {$ne: 'Bert'}}}]
+            }),
+            fileStore.distinct({collection: 'sessions', field: 'user'})
+          ])
+        })
+        .then(([sorted, matched, users]) => {
+          sorted.map(result => result.user).should.eql(['Bert', 'Elmo'])
+          matched.map(result => result.user).should.eql(['Elmo'])
+          users.should.eql(['Bert', 'Elmo'])
+
+          return fileStore.removeExpiredDocuments()
+        })
+        .then(sweep => {
+          sweep.deletedCount.should.eql(2)
+          sweep.collections.sessions.should.eql(2)
+          sweeps.should.eql([sweep])
+
+          return fileStore.getCollection('sessions')
+        })
+        .then(collection => {
+          collection.count().should.eql(2)
+          fileStore.removeAllListeners('TTL_SWEEP')
+          done()
+        })
+        .catch(done)
+    })
+
+    it('should only expire dates', function(done) {
+      const fileStore = new FileStoreAdapter()
+      const past = Date.now() - 120000
+
+      fileStore
+        .connect({database: 'content', collection: 'sessions'})
+        .then(() => fileStore.getCollection('sessions'))
+        .then(collection => {
+          collection.clear()
+
+          return fileStore.index('sessions', [
+            {keys: {createdAt: 1}, options: {expireAfterSeconds: 60}}
+          ])
+        })
+        .then(() => {
+          return fileStore.insert({
+            data: [
+              {user: 'Ernie', createdAt: new Date(past).toISOString()},
+              {user: 'Bert', createdAt: past},
+              {user: 'Elmo', createdAt: '2020'},
+              {user: 'Oscar', createdAt: [past, 'yesterday']}
+            ],
+            collection: 'sessions'
+          })
+        })
+        .then(() => fileStore.removeExpiredDocuments())
+        .then(sweep => {
+          sweep.collections.sessions.should.eql(1)
+
+          return fileStore.find({
+            query: {},
+            collection: 'sessions',
+            options: {sort: {user: 1}}
+          })
+        })
+        .then(({results}) => {
+          results
+            .map(result => result.user)
+            .should.eql(['Bert', 'Elmo', 'Oscar'])
+          done()
+        })
+        .catch(done)
+    })
+
+    it('should reject a TTL index without a valid expiry', function(done) {
+      const fileStore = new FileStoreAdapter()
+      const indexes = [
+        {keys: {createdAt: 1}, options: {expireAfterSeconds: -1}},
+        {keys: {createdAt: 1}, options: {expireAfterSeconds: '60'}},
+        {keys: {createdAt: 1, user: 1}, options: {expireAfterSeconds: 60}}
+      ]
+
+      fileStore
+        .connect({database: 'content', collection: 'sessions'})
+        .then(() => {
+          return Promise.all(
+            indexes.map(index => {
+              return fileStore.index('sessions', [index]).then(
+                () => {
+                  throw new Error('The index should have been rejected')
+                },
+                err => {
+                  err.should.be.instanceOf(FileStoreAdapter.IndexError)
+                  err.code.should.eql('INVALID_INDEX')
+                }
+              )
+            })
+          )
+        })
+        .then(() => done())
+        .catch(done)
+    })
+  })
+
+  describe('journal', function() {
+    const journalConfig = {
+      database: {
+        path: 'test/journal-db',
+        autosaveInterval: 60000,
+        serializationMethod: 'normal',
+        journal: {enabled: true, durability: 'fsync', syncInterval: 100}
+      }
+    }
+    const databasePath = path.resolve(journalConfig.database.path)
+
+    afterEach(function() {
+      ;[
+        databasePath,
+        `${databasePath}.journal`,
+        `${databasePath}.1`,
+        `${databasePath}.2`
+      ].forEach(file => {
+        try {
+          fs.unlinkSync(file)
+        } catch (err) {
+          // The file wasn't created by the test.
+        }
+      })
+    })
+
+    it('should replay mutations made since the last save on connect', function(done) {
+      const fileStore = new FileStoreAdapter(journalConfig)
+
+      fileStore
+        .connect({database: 'content'})
+        .then(() => {
+          const users = [{name: 'Ernie'}, {name: 'Oscar'}, {name: 'BigBird'}]
+
+          return fileStore.insert({data: users, collection: 'users'})
+        })
+        .then(() => {
+          return fileStore.update({
+            query: {name: 'Ernie'},
+            collection: 'users',
+            update: {$set: {colour: 'yellow'}}
+          })
+        })
+        .then(() => {
+          return fileStore.delete({query: {name: 'Oscar'}, collection: 'users'})
+        })
+        .then(() => {
+          const {database, journal} = fileStore.databases[databasePath]
+
+          return database.then(loaded => {
+            // Simulate a crash: the database is never saved.
+            loaded.autosaveDisable()
+
+            return journal.close()
+          })
+        })
+        .then(() => {
+          FileStoreAdapter.reset()
+
+          const recovered = new FileStoreAdapter(journalConfig)
+
+          return recovered.connect({database: 'content'}).then(() => {
+            return recovered.find({
+              query: {},
+              collection: 'users',
+              options: {sort: {name: 1}}
+            })
+          })
+        })
+        .then(results => {
+          results.results
+            .map(user => user.name)
+            .should.eql(['BigBird', 'Ernie'])
+          results.results[1].colour.should.eql('yellow')
+          done()
+        })
+        .catch(done)
+    })
+
+    it('should fail to connect if a journal entry is not valid JSON', function(done) {
+      const journalPath = `${databasePath}.journal`
+      const entry = {operation: 'insert', collection: 'users', documents: []}
+
+      fs.writeFileSync(
+        journalPath,
+        [JSON.stringify(entry), '{"operation": "ins', JSON.stringify(entry)]
+          .join('\n')
+          .concat('\n')
+      )
+
+      new FileStoreAdapter(journalConfig)
+        .connect({database: 'content'})
+        .then(() => {
+          throw new Error('The database should not have loaded')
+        })
+        .catch(err => {
+          err.should.be.instanceOf(FileStoreAdapter.CorruptionError)
+          err.file.should.eql(journalPath)
+          FileStoreAdapter.reset()
+          done()
+        })
+        .catch(done)
+    })
+
+    it('should empty the journal after each successful save', function(done) {
+      const fileStore = new FileStoreAdapter(journalConfig)
+      const journalPath = `${databasePath}.journal`
+
+      fileStore
+        .connect({database: 'content'})
+        .then(() => {
+          return fileStore.insert({data: {name: 'Ernie'}, collection: 'users'})
+        })
+        .then(() => {
+          fs.readFileSync(journalPath, 'utf8').should.match(/Ernie/)
+
+          return fileStore.close()
+        })
+        .then(() => {
+          fs.existsSync(journalPath).should.eql(false)
+          fs.existsSync(`${journalPath}.pending`).should.eql(false)
+          fs.readFileSync(databasePath, 'utf8').should.match(/Ernie/)
+          done()
+        })
+        .catch(done)
+    })
+
+    it('should replay committed transactions as a whole', function(done) {
+      const fileStore = new FileStoreAdapter(journalConfig)
+
+      fileStore
+        .connect({database: 'content'})
+        .then(() => {
+          return fileStore.transaction(transaction => {
+            transaction
+              .insert({data: {name: 'Ernie'}, collection: 'users'})
+              .insert({data: {title: 'Rubber Duckie'}, collection: 'songs'})
+          })
+        })
+        .then(() => {
+          const {database, journal} = fileStore.databases[databasePath]
+
+          fs.readFileSync(`${databasePath}.journal`, 'utf8')
+            .trim()
+            .split('\n')
+            .length.should.eql(1)
+
+          return database.then(loaded => {
+            // Simulate a crash: the database is never saved.
+            loaded.autosaveDisable()
+
+            return journal.close()
+          })
+        })
+        .then(() => {
+          FileStoreAdapter.reset()
+
+          const recovered = new FileStoreAdapter(journalConfig)
+
+          return recovered.connect({database: 'content'}).then(() => {
+            return Promise.all([
+              recovered.find({query: {}, collection: 'users'}),
+              recovered.find({query: {}, collection: 'songs'})
+            ])
+          })
+        })
+        .then(([users, songs]) => {
+          users.results[0].name.should.eql('Ernie')
+          songs.results[0].title.should.eql('Rubber Duckie')
+          done()
+        })
+        .catch(done)
+    })
+  })
+
+  describe('encryption', function() {
+    const key = crypto.randomBytes(32).toString('hex')
+    const newKey = crypto.randomBytes(32).toString('base64')
+    const getConfig = encryption => ({
+      database: {
+        path: 'test/encrypted-db',
+        autosaveInterval: 60000,
+        serializationMethod: 'normal',
+        encryption,
+        journal: {enabled: true, durability: 'fsync', syncInterval: 100}
+      }
+    })
+    const databasePath = path.resolve('test/encrypted-db')
+
+    afterEach(function() {
+      FileStoreAdapter.evict(getConfig())
+      ;[
+        databasePath,
+        `${databasePath}.journal`,
+        `${databasePath}.1`,
+        `${databasePath}.2`
+      ].forEach(file => {
+        try {
+          fs.unlinkSync(file)
+        } catch (err) {
+          // The file wasn't created by the test.
+        }
+      })
+    })
+
+    const createDatabase = encryption => {
+      const config = getConfig(encryption)
+      const fileStore = new FileStoreAdapter(config)
+
+      return fileStore
+        .connect({database: 'content'})
+        .then(() => {
+          return fileStore.insert({data: {name: 'Ernie'}, collection: 'users'})
+        })
+        .then(() => {
+          fs.readFileSync(`${databasePath}.journal`, 'utf8').should.not.match(
+            /Ernie/
+          )
+
+          return FileStoreAdapter.close(config)
+        })
+    }
+
+    const findUsers = encryption => {
+      const fileStore = new FileStoreAdapter(getConfig(encryption))
+
+      return fileStore
+        .connect({database: 'content'})
+        .then(() => fileStore.find({query: {}, collection: 'users'}))
+    }
+
+    it('should encrypt the database file and decrypt it on load', function(done) {
+      createDatabase({key})
+        .then(() => {
+          const contents = fs.readFileSync(databasePath, 'utf8')
+
+          contents.should.startWith('aes-256-gcm:')
+          contents.should.not.match(/Ernie/)
+
+          return findUsers({key})
+        })
+        .then(({results}) => {
+          results[0].name.should.eql('Ernie')
+          done()
+        })
+        .catch(done)
+    })
+
+    it('should fail to load with the wrong key or no key', function(done) {
+      createDatabase({key})
+        .then(() => {
+          const contents = fs.readFileSync(databasePath, 'utf8')
+
+          return findUsers({key: newKey})
+            .then(() => {
+              throw new Error('The database should not have loaded')
+            })
+            .catch(err => {
+              err.should.be.instanceOf(FileStoreAdapter.EncryptionError)
+              err.code.should.eql('WRONG_KEY')
+              fs.readFileSync(databasePath, 'utf8').should.eql(contents)
+              FileStoreAdapter.evict(getConfig())
+
+              return findUsers({key: ''})
             })
+        })
+        .then(() => {
+          throw new Error('The database should not have loaded')
+        })
+        .catch(err => {
+          err.code.should.eql('KEY_REQUIRED')
+          done()
+        })
+        .catch(done)
+    })
+
+    it('should re-encrypt the database with a new key', function(done) {
+      createDatabase({key})
+        .then(() => findUsers({key: newKey, previousKeys: [key]}))
+        .then(({results}) => {
+          results[0].name.should.eql('Ernie')
+
+          return FileStoreAdapter.close(getConfig())
+        })
+        .then(() => findUsers({key: newKey}))
+        .then(({results}) => {
+          results[0].name.should.eql('Ernie')
+          done()
+        })
+        .catch(done)
+    })
+
+    // Inserts a document and stops without saving the database, leaving the
+    // document in the journal only.
+    const crash = encryption => {
+      const fileStore = new FileStoreAdapter(getConfig(encryption))
+
+      return fileStore
+        .connect({database: 'content'})
+        .then(() => {
+          return fileStore.insert({data: {name: 'Bert'}, collection: 'users'})
+        })
+        .then(() => {
+          const {database, journal} = fileStore.databases[databasePath]
+
+          return database.then(loaded => {
+            loaded.autosaveDisable()
+
+            return journal.close()
           })
+        })
+        .then(() => FileStoreAdapter.reset())
+    }
+
+    it('should replay journal entries encrypted with a previous key', function(done) {
+      crash({key})
+        .then(() => findUsers({key: newKey, previousKeys: [key]}))
+        .then(({results}) => {
+          results.map(user => user.name).should.eql(['Bert'])
+          done()
+        })
+        .catch(done)
+    })
+
+    it('should fail to load a journal with a corrupt entry', function(done) {
+      const journalPath = `${databasePath}.journal`
+
+      crash({key})
+        .then(() => {
+          const line = fs.readFileSync(journalPath, 'utf8').trim()
+
+          // An entry cut short by a crash is skipped and removed.
+          fs.appendFileSync(journalPath, line.slice(0, 40))
+
+          return findUsers({key})
+        })
+        .then(({results}) => {
+          results.map(user => user.name).should.eql(['Bert'])
+          fs.readFileSync(journalPath, 'utf8')
+            .split('\n')
+            .should.have.length(2)
+
+          return crash({key})
+        })
+        .then(() => {
+          const lines = fs.readFileSync(journalPath, 'utf8').split('\n')
+          const corrupt = lines[0].slice(0, -4) + 'AAA='
+
+          fs.writeFileSync(
+            journalPath,
+            [corrupt].concat(lines.slice(1)).join('\n')
+          )
+
+          return findUsers({key})
+        })
+        .then(() => {
+          throw new Error('The database should not have loaded')
+        })
+        .catch(err => {
+          err.should.be.instanceOf(FileStoreAdapter.EncryptionError)
+          err.code.should.eql('DECRYPTION_FAILED')
+          done()
+        })
+        .catch(done)
+    })
+
+    it('should reject keys that are not 256 bits', function(done) {
+      ;(() => {
+        return new FileStoreAdapter(getConfig({key: 'secret'}))
+      }).should.throw({code: 'INVALID_KEY'})
+
+      done()
+    })
+  })
+
+  describe('compression', function() {
+    const getConfig = (compression, serializationMethod, encryption) => ({
+      database: {
+        path: 'test/compressed-db',
+        autosaveInterval: 60000,
+        serializationMethod: serializationMethod || 'normal',
+        compression,
+        encryption,
+        journal: {enabled: true, durability: 'fsync', syncInterval: 100}
+      }
+    })
+    const databasePath = path.resolve('test/compressed-db')
+
+    afterEach(function() {
+      FileStoreAdapter.evict(getConfig())
+      ;[
+        databasePath,
+        `${databasePath}.journal`,
+        `${databasePath}.1`,
+        `${databasePath}.2`
+      ].forEach(file => {
+        try {
+          fs.unlinkSync(file)
+        } catch (err) {
+          // The file wasn't created by the test.
+        }
       })
     })
 
-    describe('$inc', function() {
-      it('should update documents matching the query', function(done) {
-        const fileStore = new FileStoreAdapter()
+    const createDatabase = options => {
+      const fileStore = new FileStoreAdapter(options)
 
-        fileStore
-          .connect({database: 'content', collection: 'users'})
-          .then(() => {
-            fileStore.getCollection('users').then(collection => {
-              collection.clear()
+      return fileStore
+        .connect({database: 'content'})
+        .then(() => {
+          return fileStore.insert({
+            data: [{name: 'Ernie'}, {name: 'Bert'}],
+            collection: 'users'
+          })
+        })
+        .then(() => FileStoreAdapter.close(options))
+    }
 
-              const users = [
-                {name: 'Ernie', age: 7, colour: 'yellow'},
-                {name: 'Oscar', age: 9, colour: 'green'},
-                {name: 'BigBird', age: 13, colour: 'yellow'}
-              ]
+    const findUsers = options => {
+      const fileStore = new FileStoreAdapter(options)
 
-              fileStore
-                .insert({data: users, collection: 'users', schema: {}})
-                .then(results => {
-                  fileStore
-                    .update({
-                      query: {colour: 'green'},
-                      collection: 'users',
-                      update: {$inc: {age: 10}}
-                    })
-                    .then(results => {
-                      fileStore
-                        .find({
-                          query: {colour: 'green'},
-                          collection: 'users',
-                          options: {}
-                        })
-                        .then(results => {
-                          results.results.constructor.name.should.eql('Array')
-                          results.results.length.should.eql(1)
-                          results.results[0].age.should.eql(19)
-                          done()
-                        })
-                        .catch(err => {
-                          done(err)
-                        })
-                    })
-                    .catch(err => {
-                      done(err)
-                    })
-                })
-                .catch(err => {
-                  done(err)
-                })
-            })
-          })
+      return fileStore.connect({database: 'content'}).then(() => {
+        return fileStore.find({
+          query: {},
+          collection: 'users',
+          options: {sort: {name: 1}}
+        })
       })
+    }
+
+    it('should gzip the database file and decompress it on load', function(done) {
+      createDatabase(getConfig('gzip'))
+        .then(() => {
+          const contents = fs.readFileSync(databasePath)
+
+          contents[0].should.eql(0x1f)
+          contents[1].should.eql(0x8b)
+          zlib
+            .gunzipSync(contents)
+            .toString()
+            .should.match(/Ernie/)
+
+          return findUsers(getConfig('gzip'))
+        })
+        .then(({results}) => {
+          results.map(user => user.name).should.eql(['Bert', 'Ernie'])
+          done()
+        })
+        .catch(done)
     })
 
-    describe('$push', function() {
-      it('should update documents matching the query', function(done) {
-        const fileStore = new FileStoreAdapter()
+    it('should detect the format of existing files on load', function(done) {
+      createDatabase(getConfig('brotli', 'destructured'))
+        .then(() => {
+          const contents = fs.readFileSync(databasePath)
 
-        fileStore
-          .connect({database: 'content', collection: 'users'})
-          .then(() => {
-            fileStore.getCollection('users').then(collection => {
-              collection.clear()
+          contents.toString('utf8').should.not.match(/Ernie/)
+          zlib
+            .brotliDecompressSync(contents)
+            .toString()
+            .should.match(/\$<\n\{.*"name":"Ernie"/)
 
-              const users = [
-                {name: 'Ernie', colours: ['yellow']},
-                {name: 'Oscar', colours: ['green']},
-                {name: 'BigBird', colours: ['yellow']}
-              ]
+          return findUsers(getConfig('none'))
+        })
+        .then(({results}) => {
+          results.map(user => user.name).should.eql(['Bert', 'Ernie'])
 
-              fileStore
-                .insert({data: users, collection: 'users', schema: {}})
-                .then(results => {
-                  fileStore
-                    .update({
-                      query: {name: 'Ernie'},
-                      collection: 'users',
-                      update: {$push: {colours: 'red'}}
-                    })
-                    .then(results => {
-                      fileStore
-                        .find({
-                          query: {name: 'Ernie'},
-                          collection: 'users',
-                          options: {}
-                        })
-                        .then(results => {
-                          results.results.constructor.name.should.eql('Array')
-                          results.results.length.should.eql(1)
-                          results.results[0].colours.should.be.Array
-                          results.results[0].colours[0].should.eql('yellow')
-                          results.results[0].colours[1].should.eql('red')
-                          done()
-                        })
-                        .catch(err => {
-                          done(err)
-                        })
-                    })
-                    .catch(err => {
-                      done(err)
-                    })
-                })
-                .catch(err => {
-                  done(err)
-                })
-            })
-          })
-      })
+          // The file is saved again in the configured format.
+          JSON.parse(
+            fs.readFileSync(databasePath, 'utf8')
+          ).should.have.property('collections')
+
+          return FileStoreAdapter.close(getConfig())
+        })
+        .then(() => findUsers(getConfig('gzip', 'destructured')))
+        .then(({results}) => {
+          results.map(user => user.name).should.eql(['Bert', 'Ernie'])
+          done()
+        })
+        .catch(done)
+    })
+
+    it('should compress the database file before encrypting it', function(done) {
+      const key = crypto.randomBytes(32).toString('hex')
+      const options = getConfig('gzip', 'destructured', {key})
+
+      createDatabase(options)
+        .then(() => {
+          fs.readFileSync(databasePath, 'utf8').should.startWith('aes-256-gcm:')
+
+          return findUsers(options)
+        })
+        .then(({results}) => {
+          results.map(user => user.name).should.eql(['Bert', 'Ernie'])
+          done()
+        })
+        .catch(done)
+    })
+
+    it('should reject unknown compression formats', function(done) {
+      ;(() => {
+        return new FileStoreAdapter(getConfig('zip'))
+      }).should.throw(/Unsupported compression format "zip"/)
+
+      done()
     })
   })
 
-  describe('delete', function() {
-    it('should delete documents matching the query', function(done) {
-      const fileStore = new FileStoreAdapter()
+  describe('snapshots', function() {
+    const snapshotConfig = {
+      database: {
+        path: 'test/snapshot-db',
+        autosaveInterval: 60000,
+        serializationMethod: 'normal',
+        snapshots: 2,
+        journal: {enabled: true, durability: 'fsync', syncInterval: 100}
+      }
+    }
+    const databasePath = path.resolve(snapshotConfig.database.path)
+    const files = [
+      databasePath,
+      `${databasePath}.1`,
+      `${databasePath}.2`,
+      `${databasePath}.corrupt`,
+      `${databasePath}.journal`
+    ]
 
-      fileStore.connect({database: 'content', collection: 'users'}).then(() => {
-        fileStore.getCollection('users').then(collection => {
-          collection.clear()
+    afterEach(function() {
+      FileStoreAdapter.evict(snapshotConfig)
+      files.forEach(file => {
+        try {
+          fs.unlinkSync(file)
+        } catch (err) {
+          // The file wasn't created by the test.
+        }
+      })
+    })
 
-          const users = [
-            {name: 'Ernie', age: 7, colour: 'yellow'},
-            {name: 'Oscar', age: 9, colour: 'green'},
-            {name: 'BigBird', age: 13, colour: 'yellow'}
-          ]
+    const key = crypto.randomBytes(32).toString('hex')
+    const newKey = crypto.randomBytes(32).toString('hex')
+    const getEncryptedConfig = encryption => ({
+      database: Object.assign({}, snapshotConfig.database, {encryption})
+    })
 
-          fileStore
-            .insert({data: users, collection: 'users', schema: {}})
-            .then(results => {
-              fileStore
-                .delete({query: {colour: 'green'}, collection: 'users'})
-                .then(results => {
-                  fileStore
-                    .find({query: {}, collection: 'users', options: {}})
-                    .then(results => {
-                      results.results.constructor.name.should.eql('Array')
-                      results.results.length.should.eql(2)
-                      done()
-                    })
-                    .catch(err => {
-                      done(err)
-                    })
-                })
-                .catch(err => {
-                  done(err)
-                })
-            })
-            .catch(err => {
-              done(err)
+    // Saves the database twice, first with Ernie and then with Bert too.
+    const createDatabase = (options = snapshotConfig) => {
+      return ['Ernie', 'Bert'].reduce((promise, name) => {
+        return promise.then(() => {
+          const fileStore = new FileStoreAdapter(options)
+
+          return fileStore
+            .connect({database: 'content'})
+            .then(() => {
+              return fileStore.insert({data: {name}, collection: 'users'})
             })
+            .then(() => FileStoreAdapter.close(options))
+        })
+      }, Promise.resolve())
+    }
+
+    const findUsers = fileStore => {
+      return fileStore
+        .connect({database: 'content'})
+        .then(() => {
+          return fileStore.find({
+            query: {},
+            collection: 'users',
+            options: {sort: {name: 1}}
+          })
+        })
+        .then(({results}) => results.map(user => user.name))
+    }
+
+    const truncate = file => {
+      const contents = fs.readFileSync(file, 'utf8')
+
+      fs.writeFileSync(file, contents.slice(0, contents.length / 2))
+    }
+
+    it('should keep the previous versions of the database file', function(done) {
+      createDatabase()
+        .then(() => {
+          fs.readFileSync(databasePath, 'utf8').should.match(/Ernie.*Bert/)
+          fs.readFileSync(`${databasePath}.1`, 'utf8').should.match(/Ernie/)
+          fs.readFileSync(`${databasePath}.1`, 'utf8').should.not.match(/Bert/)
+          fs.readFileSync(`${databasePath}.2`, 'utf8').should.not.match(/Ernie/)
+          fs.existsSync(`${databasePath}~`).should.eql(false)
+
+          done()
         })
+        .catch(done)
+    })
+
+    it('should recover a corrupt database from the newest intact snapshot', function(done) {
+      const fileStore = new FileStoreAdapter(snapshotConfig)
+      let recovery
+
+      fileStore.on('DB_RECOVERED', event => {
+        recovery = event
       })
+
+      createDatabase()
+        .then(() => {
+          truncate(databasePath)
+
+          return findUsers(fileStore)
+        })
+        .then(names => {
+          names.should.eql(['Ernie'])
+
+          recovery.file.should.eql(databasePath)
+          recovery.snapshot.should.eql(`${databasePath}.1`)
+          recovery.corruptFile.should.eql(`${databasePath}.corrupt`)
+          recovery.error.should.be.instanceOf(SyntaxError)
+
+          // The corrupt file is kept aside and replaced.
+          fs.readFileSync(`${databasePath}.corrupt`, 'utf8').should.match(
+            /Ernie/
+          )
+          JSON.parse(
+            fs.readFileSync(databasePath, 'utf8')
+          ).should.have.property('collections')
+
+          done()
+        })
+        .catch(done)
     })
-  })
 
-  describe('index', function() {
-    it('should add indexes to the collection specified and return index names', function(done) {
-      const fileStore = new FileStoreAdapter()
+    it('should fail to connect if no snapshot can be read', function(done) {
+      const fileStore = new FileStoreAdapter(snapshotConfig)
 
-      fileStore.connect({database: 'content', collection: 'users'}).then(() => {
-        fileStore.getCollection('users').then(collection => {
-          collection.clear()
+      createDatabase()
+        .then(() => {
+          truncate(databasePath)
+          truncate(`${databasePath}.1`)
+          fs.writeFileSync(`${databasePath}.2`, '')
 
-          const indexes = [
-            {
-              keys: {
-                name: 1
-              }
-            }
-          ]
+          return findUsers(fileStore)
+        })
+        .then(() => {
+          throw new Error('The database should not have loaded')
+        })
+        .catch(err => {
+          err.should.be.instanceOf(FileStoreAdapter.CorruptionError)
+          err.code.should.eql('DATABASE_CORRUPT')
+          err.file.should.eql(databasePath)
+          fs.existsSync(`${databasePath}.corrupt`).should.eql(false)
 
-          fileStore
-            .index(collection, indexes)
-            .then(results => {
-              results[0].index.should.eql('name')
+          done()
+        })
+        .catch(done)
+    })
 
-              fileStore.getIndexes(collection).then(results => {
-                results[0].name.should.eql('name')
-                done()
-              })
-            })
-            .catch(err => {
-              done(err)
-            })
+    it('should encrypt snapshots again after a key rotation', function(done) {
+      const rotated = getEncryptedConfig({key: newKey, previousKeys: [key]})
+
+      createDatabase(getEncryptedConfig({key}))
+        .then(() => findUsers(new FileStoreAdapter(rotated)))
+        .then(() => FileStoreAdapter.close(rotated))
+        .then(() => {
+          truncate(databasePath)
+
+          // The previous key is no longer needed to recover the database.
+          return findUsers(
+            new FileStoreAdapter(getEncryptedConfig({key: newKey}))
+          )
+        })
+        .then(names => {
+          names.should.eql(['Bert', 'Ernie'])
+
+          done()
+        })
+        .catch(done)
+    })
+
+    it('should fail to connect if the snapshots are encrypted with a key that is not configured', function(done) {
+      createDatabase(getEncryptedConfig({key}))
+        .then(() => {
+          fs.writeFileSync(databasePath, '{"collections": [')
+
+          return findUsers(
+            new FileStoreAdapter(getEncryptedConfig({key: newKey}))
+          )
+        })
+        .then(() => {
+          throw new Error('The database should not have loaded')
+        })
+        .catch(err => {
+          err.should.be.instanceOf(FileStoreAdapter.EncryptionError)
+          err.code.should.eql('WRONG_KEY')
+          fs.existsSync(`${databasePath}.corrupt`).should.eql(false)
+
+          done()
         })
+        .catch(done)
+    })
+  })
+
+  describe('connectWithCollection', function() {
+    const collectionConfig = {
+      connectWithCollection: true,
+      database: {
+        path: 'test/collections',
+        autosaveInterval: 60000,
+        serializationMethod: 'normal',
+        journal: {enabled: false}
+      }
+    }
+    const directory = path.resolve(collectionConfig.database.path)
+
+    after(function() {
+      fs.readdirSync(directory).forEach(file => {
+        fs.unlinkSync(path.join(directory, file))
       })
+      fs.rmdirSync(directory)
+    })
+
+    it('should store each collection in its own database file', function(done) {
+      const fileStore = new FileStoreAdapter(collectionConfig)
+
+      Promise.all([
+        fileStore.connect({database: 'content', collection: 'users'}),
+        fileStore.connect({database: 'content', collection: 'posts'})
+      ])
+        .then(() => {
+          return Promise.all([
+            fileStore.insert({data: {name: 'Ernie'}, collection: 'users'}),
+            fileStore.insert({data: {title: 'Hello'}, collection: 'posts'})
+          ])
+        })
+        .then(() => fileStore.close())
+        .then(() => {
+          const users = fs.readFileSync(
+            path.join(directory, 'users.db'),
+            'utf8'
+          )
+          const posts = fs.readFileSync(
+            path.join(directory, 'posts.db'),
+            'utf8'
+          )
+
+          users.should.match(/Ernie/)
+          users.should.not.match(/Hello/)
+          posts.should.match(/Hello/)
+          posts.should.not.match(/Ernie/)
+          done()
+        })
+        .catch(done)
+    })
+
+    it('should only drop the file of the given collection', function(done) {
+      const fileStore = new FileStoreAdapter(collectionConfig)
+
+      fileStore
+        .connect({database: 'content', collection: 'users'})
+        .then(() => fileStore.dropDatabase('users'))
+        .then(() => {
+          fs.existsSync(path.join(directory, 'users.db')).should.eql(false)
+          fs.existsSync(path.join(directory, 'posts.db')).should.eql(true)
+
+          return fileStore.find({query: {}, collection: 'posts'})
+        })
+        .then(results => {
+          results.results[0].title.should.eql('Hello')
+
+          return fileStore.find({query: {}, collection: 'users'})
+        })
+        .then(results => {
+          results.results.length.should.eql(0)
+          done()
+        })
+        .catch(done)
     })
   })
 